@@ -0,0 +1,792 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+
+// Operator command line: `node src/index.js <command> [options]`. Modules are imported per command, so a
+// command starts only what it needs: commands that read the chain connect to the RPCs, the others only
+// open the database, and `restore` never opens it.
+// Logs go to stderr (warnings and errors only unless --verbose), so stdout carries the command's output;
+// with --json, nothing but the result as JSON. Exit codes: 0 done, 1 failed, 2 bad usage.
+
+const CLI = 'node src/index.js';
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const DEFAULT_PAGE_SIZE = 50;
+const RULE = '──────────────────────────────────────────────────────────────────────────────';
+
+class UsageError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.command = command;
+  }
+}
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean', description: 'Print the result as JSON on stdout' },
+  verbose: { type: 'boolean', short: 'v', description: 'Log at LOG_LEVEL instead of warnings and errors only' },
+  help: { type: 'boolean', short: 'h', description: 'Show help for the command' }
+};
+
+// --- Argument parsing ---
+
+function parseInteger(value, name, min = 0) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(`${name} must be an integer of at least ${min}`);
+  }
+  return number;
+}
+
+// UNIX seconds or an ISO 8601 date
+function parseTime(value, name) {
+  if (value === undefined) return null;
+  const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isFinite(seconds)) {
+    throw new UsageError(`${name} must be a UNIX timestamp in seconds or an ISO 8601 date`);
+  }
+  return seconds;
+}
+
+function parseOneOf(value, name, allowed) {
+  if (value === undefined) return null;
+  if (!allowed.includes(value)) {
+    throw new UsageError(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function parsePage(values) {
+  return {
+    limit: parseInteger(values.limit, '--limit', 1) ?? DEFAULT_PAGE_SIZE,
+    offset: parseInteger(values.offset, '--offset') ?? 0
+  };
+}
+
+const PAGE_OPTIONS = {
+  limit: { type: 'string', arg: '<n>', description: `Show at most n (default ${DEFAULT_PAGE_SIZE})` },
+  offset: { type: 'string', arg: '<n>', description: 'Skip the first n' }
+};
+
+// --- Output ---
+
+function formatTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+function truncate(text, length) {
+  if (!text) return '-';
+  return text.length > length ? text.substring(0, length - 3) + '...' : text;
+}
+
+function printPage(label, { total, limit, offset }, count) {
+  console.log(`${label}: ${count === 0 ? 0 : `${offset + 1}-${offset + count}`} of ${total}` +
+    (offset + count < total ? ` (next: --offset ${offset + limit})` : ''));
+}
+
+// BigInts (token IDs, balances) don't survive JSON.stringify otherwise
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2);
+}
+
+function writeStdout(text) {
+  return new Promise(resolve => process.stdout.write(text + '\n', resolve));
+}
+
+// --- Services ---
+
+// 'database': opens the database and finishes operations an earlier run left half-done.
+// 'chain': connects to the RPC endpoints and factories of every configured chain.
+async function startServices(services) {
+  if (services.includes('database')) {
+    const db = await import('./services/database.js');
+    await db.recoverPendingOperations();
+  }
+  if (services.includes('chain')) {
+    const { initializeBlockchainService } = await import('./services/blockchain.js');
+    await initializeBlockchainService();
+  }
+}
+
+// Fails with the message of an operator action's { success: false, error } result
+function unwrap(result) {
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+// --- Commands ---
+
+async function listMarkets({ values }) {
+  const db = await import('./services/database.js');
+  const pagination = parsePage(values);
+  const filters = {
+    status: parseOneOf(values.status, '--status', db.MARKET_STATUSES),
+    creator: values.creator ?? null,
+    chainId: parseInteger(values.chain, '--chain'),
+    endAfter: parseTime(values['end-after'], '--end-after'),
+    endBefore: parseTime(values['end-before'], '--end-before')
+  };
+  const { markets, total } = await db.getMarkets({ ...filters, ...pagination });
+  return { markets, total, ...pagination };
+}
+
+function printMarkets({ markets, ...page }) {
+  printPage('Markets', page, markets.length);
+  console.log(RULE);
+  for (const market of markets) {
+    console.log(`${market.status.padEnd(16)} Chain: ${market.chainId ?? '?'} | ID: ${market.conditionId} | End: ${formatTimestamp(market.marketEndTime)}`);
+    console.log(`   Q: ${truncate(market.marketQuestion, 70)}`);
+  }
+  console.log(RULE);
+}
+
+async function showMarket({ positionals: [conditionId] }) {
+  const { getMarketDetails } = await import('./jobs/marketControls.js');
+  const details = await getMarketDetails(conditionId);
+  if (!details) {
+    throw new Error('Market not found');
+  }
+  return details;
+}
+
+function printMarketDetails({ market, journal, events, ai, proposals, transactions, jobs }) {
+  console.log(`\n🔎 MARKET ${market.conditionId}`);
+  console.log(RULE);
+  console.log(`Question: ${market.marketQuestion || 'No question'}`);
+  console.log(`Status: ${market.status} | Chain: ${market.chainId ?? '?'} | Factory: ${market.factoryAddress || '?'}`);
+  console.log(`Creator: ${market.marketCreator || '?'} | End: ${formatTimestamp(market.marketEndTime)}`);
+  if (market.winningTokenId) {
+    console.log(`Winning token: ${market.winningTokenId}`);
+  }
+  if (market.retries > 0 || market.lastError) {
+    console.log(`Failed attempts: ${market.retries} | Last error: ${market.lastError || '-'}`);
+  }
+  if (market.suspiciousReasons) {
+    console.log(`Suspicious: ${[].concat(market.suspiciousReasons).join('; ')}`);
+  }
+  console.log(`Resolution criteria: ${ai.resolutionCriteria ? 'stored' : 'none'}`);
+
+  console.log(`\nEvents (${events.length}):`);
+  for (const event of events) {
+    console.log(`  block ${event.blockNumber} | tx ${event.transactionHash || '-'} | ${event.status}`);
+  }
+  console.log(`AI decisions (${ai.decisions.length}):`);
+  for (const decision of ai.decisions) {
+    console.log(`  ${decision.createdAt} | ${decision.decision} | ${decision.agreeingVotes}/${decision.totalVotes} votes (quorum ${decision.quorum})`);
+  }
+  console.log(`Proposals (${proposals.length}):`);
+  for (const proposal of proposals) {
+    console.log(`  #${proposal.id} ${proposal.status} | ${proposal.aiAnswer}${proposal.approvalReason ? ` | ${proposal.approvalReason}` : ''}`);
+  }
+  console.log(`Transactions (${transactions.length}):`);
+  for (const transaction of transactions) {
+    console.log(`  nonce ${transaction.nonce} | ${transaction.status} | ${transaction.outcome || '-'} | ${transaction.txHash}`);
+  }
+  console.log(`Jobs (${jobs.length}):`);
+  for (const job of jobs) {
+    console.log(`  #${job.id} ${job.type} | ${job.status} | ${job.attempts} attempt(s)${job.lastError ? ` | ${truncate(job.lastError, 60)}` : ''}`);
+  }
+  console.log(`Journal (${journal.length}):`);
+  for (const entry of journal) {
+    console.log(`  ${entry.timestamp} | ${entry.operation} | ${entry.status}`);
+  }
+  console.log(RULE + '\n');
+}
+
+function marketAction(action) {
+  return async ({ positionals: [conditionId] }) => {
+    const controls = await import('./jobs/marketControls.js');
+    const db = await import('./services/database.js');
+    const { message } = unwrap(await controls[`${action}Market`](conditionId));
+    return { conditionId, message, status: (await db.getMarket(conditionId)).status };
+  };
+}
+
+async function syncEvents({ values }) {
+  const { resyncMarketCreatedEvents } = await import('./services/blockchain.js');
+  const fromBlock = parseInteger(values.from, '--from');
+  if (fromBlock === null) {
+    throw new UsageError('--from is required');
+  }
+  const toBlock = parseInteger(values.to, '--to');
+  if (toBlock !== null && toBlock < fromBlock) {
+    throw new UsageError('--to must not be below --from');
+  }
+  return { factories: await resyncMarketCreatedEvents({ fromBlock, toBlock, chainId: parseInteger(values.chain, '--chain') }) };
+}
+
+function printSync({ factories }) {
+  for (const factory of factories) {
+    console.log(`Chain ${factory.chainId} (${factory.factoryAddress}): blocks ${factory.fromBlock}-${factory.toBlock}, ` +
+      `${factory.events} event(s), ${factory.newMarkets} new market(s)`);
+  }
+  console.log('Market details are fetched by the running indexer.');
+}
+
+async function settleMarket({ positionals: [conditionId], values }) {
+  const db = await import('./services/database.js');
+  const { processMarketAndSettleOnChain } = await import('./services/blockchain.js');
+  const market = await db.getMarket(conditionId);
+  if (!market) {
+    throw new Error('Market not found');
+  }
+  if (market.isSettledOnChain || market.processedForSettlement) {
+    throw new Error('Market is already processed');
+  }
+  if (market.settlementStatus) {
+    throw new Error(market.settlementStatus === 'paused'
+      ? 'Market is paused; resume it first'
+      : `Market is dead-lettered; requeue it first (${CLI} dead-letter requeue ${conditionId})`);
+  }
+  const { jobs } = await db.getJobs({ type: 'settlement', status: 'running', conditionId });
+  if (jobs.length > 0) {
+    throw new Error('The indexer is settling this market right now');
+  }
+
+  const result = await processMarketAndSettleOnChain(conditionId);
+  return { conditionId, dryRun: Boolean(values['dry-run']), ...result };
+}
+
+function printSettlement(result) {
+  if (result.dryRun) {
+    const decision = result.result || result;
+    console.log(result.success
+      ? `Dry run: would settle as ${decision.aiAnswer ?? 'NO (ambiguous)'}${decision.winningTokenId ? ` (token ${decision.winningTokenId})` : ''}. Nothing was sent.`
+      : `Dry run, not settled: ${result.error}`);
+    if (decision.aiReasoning) {
+      console.log(`Reasoning: ${decision.aiReasoning}`);
+    }
+    return;
+  }
+  if (result.success) {
+    console.log(result.alreadySettled ? 'Market was already settled on chain.' : `Market settled: ${result.result.aiAnswer} (tx ${result.result.txHash})`);
+  } else {
+    console.log(`Not settled: ${result.error}`);
+  }
+}
+
+async function refetchMarket({ positionals: [conditionId] }) {
+  const { refetchMarketMetadata } = await import('./services/blockchain.js');
+  return { conditionId, ...await refetchMarketMetadata(conditionId) };
+}
+
+function printRefetch({ conditionId, settledOnChain, endTime, question }) {
+  console.log(`Refetched ${conditionId}`);
+  console.log(`Question: ${question}`);
+  console.log(`End: ${formatTimestamp(endTime)}${settledOnChain ? ' | already settled on chain' : ''}`);
+}
+
+async function listJournal({ values }) {
+  const db = await import('./services/database.js');
+  const pagination = parsePage(values);
+  const { entries, total } = await db.getJournalEntries({
+    status: parseOneOf(values.status, '--status', ['pending', 'completed', 'failed']),
+    conditionId: values.market ?? null,
+    operation: values.operation ?? null,
+    ...pagination
+  });
+  return { entries: entries.map(entry => ({ ...entry, data: entry.data ? JSON.parse(entry.data) : null })), total, ...pagination };
+}
+
+function printJournal({ entries, ...page }) {
+  printPage('Journal entries', page, entries.length);
+  console.log(RULE);
+  for (const entry of entries) {
+    console.log(`#${entry.id} ${entry.timestamp} | ${entry.operation} | ${entry.status} | ${entry.conditionId || '-'}`);
+  }
+  console.log(RULE);
+}
+
+async function backupDatabase({ values }) {
+  const db = await import('./services/database.js');
+  const destination = values.output ? path.resolve(values.output) : null;
+  if (destination && fs.existsSync(destination)) {
+    throw new Error(`${values.output} already exists`);
+  }
+  const backupPath = await db.backupDatabase(destination);
+  return { path: backupPath, size: fs.statSync(backupPath).size };
+}
+
+async function restoreDatabase({ positionals: [backup], values }) {
+  const backups = await import('./jobs/databaseBackups.js');
+  if (!backup) {
+    return { backups: backups.listDatabaseBackups() };
+  }
+  const source = backup === 'latest' ? backups.listDatabaseBackups()[0]?.path : backup;
+  if (!source) {
+    throw new Error('No backups found');
+  }
+  if (!values.yes) {
+    throw new UsageError(`Restoring replaces the database with ${source}. Stop the indexer first, then run again with --yes.`);
+  }
+  return backups.restoreDatabase(source);
+}
+
+function printRestore(result) {
+  if (result.backups) {
+    console.log(result.backups.length === 0 ? 'No backups found.' : 'Backups (newest first):');
+    for (const backup of result.backups) {
+      console.log(`  ${backup.createdAt} | ${(backup.size / 1024).toFixed(0)} KiB | ${backup.path}`);
+    }
+    return;
+  }
+  console.log(`Database ${result.database} restored from ${result.restoredFrom}.`);
+  for (const file of result.movedAside) {
+    console.log(`Previous file kept as ${file}`);
+  }
+}
+
+async function checkConfiguration() {
+  const { checkConfig } = await import('./jobs/configCheck.js');
+  return checkConfig();
+}
+
+function printConfigCheck({ ok, problems, settings, wallets, chains, database }) {
+  console.log('\nSettings:');
+  for (const [name, value] of Object.entries(settings)) {
+    console.log(`  ${name}: ${Array.isArray(value) ? value.join(', ') || '-' : value ?? '-'}`);
+  }
+  console.log(`Wallets: indexer ${wallets.indexer} | settler ${wallets.settler}`);
+  for (const chain of chains) {
+    console.log(`\nChain ${chain.name || chain.chainId || '?'} | factory ${chain.factoryAddress} (${chain.factoryDeployed === null ? 'unchecked' : chain.factoryDeployed ? 'deployed' : 'NO CODE'})`);
+    for (const endpoint of chain.endpoints) {
+      console.log(`  ${endpoint.ok ? '✅' : '❌'} ${endpoint.endpoint}${endpoint.ok ? ` | chain ${endpoint.chainId} | block ${endpoint.blockNumber}` : ` | ${endpoint.error}`}`);
+    }
+    console.log(`  Balances: settler ${chain.settlerBalance ?? '?'} | indexer ${chain.indexerBalance ?? '?'}`);
+  }
+  console.log(`\nDatabase ${database.path}: ${database.ok
+    ? `${Object.values(database.markets).reduce((sum, count) => sum + count, 0)} markets, ${database.cursors.length} sync cursor(s)`
+    : database.error}`);
+  console.log(ok ? '\n✅ Configuration OK\n' : `\n❌ ${problems.length} problem(s):\n${problems.map(problem => `  - ${problem}`).join('\n')}\n`);
+}
+
+// Existing report commands print their own output and return the data for --json
+
+async function listDeadLetter() {
+  const { listDeadLetterMarkets } = await import('./jobs/deadLetter.js');
+  return { markets: await listDeadLetterMarkets() };
+}
+
+async function showDeadLetter({ positionals: [conditionId] }) {
+  const { showMarketFailures } = await import('./jobs/deadLetter.js');
+  return unwrap(await showMarketFailures(conditionId)).market;
+}
+
+async function requeueDeadLetter({ positionals: [conditionId] }) {
+  const { requeueMarket } = await import('./jobs/deadLetter.js');
+  return { conditionId, message: unwrap(await requeueMarket(conditionId)).message };
+}
+
+async function setThreshold({ positionals: [conditionId, value] }) {
+  const { setMarketConfidenceThreshold } = await import('./jobs/marketProcessor.js');
+  const minConfidence = value === 'default' ? null : Number(value);
+  if (minConfidence !== null && Number.isNaN(minConfidence)) {
+    throw new UsageError('The threshold must be a number between 0 and 1, or "default"');
+  }
+  const result = unwrap(await setMarketConfidenceThreshold(conditionId, minConfidence));
+  return { conditionId, minConfidence: result.minConfidence, isDefault: minConfidence === null };
+}
+
+async function listSettlementProposals({ positionals: [status = 'open'] }) {
+  const { listProposals } = await import('./jobs/settlementProposals.js');
+  return { proposals: await listProposals(status) };
+}
+
+function reviewSettlementProposal(action) {
+  return async ({ positionals: [id, ...note] }) => {
+    const proposals = await import('./jobs/settlementProposals.js');
+    const proposalId = parseInteger(id, 'The proposal ID', 1);
+    const review = action === 'approve' ? proposals.approveProposal : proposals.rejectProposal;
+    return unwrap(await review(proposalId, note.join(' ') || null)).proposal;
+  };
+}
+
+async function listAmbiguousMarkets({ positionals: [policy] }) {
+  const { printAmbiguousMarkets } = await import('./jobs/ambiguityReport.js');
+  return { markets: await printAmbiguousMarkets(parseOneOf(policy, 'The policy', ['settle_no', 'defer', 'escalate', 'hold'])) };
+}
+
+async function reportAIUsage({ positionals: [period = 'month'] }) {
+  const { printAIUsageReport } = await import('./jobs/aiUsageReport.js');
+  return printAIUsageReport(parseOneOf(period, 'The period', ['day', 'month', 'all']));
+}
+
+async function reportShadowSettlements({ positionals: [runLabel = null] }) {
+  const { printShadowReport } = await import('./jobs/shadowReport.js');
+  return { runs: await printShadowReport(runLabel) };
+}
+
+// name: the words that select the command. args: its positional arguments ([optional], ... for the rest).
+// services: what is started before run (see startServices). env: settings applied before the configuration
+// is loaded. print: human output of run's result (commands without it print as they go).
+const COMMANDS = [
+  {
+    name: 'markets list',
+    summary: 'List markets, ordered by end time',
+    options: {
+      status: { type: 'string', arg: '<status>', description: 'Only markets in this status, e.g. due, retrying or dead_letter' },
+      chain: { type: 'string', arg: '<chainId>', description: 'Only markets on this chain' },
+      creator: { type: 'string', arg: '<address>', description: 'Only markets created by this address' },
+      'end-after': { type: 'string', arg: '<time>', description: 'Only markets ending at or after this time (UNIX seconds or ISO 8601)' },
+      'end-before': { type: 'string', arg: '<time>', description: 'Only markets ending at or before this time' },
+      ...PAGE_OPTIONS
+    },
+    services: ['database'],
+    run: listMarkets,
+    print: printMarkets
+  },
+  {
+    name: 'markets show',
+    args: ['<conditionId>'],
+    summary: 'Everything stored about a market: events, AI decisions, proposals, transactions, jobs and journal',
+    services: ['database'],
+    run: showMarket,
+    print: printMarketDetails
+  },
+  {
+    name: 'markets reset',
+    args: ['<conditionId>'],
+    summary: 'Start a market\'s settlement over (not once it is settled on chain)',
+    services: ['database'],
+    run: marketAction('reset'),
+    print: ({ conditionId, message }) => console.log(`${message}: ${conditionId}`)
+  },
+  {
+    name: 'markets pause',
+    args: ['<conditionId>'],
+    summary: 'Keep a market from being settled until it is resumed',
+    services: ['database'],
+    run: marketAction('pause'),
+    print: ({ conditionId, message }) => console.log(`${message}: ${conditionId}`)
+  },
+  {
+    name: 'markets resume',
+    args: ['<conditionId>'],
+    summary: 'Let a paused market be settled again',
+    services: ['database'],
+    run: marketAction('resume'),
+    print: ({ conditionId, message }) => console.log(`${message}: ${conditionId}`)
+  },
+  {
+    name: 'sync',
+    summary: 'Ingest the PNP_MarketCreated events of a block range again, e.g. to pick up missed markets',
+    options: {
+      from: { type: 'string', arg: '<block>', description: 'First block (required)' },
+      to: { type: 'string', arg: '<block>', description: 'Last block (default and at most: the confirmed chain head)' },
+      chain: { type: 'string', arg: '<chainId>', description: 'Only this chain (default: every configured chain)' }
+    },
+    services: ['database', 'chain'],
+    run: syncEvents,
+    print: printSync
+  },
+  {
+    name: 'settle',
+    args: ['<conditionId>'],
+    summary: 'Settle a market now, as the settlement job would',
+    options: {
+      'dry-run': { type: 'boolean', description: 'Ask the AI and record the decision as a shadow settlement (run "dry-run") without sending a transaction' }
+    },
+    services: ['database', 'chain'],
+    env: values => values['dry-run'] ? { SETTLEMENT_MODE: 'shadow', SHADOW_RUN_LABEL: 'dry-run' } : {},
+    run: settleMarket,
+    print: printSettlement,
+    succeeded: result => result.success
+  },
+  {
+    name: 'refetch',
+    args: ['<conditionId>'],
+    summary: 'Read a market\'s question, end time and settled status from the contract again',
+    services: ['database', 'chain'],
+    run: refetchMarket,
+    print: printRefetch
+  },
+  {
+    name: 'journal',
+    summary: 'Show the operations journal, newest first',
+    options: {
+      status: { type: 'string', arg: '<status>', description: 'Only pending, completed or failed operations' },
+      market: { type: 'string', arg: '<conditionId>', description: 'Only operations on this market' },
+      operation: { type: 'string', arg: '<operation>', description: 'Only this operation, e.g. addOrUpdateMarket' },
+      ...PAGE_OPTIONS
+    },
+    services: ['database'],
+    run: listJournal,
+    print: printJournal
+  },
+  {
+    name: 'backup',
+    summary: 'Copy the database to a backup file',
+    options: {
+      output: { type: 'string', short: 'o', arg: '<file>', description: 'Write the backup here instead of <database directory>/backups' }
+    },
+    services: ['database'],
+    run: backupDatabase,
+    print: ({ path: backupPath, size }) => console.log(`Backup written to ${backupPath} (${(size / 1024).toFixed(0)} KiB)`)
+  },
+  {
+    name: 'restore',
+    args: ['[backup|latest]'],
+    summary: 'Replace the database with a backup (stop the indexer first); lists the backups without an argument',
+    options: {
+      yes: { type: 'boolean', short: 'y', description: 'Confirm the restore' }
+    },
+    services: [], // The database must stay closed
+    run: restoreDatabase,
+    print: printRestore
+  },
+  {
+    name: 'config check',
+    summary: 'Validate the configuration and check the RPC endpoints, factories, wallets and database',
+    services: [], // Connecting would stop at the first unreachable RPC
+    run: checkConfiguration,
+    print: printConfigCheck,
+    succeeded: result => result.ok
+  },
+  {
+    name: 'dead-letter list',
+    summary: 'Markets given up on after repeated failures, with their last error',
+    services: ['database'],
+    run: listDeadLetter
+  },
+  {
+    name: 'dead-letter show',
+    args: ['<conditionId>'],
+    summary: 'Failure history of a market',
+    services: ['database'],
+    run: showDeadLetter
+  },
+  {
+    name: 'dead-letter requeue',
+    args: ['<conditionId>'],
+    summary: 'Put a dead-lettered, held or failing market back in line',
+    services: ['database'],
+    run: requeueDeadLetter,
+    print: ({ conditionId, message }) => console.log(`${message}: ${conditionId}`)
+  },
+  {
+    name: 'market-threshold',
+    args: ['<conditionId>', '<0-1|default>'],
+    summary: 'Set the minimum AI confidence to settle a market',
+    services: ['database'],
+    run: setThreshold,
+    print: ({ conditionId, minConfidence, isDefault }) => console.log(`Confidence threshold for ${conditionId}: ${minConfidence}${isDefault ? ' (global default)' : ''}`)
+  },
+  {
+    name: 'proposals list',
+    args: ['[open|awaiting_approval|needs_review|approved|rejected|executed|all]'],
+    summary: 'Settlements held for an operator (default: open ones)',
+    services: ['database'],
+    run: listSettlementProposals
+  },
+  {
+    name: 'proposals approve',
+    args: ['<id>', '[note...]'],
+    summary: 'Approve a settlement proposal; the indexer sends it on its next run',
+    services: ['database'],
+    run: reviewSettlementProposal('approve'),
+    print: proposal => console.log(`Proposal ${proposal.id} ${proposal.status}.`)
+  },
+  {
+    name: 'proposals reject',
+    args: ['<id>', '[note...]'],
+    summary: 'Reject a settlement proposal; the market is analysed again',
+    services: ['database'],
+    run: reviewSettlementProposal('reject'),
+    print: proposal => console.log(`Proposal ${proposal.id} ${proposal.status}.`)
+  },
+  {
+    name: 'ambiguous-markets',
+    args: ['[settle_no|defer|escalate|hold]'],
+    summary: 'Markets the AI found ambiguous and the policy applied',
+    services: ['database'],
+    run: listAmbiguousMarkets
+  },
+  {
+    name: 'ai-usage',
+    args: ['[day|month|all]'],
+    summary: 'AI spend and budget caps (default: this month)',
+    services: ['database'],
+    run: reportAIUsage
+  },
+  {
+    name: 'shadow-report',
+    args: ['[runLabel]'],
+    summary: 'Compare shadow settlement decisions with the real on-chain outcomes',
+    services: ['database', 'chain'],
+    run: reportShadowSettlements
+  }
+];
+
+// The command named by the first words and how many of them its name takes. A group without a
+// subcommand runs its list command (`dead-letter` = `dead-letter list`).
+function findCommand(words) {
+  const [first, second] = words;
+  const subcommand = COMMANDS.find(candidate => candidate.name === `${first} ${second}`);
+  if (subcommand) return { command: subcommand, wordCount: 2 };
+  const command = COMMANDS.find(candidate => candidate.name === first) || COMMANDS.find(candidate => candidate.name === `${first} list`);
+  return command ? { command, wordCount: 1 } : null;
+}
+
+// --- Help ---
+
+// util.parseArgs only takes its own keys in option definitions
+function toParseArgsOptions(options) {
+  return Object.fromEntries(Object.entries(options).map(([name, { type, short }]) => [name, short ? { type, short } : { type }]));
+}
+
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, option]) => [
+    `${option.short ? `-${option.short}, ` : '    '}--${name}${option.arg ? ` ${option.arg}` : ''}`,
+    option.description
+  ]);
+  const width = Math.max(...rows.map(([flags]) => flags.length));
+  return rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`).join('\n');
+}
+
+function usageLine(command) {
+  return `${CLI} ${command.name}${command.args ? ` ${command.args.join(' ')}` : ''}${command.options ? ' [options]' : ''}`;
+}
+
+function printHelp() {
+  const width = Math.max(...COMMANDS.map(command => command.name.length));
+  console.log(`Usage: ${CLI} <command> [options]
+
+Runs an operator command. Without a command, ${CLI} starts the indexer.
+
+Commands:
+${COMMANDS.map(command => `  ${command.name.padEnd(width)}  ${command.summary}`).join('\n')}
+
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
+
+Run "${CLI} help <command>" for the arguments and options of a command.`);
+}
+
+function printCommandHelp(command) {
+  console.log(`Usage: ${usageLine(command)}
+
+${command.summary}.
+${command.options ? `\nOptions:\n${formatOptions(command.options)}\n` : ''}
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}`);
+}
+
+// --- Running ---
+
+function parseCommandLine(args) {
+  // The command is the words before the first option
+  const words = [];
+  for (const arg of args) {
+    if (arg.startsWith('-')) break;
+    words.push(arg);
+  }
+  if (words[0] === 'help' || words.length === 0) {
+    const found = words.length > 1 ? findCommand(words.slice(1)) : null;
+    if (words.length > 1 && !found) {
+      throw new UsageError(`Unknown command: ${words.slice(1).join(' ')}`);
+    }
+    const { values } = parseArgs({ args, options: toParseArgsOptions(GLOBAL_OPTIONS), allowPositionals: true, strict: false });
+    return { command: found?.command ?? null, values: { ...values, help: true }, positionals: [] };
+  }
+
+  const found = findCommand(words);
+  if (!found) {
+    throw new UsageError(`Unknown command: ${words[0]}`);
+  }
+  const { command, wordCount } = found;
+  let parsed;
+  try {
+    parsed = parseArgs({ args: args.slice(wordCount), options: toParseArgsOptions({ ...command.options, ...GLOBAL_OPTIONS }), allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message, command);
+  }
+  return { command, values: parsed.values, positionals: parsed.positionals };
+}
+
+function checkPositionals(command, positionals) {
+  const args = command.args || [];
+  const required = args.filter(arg => arg.startsWith('<')).length;
+  const variadic = args.some(arg => arg.endsWith('...]'));
+  if (positionals.length < required) {
+    throw new UsageError(`Missing ${args[positionals.length]}`);
+  }
+  if (!variadic && positionals.length > args.length) {
+    throw new UsageError(`Unexpected argument: ${positionals[args.length]}`);
+  }
+}
+
+function reportUsageError(error, command, json) {
+  const name = (error.command || command)?.name;
+  console.error(`${error.message}\nRun "${CLI} help${name ? ` ${name}` : ''}" for usage.`);
+  return json ? writeStdout(toJson({ error: error.message })) : null;
+}
+
+// Runs the command in args (process.argv without node and the script) and resolves with the exit code
+export async function runCli(args) {
+  const json = args.includes('--json');
+  let command = null;
+  let values;
+  let positionals;
+  try {
+    ({ command, values, positionals } = parseCommandLine(args));
+    if (values.help) {
+      if (command) {
+        printCommandHelp(command);
+      } else {
+        printHelp();
+      }
+      return EXIT_OK;
+    }
+    checkPositionals(command, positionals);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    await reportUsageError(error, command, json);
+    return EXIT_USAGE;
+  }
+
+  // Settings read by config.js and the logger, so they go in before anything loads them
+  process.env.LOG_TO_STDERR = 'true';
+  if (!values.verbose) {
+    process.env.LOG_LEVEL = 'warn';
+  }
+  Object.assign(process.env, command.env ? command.env(values) : {});
+
+  // Anything printed while loading, and with --json everything the command prints, goes to stderr
+  const log = console.log;
+  console.log = console.error;
+  let result;
+  try {
+    await import('./config.js'); // Loads .env and validates config
+    await startServices(command.services);
+    if (!json) {
+      console.log = log;
+    }
+    result = await command.run({ values, positionals });
+  } catch (error) {
+    console.log = log;
+    if (error instanceof UsageError) {
+      await reportUsageError(error, command, json);
+      return EXIT_USAGE;
+    }
+    if (values.verbose) {
+      console.error(error);
+    }
+    if (json) {
+      await writeStdout(toJson({ error: error.message || String(error) }));
+    } else {
+      console.error(`Error: ${error.message || error}`);
+    }
+    return EXIT_FAILURE;
+  }
+  console.log = log;
+
+  if (json) {
+    await writeStdout(toJson(result));
+  } else if (command.print) {
+    command.print(result);
+  }
+  return !command.succeeded || command.succeeded(result) ? EXIT_OK : EXIT_FAILURE;
+}
@@ -13,41 +13,353 @@ const possiblePaths = [
   path.resolve(process.cwd(), '.env'),       // Current working directory
 ];
 
+// The tests (NODE_ENV=test) run on the process environment alone, so a local .env can't point them
+// at a real database, chain or webhook
+const useEnvFile = process.env.NODE_ENV !== 'test';
+
 let envPath = null;
 // Find the first path that exists
-for (const p of possiblePaths) {
+for (const p of useEnvFile ? possiblePaths : []) {
   if (fs.existsSync(p)) {
     envPath = p;
     break;
   }
 }
 
-if (!envPath) {
+if (useEnvFile && !envPath) {
   console.error(`Could not find .env file. Tried paths:`, possiblePaths);
   console.error(`Current directory: ${process.cwd()}`);
   process.exit(1);
 }
 
 // Load .env file from the found path
-console.log(`Loading .env file from: ${envPath}`);
-dotenv.config({ path: envPath });
+if (envPath) {
+  console.log(`Loading .env file from: ${envPath}`);
+  dotenv.config({ path: envPath });
+}
+
+// USD per million input and output tokens and per request, by model. The defaults approximate Perplexity's
+// list prices (low search context); AI_PRICES (JSON) adds models or overrides them, e.g.
+// { "my-model": { "input": 0.5, "output": 1.5, "request": 0 } }. Models without a price are recorded with no cost.
+const DEFAULT_AI_PRICES = {
+  'sonar': { input: 1, output: 1, request: 0.005 },
+  'sonar-pro': { input: 3, output: 15, request: 0.006 },
+  'sonar-reasoning': { input: 1, output: 5, request: 0.005 },
+  'sonar-reasoning-pro': { input: 2, output: 8, request: 0.006 },
+};
+
+function parseAIPrices() {
+  let overrides = {};
+  if (process.env.AI_PRICES) {
+    try {
+      overrides = JSON.parse(process.env.AI_PRICES);
+    } catch (error) {
+      console.error(`FATAL ERROR: AI_PRICES is not valid JSON: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  const prices = { ...DEFAULT_AI_PRICES };
+  for (const [model, price] of Object.entries(overrides)) {
+    const entry = { input: 0, output: 0, request: 0, ...price };
+    if (!['input', 'output', 'request'].every(key => typeof entry[key] === 'number' && entry[key] >= 0)) {
+      console.error(`FATAL ERROR: AI_PRICES["${model}"] needs non-negative numbers for input, output and request.`);
+      process.exit(1);
+    }
+    prices[model] = entry;
+  }
+  return prices;
+}
+
+// Backoff for failed settlement attempts by failure class (see services/retryPolicy.js): the delay starts at
+// baseDelaySeconds and doubles per failure of the same class in a row, up to maxDelaySeconds. The market is
+// dead-lettered when maxAttempts attempts in a row failed that way. RETRY_POLICIES (JSON) overrides classes, e.g.
+// { "transient": { "maxAttempts": 20 } }.
+const DEFAULT_RETRY_POLICIES = {
+  transient: { baseDelaySeconds: 60, maxDelaySeconds: 3600, maxAttempts: 10 },
+  ai_invalid: { baseDelaySeconds: 600, maxDelaySeconds: 21600, maxAttempts: 4 },
+  contract_revert: { baseDelaySeconds: 1800, maxDelaySeconds: 21600, maxAttempts: 2 },
+  permanent: { baseDelaySeconds: 0, maxDelaySeconds: 0, maxAttempts: 1 },
+};
+
+function parseRetryPolicies() {
+  let overrides = {};
+  if (process.env.RETRY_POLICIES) {
+    try {
+      overrides = JSON.parse(process.env.RETRY_POLICIES);
+    } catch (error) {
+      console.error(`FATAL ERROR: RETRY_POLICIES is not valid JSON: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  const policies = { ...DEFAULT_RETRY_POLICIES };
+  for (const [failureClass, policy] of Object.entries(overrides)) {
+    if (!policies[failureClass]) {
+      console.error(`FATAL ERROR: Unknown failure class in RETRY_POLICIES: ${failureClass}. Use ${Object.keys(DEFAULT_RETRY_POLICIES).join(', ')}.`);
+      process.exit(1);
+    }
+    const entry = { ...policies[failureClass], ...policy };
+    if (!(entry.baseDelaySeconds >= 0 && entry.maxDelaySeconds >= 0 && Number.isInteger(entry.maxAttempts) && entry.maxAttempts >= 1)) {
+      console.error(`FATAL ERROR: RETRY_POLICIES["${failureClass}"] needs delays of 0 or more and maxAttempts of at least 1.`);
+      process.exit(1);
+    }
+    policies[failureClass] = entry;
+  }
+  return policies;
+}
+
+// Chains/factories to index. CHAINS is a JSON array of
+// { "chainId": 8453, "name": "base", "rpcUrls": ["...", "..."], "factoryAddress": "0x...", "startBlock": 0 }.
+// The first RPC URL of an entry is its primary (used for transaction broadcasts); "rpcUrl" is
+// accepted for a single endpoint. An optional "wsUrl" (wss://...) is used for market discovery
+// subscriptions. Without CHAINS, RPC_URL (or a comma-separated RPC_URLS list), WS_RPC_URL,
+// PNP_FACTORY_CONTRACT_ADDRESS and START_BLOCK describe a single chain.
+function parseChainsConfig() {
+  let entries;
+  if (process.env.CHAINS) {
+    try {
+      entries = JSON.parse(process.env.CHAINS);
+    } catch (error) {
+      console.error(`FATAL ERROR: CHAINS is not valid JSON: ${error.message}`);
+      process.exit(1);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      console.error('FATAL ERROR: CHAINS must be a non-empty JSON array.');
+      process.exit(1);
+    }
+  } else if ((process.env.RPC_URLS || process.env.RPC_URL) && process.env.PNP_FACTORY_CONTRACT_ADDRESS) {
+    entries = [{
+      chainId: process.env.CHAIN_ID,
+      rpcUrls: process.env.RPC_URLS ? process.env.RPC_URLS.split(',') : [process.env.RPC_URL],
+      wsUrl: process.env.WS_RPC_URL,
+      factoryAddress: process.env.PNP_FACTORY_CONTRACT_ADDRESS,
+      startBlock: process.env.START_BLOCK,
+    }];
+  } else {
+    return [];
+  }
+
+  return entries.map((entry, index) => {
+    const rpcUrls = (entry.rpcUrls || (entry.rpcUrl ? [entry.rpcUrl] : []))
+      .map(url => url.trim())
+      .filter(Boolean);
+    if (rpcUrls.length === 0 || !entry.factoryAddress) {
+      console.error(`FATAL ERROR: CHAINS[${index}] needs rpcUrls (or rpcUrl) and factoryAddress.`);
+      process.exit(1);
+    }
+    if (rpcUrls.some(url => /^wss?:\/\//i.test(url))) {
+      console.error(`FATAL ERROR: CHAINS[${index}] lists a WebSocket URL in rpcUrls; set it as wsUrl (or WS_RPC_URL) instead.`);
+      process.exit(1);
+    }
+    if (entry.wsUrl && !/^wss?:\/\//i.test(entry.wsUrl)) {
+      console.error(`FATAL ERROR: CHAINS[${index}].wsUrl must start with ws:// or wss://.`);
+      process.exit(1);
+    }
+    return {
+      chainId: entry.chainId !== undefined && entry.chainId !== null && entry.chainId !== '' ? parseInt(entry.chainId, 10) : null,
+      name: entry.name || null,
+      rpcUrls,
+      rpcUrl: rpcUrls[0], // Primary
+      wsUrl: entry.wsUrl || null,
+      factoryAddress: entry.factoryAddress,
+      startBlock: entry.startBlock ? parseInt(entry.startBlock, 10) : 0,
+    };
+  });
+}
+
+// Webhooks notified of settlement and failure events (see services/notifications.js). NOTIFICATION_WEBHOOKS is a
+// JSON array of { "url": "https://...", "format": "slack", "events": ["retry_exhausted"] }. format is 'json' (default),
+// 'slack', 'discord' or 'telegram' (which also needs "chatId"); without "events" a webhook gets every event.
+const NOTIFICATION_EVENTS = [
+  'market_discovered',
+  'unresolvable_question',
+  'settlement_sent',
+  'settlement_confirmed',
+  'ambiguity_auto_settle',
+  'retry_exhausted',
+  'low_settler_balance',
+];
+const NOTIFICATION_FORMATS = ['json', 'slack', 'discord', 'telegram'];
+
+function parseNotificationWebhooks() {
+  if (!process.env.NOTIFICATION_WEBHOOKS) {
+    return [];
+  }
+  let entries;
+  try {
+    entries = JSON.parse(process.env.NOTIFICATION_WEBHOOKS);
+  } catch (error) {
+    console.error(`FATAL ERROR: NOTIFICATION_WEBHOOKS is not valid JSON: ${error.message}`);
+    process.exit(1);
+  }
+  if (!Array.isArray(entries)) {
+    console.error('FATAL ERROR: NOTIFICATION_WEBHOOKS must be a JSON array.');
+    process.exit(1);
+  }
+
+  return entries.map((entry, index) => {
+    const format = (entry.format || 'json').toLowerCase();
+    if (!entry.url || !/^https?:\/\//i.test(entry.url)) {
+      console.error(`FATAL ERROR: NOTIFICATION_WEBHOOKS[${index}] needs an http(s) url.`);
+      process.exit(1);
+    }
+    if (!NOTIFICATION_FORMATS.includes(format)) {
+      console.error(`FATAL ERROR: NOTIFICATION_WEBHOOKS[${index}].format must be one of ${NOTIFICATION_FORMATS.join(', ')}, got '${entry.format}'.`);
+      process.exit(1);
+    }
+    if (format === 'telegram' && !entry.chatId) {
+      console.error(`FATAL ERROR: NOTIFICATION_WEBHOOKS[${index}] is a Telegram webhook and needs a chatId.`);
+      process.exit(1);
+    }
+    const events = entry.events || NOTIFICATION_EVENTS;
+    const unknownEvents = Array.isArray(events) ? events.filter(event => !NOTIFICATION_EVENTS.includes(event)) : [events];
+    if (unknownEvents.length > 0) {
+      console.error(`FATAL ERROR: Unknown event(s) in NOTIFICATION_WEBHOOKS[${index}].events: ${unknownEvents.join(', ')}. Use ${NOTIFICATION_EVENTS.join(', ')}.`);
+      process.exit(1);
+    }
+    return { url: entry.url, format, events, chatId: entry.chatId ? String(entry.chatId) : null };
+  });
+}
 
 const config = {
   NODE_ENV: process.env.NODE_ENV || 'development',
   LOG_LEVEL: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info'),
   LOG_FILE_PATH: process.env.LOG_FILE_PATH || './logs/indexer.log',
-  RPC_URL: process.env.RPC_URL,
+  LOG_TO_STDERR: process.env.LOG_TO_STDERR === 'true', // Set by the CLI so stdout only carries command output
+  RPC_URL: process.env.RPC_URL || (process.env.RPC_URLS ? process.env.RPC_URLS.split(',')[0].trim() : undefined), // Legacy primary endpoint
   PRIVATE_KEY: process.env.PRIVATE_KEY,
   SETTLER_PRIVATE_KEY: process.env.SETTLER_PRIVATE_KEY,
   PNP_FACTORY_CONTRACT_ADDRESS: process.env.PNP_FACTORY_CONTRACT_ADDRESS,
   PPLX_API_KEY: process.env.PPLX_API_KEY,
+  // AI providers per task (see services/aiProviders.js): 'perplexity', 'openai' (any OpenAI-compatible
+  // endpoint at AI_OPENAI_BASE_URL, e.g. a self-hosted model) or 'mock' (deterministic, offline)
+  AI_SETTLEMENT_PROVIDER: (process.env.AI_SETTLEMENT_PROVIDER || 'perplexity').toLowerCase(),
+  AI_SETTLEMENT_TEMPERATURE: parseFloat(process.env.AI_SETTLEMENT_TEMPERATURE || '0.7'),
+  // Responses are validated against the schemas in services/aiSchemas.js. AI_STRUCTURED_OUTPUT also sends the
+  // schema as response_format (Perplexity and OpenAI-compatible servers); an invalid response is sent back to
+  // the model with the validation errors up to AI_REPAIR_ATTEMPTS times
+  AI_STRUCTURED_OUTPUT: (process.env.AI_STRUCTURED_OUTPUT || 'true').toLowerCase() !== 'false',
+  AI_REPAIR_ATTEMPTS: parseInt(process.env.AI_REPAIR_ATTEMPTS || '1', 10),
+  AI_RESOLUTION_PROVIDER: (process.env.AI_RESOLUTION_PROVIDER || 'perplexity').toLowerCase(),
+  AI_RESOLUTION_MODEL: process.env.AI_RESOLUTION_MODEL || 'sonar',
+  AI_RESOLUTION_TEMPERATURE: parseFloat(process.env.AI_RESOLUTION_TEMPERATURE || '0.2'),
+  AI_OPENAI_BASE_URL: process.env.AI_OPENAI_BASE_URL,
+  AI_OPENAI_API_KEY: process.env.AI_OPENAI_API_KEY,
+  AI_MOCK_ANSWER: process.env.AI_MOCK_ANSWER, // Mock provider: always give this answer (default: derived from the question)
+  // 'record' saves every AI request and raw response to AI_FIXTURE_DIR; 'replay' answers from those
+  // files without calling any provider; 'off' (default) does neither
+  AI_FIXTURE_MODE: (process.env.AI_FIXTURE_MODE || 'off').toLowerCase(),
+  AI_FIXTURE_DIR: process.env.AI_FIXTURE_DIR || './fixtures/ai',
+  // AI spend (see services/aiBudget.js): every completion's token usage is recorded with a cost from AI_PRICES
+  AI_PRICES: parseAIPrices(),
+  // Budget caps in USD per UTC day / calendar month (0 = none). Once one is reached, resolution analysis of new
+  // markets is skipped; settlement goes on unless AI_BUDGET_PAUSE_SETTLEMENT is 'true'
+  AI_DAILY_BUDGET_USD: parseFloat(process.env.AI_DAILY_BUDGET_USD || '0'),
+  AI_MONTHLY_BUDGET_USD: parseFloat(process.env.AI_MONTHLY_BUDGET_USD || '0'),
+  AI_BUDGET_PAUSE_SETTLEMENT: process.env.AI_BUDGET_PAUSE_SETTLEMENT === 'true',
+  // Settlement analysis (see services/aiService.js): every model in AI_SETTLEMENT_MODELS is asked
+  // AI_SETTLEMENT_SAMPLES times. With more than one vote, a market only settles when
+  // AI_CONSENSUS_QUORUM of them agree (0 = all of them); otherwise it goes to needs_review.
+  AI_SETTLEMENT_MODELS: (process.env.AI_SETTLEMENT_MODELS || 'sonar')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean),
+  AI_SETTLEMENT_SAMPLES: parseInt(process.env.AI_SETTLEMENT_SAMPLES || '1', 10),
+  AI_CONSENSUS_QUORUM: parseInt(process.env.AI_CONSENSUS_QUORUM || '0', 10),
+  // What happens when the AI finds a question ambiguous (answer null): 'settle_no' settles NO right
+  // away; 'defer' analyses it again after AMBIGUITY_RETRY_BASE_DELAY_MINUTES, doubling each time up to
+  // AMBIGUITY_RETRY_MAX_DELAY_MINUTES; 'escalate' sends it to needs_review; 'hold' parks it until `dead-letter requeue`
+  AMBIGUITY_POLICY: (process.env.AMBIGUITY_POLICY || 'settle_no').toLowerCase(),
+  AMBIGUITY_RETRY_BASE_DELAY_MINUTES: parseInt(process.env.AMBIGUITY_RETRY_BASE_DELAY_MINUTES || '60', 10),
+  AMBIGUITY_RETRY_MAX_DELAY_MINUTES: parseInt(process.env.AMBIGUITY_RETRY_MAX_DELAY_MINUTES || '1440', 10),
+  // Answers with a confidence (0-1) below this are not settled; the market is analysed again after
+  // LOW_CONFIDENCE_REANALYSIS_DELAY_MINUTES, and after LOW_CONFIDENCE_MAX_REANALYSES weak calls in a
+  // row it goes to needs_review. 0 = settle regardless. Markets can override it (`market-threshold`).
+  SETTLEMENT_MIN_CONFIDENCE: parseFloat(process.env.SETTLEMENT_MIN_CONFIDENCE || '0'),
+  LOW_CONFIDENCE_REANALYSIS_DELAY_MINUTES: parseInt(process.env.LOW_CONFIDENCE_REANALYSIS_DELAY_MINUTES || '60', 10),
+  LOW_CONFIDENCE_MAX_REANALYSES: parseInt(process.env.LOW_CONFIDENCE_MAX_REANALYSES || '3', 10),
+  // When failed settlements are tried again, and when they are given up on (dead_letter)
+  RETRY_POLICIES: parseRetryPolicies(),
   SETTLEMENT_DELAY_MINUTES: parseInt(process.env.SETTLEMENT_DELAY_MINUTES || '2', 10),
   get SETTLEMENT_DELAY_MS() {
     return this.SETTLEMENT_DELAY_MINUTES * 60 * 1000;
   },
+  // settleMarket transactions (see services/transactionManager.js)
+  // 'live' sends settleMarket; 'shadow' runs the whole pipeline but only records the decision it
+  // would have made (shadow_settlements table), tagged with SHADOW_RUN_LABEL for comparing trials
+  SETTLEMENT_MODE: (process.env.SETTLEMENT_MODE || 'live').toLowerCase(),
+  SHADOW_RUN_LABEL: process.env.SHADOW_RUN_LABEL || 'default',
+  // When a settlement needs an operator's approval (`proposals approve`) before it is sent.
+  // Comma-separated: 'always', 'ambiguous' (AI could not answer and the market defaulted to NO). Empty = never.
+  SETTLEMENT_APPROVAL_POLICY: (process.env.SETTLEMENT_APPROVAL_POLICY || '')
+    .split(',')
+    .map(rule => rule.trim().toLowerCase())
+    .filter(Boolean),
+  SETTLEMENT_TX_TIMEOUT_MS: parseInt(process.env.SETTLEMENT_TX_TIMEOUT_MS || '180000', 10), // Without a receipt, replace with higher fees
+  SETTLEMENT_TX_POLL_INTERVAL_MS: parseInt(process.env.SETTLEMENT_TX_POLL_INTERVAL_MS || '5000', 10),
+  SETTLEMENT_TX_FEE_BUMP_PERCENT: parseInt(process.env.SETTLEMENT_TX_FEE_BUMP_PERCENT || '20', 10), // Nodes require at least 10
+  SETTLEMENT_TX_MAX_REPLACEMENTS: parseInt(process.env.SETTLEMENT_TX_MAX_REPLACEMENTS || '3', 10),
+  SETTLEMENT_TX_MAX_FEE_GWEI: parseFloat(process.env.SETTLEMENT_TX_MAX_FEE_GWEI || '0'), // 0 = no cap
   START_BLOCK: process.env.START_BLOCK ? parseInt(process.env.START_BLOCK, 10) : 0,
+  CHAINS: parseChainsConfig(),
   EVENT_QUERY_BATCH_SIZE: parseInt(process.env.EVENT_QUERY_BATCH_SIZE || '450', 10),
+  // RPC endpoint pool (see services/providerPool.js)
+  RPC_REQUEST_TIMEOUT_MS: parseInt(process.env.RPC_REQUEST_TIMEOUT_MS || '15000', 10),
+  RPC_MAX_CONSECUTIVE_FAILURES: parseInt(process.env.RPC_MAX_CONSECUTIVE_FAILURES || '3', 10),
+  RPC_MAX_ERROR_RATE: parseFloat(process.env.RPC_MAX_ERROR_RATE || '0.5'),
+  RPC_ENDPOINT_COOLDOWN_MS: parseInt(process.env.RPC_ENDPOINT_COOLDOWN_MS || '60000', 10),
+  RPC_HEALTH_LOG_INTERVAL_MS: parseInt(process.env.RPC_HEALTH_LOG_INTERVAL_MS || '300000', 10),
+  // Resume PNP_MarketCreated backfill from the persisted cursor on startup (set to 'false' to disable)
+  BACKFILL_ENABLED: process.env.BACKFILL_ENABLED !== 'false',
+  // Blocks a PNP_MarketCreated log must be buried under before it is ingested (0 = ingest immediately)
+  CONFIRMATION_DEPTH: parseInt(process.env.CONFIRMATION_DEPTH || '3', 10),
+  // How far back from head stored block hashes are compared with the canonical chain
+  REORG_CHECK_DEPTH: parseInt(process.env.REORG_CHECK_DEPTH || '128', 10),
+  REORG_CHECK_INTERVAL_MS: parseInt(process.env.REORG_CHECK_INTERVAL_MS || '60000', 10),
+  // How new PNP_MarketCreated events are picked up: 'subscription' (provider filters/block events)
+  // or 'polling' (eth_getLogs from the cursor every LOG_POLL_INTERVAL_MS, for RPCs that drop filters)
+  INGESTION_MODE: (process.env.INGESTION_MODE || 'subscription').toLowerCase(),
+  LOG_POLL_INTERVAL_MS: parseInt(process.env.LOG_POLL_INTERVAL_MS || '15000', 10),
+  // WebSocket subscriptions (chains with a wsUrl): reconnect backoff and dead-socket detection
+  WS_RECONNECT_BASE_DELAY_MS: parseInt(process.env.WS_RECONNECT_BASE_DELAY_MS || '1000', 10),
+  WS_RECONNECT_MAX_DELAY_MS: parseInt(process.env.WS_RECONNECT_MAX_DELAY_MS || '60000', 10),
+  WS_HEARTBEAT_INTERVAL_MS: parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10),
   MARKET_PROCESSOR_CRON_SCHEDULE: process.env.MARKET_PROCESSOR_CRON_SCHEDULE || '*/1 * * * *',
+  // Job queue (see jobs/jobWorkers.js): metadata fetches, resolution analysis and settlements are queued in the
+  // jobs table. Per type: how many run at once, how many may start per minute (0 = no limit), and how many
+  // seconds a job may run before it is considered lost and taken again (visibility timeout)
+  JOB_METADATA_CONCURRENCY: parseInt(process.env.JOB_METADATA_CONCURRENCY || '4', 10),
+  JOB_METADATA_RATE_PER_MINUTE: parseInt(process.env.JOB_METADATA_RATE_PER_MINUTE || '120', 10),
+  JOB_METADATA_TIMEOUT_SECONDS: parseInt(process.env.JOB_METADATA_TIMEOUT_SECONDS || '120', 10),
+  JOB_RESOLUTION_CONCURRENCY: parseInt(process.env.JOB_RESOLUTION_CONCURRENCY || '2', 10),
+  JOB_RESOLUTION_RATE_PER_MINUTE: parseInt(process.env.JOB_RESOLUTION_RATE_PER_MINUTE || '10', 10),
+  JOB_RESOLUTION_TIMEOUT_SECONDS: parseInt(process.env.JOB_RESOLUTION_TIMEOUT_SECONDS || '300', 10),
+  JOB_SETTLEMENT_CONCURRENCY: parseInt(process.env.JOB_SETTLEMENT_CONCURRENCY || '1', 10),
+  JOB_SETTLEMENT_RATE_PER_MINUTE: parseInt(process.env.JOB_SETTLEMENT_RATE_PER_MINUTE || '30', 10),
+  JOB_SETTLEMENT_TIMEOUT_SECONDS: parseInt(process.env.JOB_SETTLEMENT_TIMEOUT_SECONDS || '1800', 10), // Covers fee-bumped replacements
+  // A job that throws is retried after JOB_RETRY_BASE_DELAY_SECONDS, doubling each time, up to JOB_MAX_ATTEMPTS attempts
+  JOB_MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+  JOB_RETRY_BASE_DELAY_SECONDS: parseInt(process.env.JOB_RETRY_BASE_DELAY_SECONDS || '30', 10),
+  JOB_POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10),
+  JOB_RETENTION_DAYS: parseInt(process.env.JOB_RETENTION_DAYS || '7', 10), // Completed jobs are deleted after this
+  // HTTP admin and status API (see services/adminApi.js), off with port 0. Every endpoint except /health needs a
+  // bearer token: read tokens can query, operator tokens can also reset, requeue and pause. Comma-separated.
+  ADMIN_API_PORT: parseInt(process.env.ADMIN_API_PORT || '0', 10),
+  ADMIN_API_HOST: process.env.ADMIN_API_HOST || '127.0.0.1',
+  ADMIN_API_READ_TOKENS: (process.env.ADMIN_API_READ_TOKENS || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean),
+  ADMIN_API_OPERATOR_TOKENS: (process.env.ADMIN_API_OPERATOR_TOKENS || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean),
+  NOTIFICATION_WEBHOOKS: parseNotificationWebhooks(),
+  // Failed deliveries are retried after NOTIFICATION_RETRY_BASE_DELAY_SECONDS, doubling each time, up to NOTIFICATION_MAX_ATTEMPTS attempts
+  NOTIFICATION_MAX_ATTEMPTS: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '10', 10),
+  NOTIFICATION_RETRY_BASE_DELAY_SECONDS: parseInt(process.env.NOTIFICATION_RETRY_BASE_DELAY_SECONDS || '30', 10),
+  NOTIFICATION_TIMEOUT_MS: parseInt(process.env.NOTIFICATION_TIMEOUT_MS || '10000', 10),
+  // low_settler_balance is sent when the settler wallet holds less than this (native token, e.g. ETH); 0 = never
+  SETTLER_LOW_BALANCE_THRESHOLD: parseFloat(process.env.SETTLER_LOW_BALANCE_THRESHOLD || '0.01'),
   DB_FILE_PATH: process.env.DB_FILE_PATH || './data/market_data.sqlite3',
   DB_BACKUP_INTERVAL_HOURS: parseInt(process.env.DB_BACKUP_INTERVAL_HOURS || '6', 10),
   
@@ -60,14 +372,110 @@ const config = {
 
 // Validate essential configurations
 const requiredConfigs = [
-  'RPC_URL',
   'PRIVATE_KEY',
   'SETTLER_PRIVATE_KEY',
-  'PNP_FACTORY_CONTRACT_ADDRESS',
-  'PPLX_API_KEY',
 ];
 
+// Provider credentials are only needed by the providers in use (none when replaying fixtures)
+const aiProviders = config.AI_FIXTURE_MODE === 'replay' ? [] : [config.AI_SETTLEMENT_PROVIDER, config.AI_RESOLUTION_PROVIDER];
+if (aiProviders.includes('perplexity')) {
+  requiredConfigs.push('PPLX_API_KEY');
+}
+if (aiProviders.includes('openai')) {
+  requiredConfigs.push('AI_OPENAI_BASE_URL');
+}
+
 const missingConfigs = requiredConfigs.filter(key => !config[key]);
+if (config.CHAINS.length === 0) {
+  missingConfigs.push('CHAINS (or RPC_URL/RPC_URLS and PNP_FACTORY_CONTRACT_ADDRESS)');
+}
+
+if (!['subscription', 'polling'].includes(config.INGESTION_MODE)) {
+  console.error(`FATAL ERROR: INGESTION_MODE must be 'subscription' or 'polling', got '${config.INGESTION_MODE}'.`);
+  process.exit(1);
+}
+
+if (!['live', 'shadow'].includes(config.SETTLEMENT_MODE)) {
+  console.error(`FATAL ERROR: SETTLEMENT_MODE must be 'live' or 'shadow', got '${config.SETTLEMENT_MODE}'.`);
+  process.exit(1);
+}
+
+const unknownApprovalRules = config.SETTLEMENT_APPROVAL_POLICY.filter(rule => !['always', 'ambiguous'].includes(rule));
+if (unknownApprovalRules.length > 0) {
+  console.error(`FATAL ERROR: Unknown SETTLEMENT_APPROVAL_POLICY rule(s): ${unknownApprovalRules.join(', ')}. Use 'always' and/or 'ambiguous'.`);
+  process.exit(1);
+}
+
+const unknownAiProviders = aiProviders.filter(provider => !['perplexity', 'openai', 'mock'].includes(provider));
+if (unknownAiProviders.length > 0) {
+  console.error(`FATAL ERROR: Unknown AI provider(s): ${unknownAiProviders.join(', ')}. Use 'perplexity', 'openai' or 'mock'.`);
+  process.exit(1);
+}
+
+if (!['settle_no', 'defer', 'escalate', 'hold'].includes(config.AMBIGUITY_POLICY)) {
+  console.error(`FATAL ERROR: AMBIGUITY_POLICY must be 'settle_no', 'defer', 'escalate' or 'hold', got '${config.AMBIGUITY_POLICY}'.`);
+  process.exit(1);
+}
+
+if (!['off', 'record', 'replay'].includes(config.AI_FIXTURE_MODE)) {
+  console.error(`FATAL ERROR: AI_FIXTURE_MODE must be 'off', 'record' or 'replay', got '${config.AI_FIXTURE_MODE}'.`);
+  process.exit(1);
+}
+
+if (!(config.SETTLEMENT_MIN_CONFIDENCE >= 0 && config.SETTLEMENT_MIN_CONFIDENCE <= 1)) {
+  console.error(`FATAL ERROR: SETTLEMENT_MIN_CONFIDENCE must be between 0 and 1, got '${process.env.SETTLEMENT_MIN_CONFIDENCE}'.`);
+  process.exit(1);
+}
+
+if (!(config.AI_DAILY_BUDGET_USD >= 0) || !(config.AI_MONTHLY_BUDGET_USD >= 0)) {
+  console.error('FATAL ERROR: AI_DAILY_BUDGET_USD and AI_MONTHLY_BUDGET_USD must be 0 (no cap) or more.');
+  process.exit(1);
+}
+
+const jobConcurrencyKeys = ['JOB_METADATA_CONCURRENCY', 'JOB_RESOLUTION_CONCURRENCY', 'JOB_SETTLEMENT_CONCURRENCY', 'JOB_MAX_ATTEMPTS'];
+const invalidJobKeys = jobConcurrencyKeys.filter(key => !(config[key] >= 1));
+if (invalidJobKeys.length > 0) {
+  console.error(`FATAL ERROR: ${invalidJobKeys.join(', ')} must be at least 1.`);
+  process.exit(1);
+}
+
+if (!(config.ADMIN_API_PORT >= 0 && config.ADMIN_API_PORT <= 65535)) {
+  console.error(`FATAL ERROR: ADMIN_API_PORT must be a port number (or 0 to disable the admin API), got '${process.env.ADMIN_API_PORT}'.`);
+  process.exit(1);
+}
+
+if (config.ADMIN_API_PORT > 0 && config.ADMIN_API_READ_TOKENS.length + config.ADMIN_API_OPERATOR_TOKENS.length === 0) {
+  console.error('FATAL ERROR: The admin API (ADMIN_API_PORT) needs ADMIN_API_READ_TOKENS and/or ADMIN_API_OPERATOR_TOKENS.');
+  process.exit(1);
+}
+
+if (!(config.NOTIFICATION_MAX_ATTEMPTS >= 1) || !(config.NOTIFICATION_RETRY_BASE_DELAY_SECONDS >= 0) || !(config.NOTIFICATION_TIMEOUT_MS >= 1)) {
+  console.error('FATAL ERROR: NOTIFICATION_MAX_ATTEMPTS and NOTIFICATION_TIMEOUT_MS must be at least 1 and NOTIFICATION_RETRY_BASE_DELAY_SECONDS 0 or more.');
+  process.exit(1);
+}
+
+if (!(config.SETTLER_LOW_BALANCE_THRESHOLD >= 0)) {
+  console.error(`FATAL ERROR: SETTLER_LOW_BALANCE_THRESHOLD must be 0 (off) or more, got '${process.env.SETTLER_LOW_BALANCE_THRESHOLD}'.`);
+  process.exit(1);
+}
+
+if (!(config.AI_REPAIR_ATTEMPTS >= 0)) {
+  console.error(`FATAL ERROR: AI_REPAIR_ATTEMPTS must be 0 or more, got '${process.env.AI_REPAIR_ATTEMPTS}'.`);
+  process.exit(1);
+}
+
+const totalSettlementVotes = config.AI_SETTLEMENT_MODELS.length * config.AI_SETTLEMENT_SAMPLES;
+if (totalSettlementVotes < 1) {
+  console.error('FATAL ERROR: AI_SETTLEMENT_MODELS must list at least one model and AI_SETTLEMENT_SAMPLES must be at least 1.');
+  process.exit(1);
+}
+
+// A quorum of half the votes or less would let two different answers both reach it
+if (config.AI_CONSENSUS_QUORUM !== 0 &&
+    (config.AI_CONSENSUS_QUORUM <= totalSettlementVotes / 2 || config.AI_CONSENSUS_QUORUM > totalSettlementVotes)) {
+  console.error(`FATAL ERROR: AI_CONSENSUS_QUORUM must be a majority of the ${totalSettlementVotes} settlement vote(s) (or 0 for all of them), got ${config.AI_CONSENSUS_QUORUM}.`);
+  process.exit(1);
+}
 
 if (missingConfigs.length > 0) {
   console.error(`FATAL ERROR: Missing critical environment variables: ${missingConfigs.join(', ')}`);
@@ -0,0 +1,117 @@
+import logger from './utils/logger.js';
+import config from './config.js'; // Loads .env and validates config
+import {
+  initializeBlockchainService,
+  syncPastMarketCreatedEvents,
+  listenForMarketCreatedEvents,
+  recoverPendingSettlements,
+  checkSettlerBalances,
+} from './services/blockchain.js';
+import { startMarketProcessorJob } from './jobs/marketProcessor.js';
+import { startJobWorkers } from './jobs/jobWorkers.js';
+import { startAdminApi } from './services/adminApi.js';
+import { startNotificationDelivery } from './services/notifications.js';
+// Import database to ensure it's initialized
+import * as database from './services/database.js';
+
+// The indexer daemon, started by `node src/index.js` without a command (operator commands are in cli.js)
+
+async function main() {
+  logger.info('Starting EVM Market Indexer...');
+  logger.info(`Application Mode: ${config.NODE_ENV}`);
+  if (config.SETTLEMENT_MODE === 'shadow') {
+    logger.warn(`Shadow settlement mode (run "${config.SHADOW_RUN_LABEL}"): decisions are recorded in shadow_settlements and settleMarket is never sent.`);
+  }
+
+  try {
+    // Initialize database first (dbPromise resolves)
+    await database.recoverPendingOperations(); // Ensure recovery is attempted early
+    logger.info('Database service initialized and recovery attempted.');
+
+    // 1. Initialize Blockchain Service (connect to RPC, setup wallet, contract)
+    await initializeBlockchainService();
+    logger.info('Blockchain service ready.');
+
+    // Webhook notifications (NOTIFICATION_WEBHOOKS); deliveries left from an earlier run go out first
+    startNotificationDelivery();
+
+    // Resolve settlement transactions that were in flight when the indexer last stopped
+    await recoverPendingSettlements();
+    await checkSettlerBalances();
+
+    // Start the job workers; jobs queued or running when the indexer last stopped are picked up again
+    await startJobWorkers();
+    logger.info('Job workers started.');
+
+    // Admin and status API (ADMIN_API_PORT), up before the backfill so a long catch-up can be watched
+    await startAdminApi();
+
+    // 2. Sync past events from the persisted cursor (or START_BLOCK on first run)
+    // This is crucial for resilience and to catch up on missed events if the script was down.
+    if (config.BACKFILL_ENABLED) {
+      await syncPastMarketCreatedEvents();
+    } else {
+      logger.info('Skipped syncing past market events (BACKFILL_ENABLED=false).');
+    }
+
+    // Log all stored market questions after initial sync
+    try {
+      const allMarkets = await database.getAllMarkets();
+      if (allMarkets && allMarkets.length > 0) {
+        logger.info(`--- Stored Market Questions (${allMarkets.length} total) ---`);
+        allMarkets.forEach(market => {
+          logger.info({
+            chainId: market.chainId,
+            conditionId: market.conditionId,
+            question: market.marketQuestion ? market.marketQuestion.substring(0, 150) + (market.marketQuestion.length > 150 ? '...':'') : '[NO QUESTION STORED]',
+            endTime: market.marketEndTime ? new Date(market.marketEndTime * 1000).toISOString() : '[NO END TIME]'
+          });
+        });
+        logger.info(`--- End of Stored Market Questions ---`);
+      } else {
+        logger.info('No markets found in the database to log questions for.');
+      }
+    } catch (error) {
+      logger.error({error}, 'Failed to fetch and log all market questions.');
+    }
+
+    // 3. Start listening for real-time MarketCreated events (catches up any blocks
+    // produced since the sync finished before handing off to the live subscription)
+    await listenForMarketCreatedEvents();
+    logger.info('Now listening for live MarketCreated events.');
+
+    // 4. Start the Market Processor Job (periodically queues the markets due for settlement)
+    startMarketProcessorJob();
+    logger.info('Market processor job scheduled.');
+
+    logger.info('EVM Market Indexer started successfully and is running.');
+
+  } catch (error) {
+    logger.fatal({ err: error }, 'Failed to start the EVM Market Indexer');
+    process.exit(1);
+  }
+}
+
+main();
+
+// Graceful shutdown handling
+const signals = { 'SIGHUP': 1, 'SIGINT': 2, 'SIGTERM': 15 };
+Object.keys(signals).forEach((signal) => {
+  process.on(signal, () => {
+    logger.info(`Received ${signal}, shutting down gracefully...`);
+    // Add any specific cleanup tasks here if needed before exiting
+    // The database connection closes on 'exit' event (handled in database.js)
+    // cron jobs are automatically stopped when the process exits
+    process.exit(128 + signals[signal]);
+  });
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error({ reason, promise }, 'Unhandled Rejection at Promise');
+  // Consider a more graceful shutdown or specific error handling
+});
+
+process.on('uncaughtException', (error) => {
+  logger.fatal({ err: error }, 'Uncaught Exception thrown');
+  process.exit(1); // Mandatory exit after uncaught exception
+}); 
\ No newline at end of file
@@ -0,0 +1,64 @@
+import * as db from '../services/database.js';
+import { getBudgetStatus } from '../services/aiBudget.js';
+
+function formatUsd(value) {
+  return value === null || value === undefined ? 'n/a' : `$${value.toFixed(4)}`;
+}
+
+// Start of the reported period as an ai_usage.createdAt timestamp (UTC), null for all time
+function periodStart(period) {
+  const now = new Date();
+  const start = period === 'day'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : period === 'month' ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)) : null;
+  return start ? start.toISOString().replace('T', ' ').substring(0, 19) : null;
+}
+
+// AI spend per task and model, the most expensive markets and the budget caps (`ai-usage [day|month|all]`)
+export async function printAIUsageReport(period = 'month') {
+  const since = periodStart(period);
+  const summary = await db.getAIUsageSummary(since);
+  const markets = await db.getAIUsageByMarket(since);
+  const budgets = await getBudgetStatus();
+
+  console.log(`\n💸 AI USAGE (${{ day: 'today, UTC', month: 'this month, UTC', all: 'all time' }[period]})`);
+  console.log('──────────────────────────────────────────────────────────────────────────────');
+  for (const budget of budgets) {
+    console.log(
+      `${budget.period === 'daily' ? 'Today' : 'This month'}: ${formatUsd(budget.spentUsd)}` +
+      (budget.capUsd > 0 ? ` of ${formatUsd(budget.capUsd)}${budget.exceeded ? ' — CAP REACHED' : ''}` : ' (no cap)')
+    );
+  }
+  console.log('──────────────────────────────────────────────────────────────────────────────');
+
+  if (summary.length === 0) {
+    console.log('No AI usage recorded.');
+  }
+  let total = 0;
+  for (const row of summary) {
+    total += row.costUsd || 0;
+    console.log(
+      `${row.task.padEnd(10)} | ${(row.model || '?').padEnd(20)} | ` +
+      `${row.requests} requests | ${row.promptTokens} in / ${row.completionTokens} out tokens | ` +
+      `${formatUsd(row.costUsd)}${row.unpricedRequests > 0 ? ` (${row.unpricedRequests} without a price)` : ''}`
+    );
+  }
+  if (summary.length > 0) {
+    console.log(`Total: ${formatUsd(total)}`);
+  }
+
+  if (markets.length > 0) {
+    console.log('\nMost expensive markets:');
+    for (const market of markets) {
+      const question = market.marketQuestion
+        ? market.marketQuestion.substring(0, 60) + (market.marketQuestion.length > 60 ? '...' : '')
+        : 'No question';
+      console.log(
+        `  ${market.conditionId.substring(0, 10)}... | ${formatUsd(market.costUsd)} ` +
+        `(resolution ${formatUsd(market.resolutionCostUsd)}, settlement ${formatUsd(market.settlementCostUsd)}) | Q: ${question}`
+      );
+    }
+  }
+  console.log('──────────────────────────────────────────────────────────────────────────────\n');
+  return { summary, markets, budgets };
+}
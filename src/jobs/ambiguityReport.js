@@ -0,0 +1,51 @@
+import config from '../config.js';
+import * as db from '../services/database.js';
+
+// Where each market stands after the AI found its question ambiguous
+function describeAmbiguityStatus(market, openProposal) {
+  if (market.isSettledOnChain) {
+    return 'settled';
+  }
+  if (market.ambiguityHeld) {
+    return 'on hold';
+  }
+  if (openProposal) {
+    return `proposal #${openProposal.id} ${openProposal.status}`;
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (market.reanalyzeAfter && market.reanalyzeAfter > now) {
+    return `re-analysis after ${new Date(market.reanalyzeAfter * 1000).toISOString()}`;
+  }
+  return 'pending';
+}
+
+// Lists markets the AI found ambiguous and the AMBIGUITY_POLICY applied to each (`ambiguous-markets [policy]`)
+export async function printAmbiguousMarkets(policy = null) {
+  const markets = await db.getAmbiguousMarkets(policy);
+
+  const byPolicy = new Map();
+  for (const market of markets) {
+    byPolicy.set(market.ambiguityPolicy, (byPolicy.get(market.ambiguityPolicy) || 0) + 1);
+  }
+
+  console.log(`\n❓ AMBIGUOUS MARKETS${policy ? ` (${policy})` : ''} — current policy: ${config.AMBIGUITY_POLICY}`);
+  console.log('Total: ' + markets.length + (byPolicy.size > 0 ? ' | ' + [...byPolicy].map(([name, count]) => `${name}: ${count}`).join(', ') : ''));
+  console.log('──────────────────────────────────────────────────────────────────────────────');
+  for (const market of markets) {
+    const latest = await db.getLatestSettlementProposal(market.conditionId);
+    const openProposal = latest && ['awaiting_approval', 'needs_review'].includes(latest.status) ? latest : null;
+    const question = market.marketQuestion
+      ? market.marketQuestion.substring(0, 70) + (market.marketQuestion.length > 70 ? '...' : '')
+      : 'No question';
+    console.log(
+      `Chain: ${market.chainId ?? '?'} | ` +
+      `ID: ${market.conditionId.substring(0, 10)}... | ` +
+      `Policy: ${market.ambiguityPolicy} | ` +
+      `Ambiguous ${market.ambiguousCount}x | ` +
+      describeAmbiguityStatus(market, openProposal)
+    );
+    console.log(`   Q: ${question}`);
+  }
+  console.log('──────────────────────────────────────────────────────────────────────────────\n');
+  return markets;
+}
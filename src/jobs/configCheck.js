@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+import config from '../config.js';
+import { redactUrl } from '../services/providerPool.js';
+
+// `config check` CLI command. The configuration itself is validated when config.js is loaded (a bad
+// value exits with a FATAL ERROR before this runs); this checks what it points at: every RPC endpoint
+// answers for the configured chain, the factories have code, the settler wallet has funds and the
+// database opens. Nothing is written and no service is started.
+
+// JSON-RPC call with a timeout, without the provider pool's retries and failover
+async function rpcCall(url, method, params = []) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(config.RPC_REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(body.error.message || JSON.stringify(body.error));
+  }
+  return body.result;
+}
+
+async function checkEndpoint(url) {
+  const endpoint = { endpoint: redactUrl(url), ok: false, chainId: null, blockNumber: null, error: null };
+  try {
+    const [chainId, blockNumber] = await Promise.all([rpcCall(url, 'eth_chainId'), rpcCall(url, 'eth_blockNumber')]);
+    Object.assign(endpoint, { ok: true, chainId: Number(chainId), blockNumber: Number(blockNumber) });
+  } catch (error) {
+    endpoint.error = error.message || String(error);
+  }
+  return endpoint;
+}
+
+async function checkChain(chainConfig, settlerAddress, indexerAddress) {
+  const problems = [];
+  const label = chainConfig.name || chainConfig.chainId || redactUrl(chainConfig.rpcUrl);
+  const endpoints = await Promise.all(chainConfig.rpcUrls.map(checkEndpoint));
+  for (const endpoint of endpoints) {
+    if (!endpoint.ok) {
+      problems.push(`Chain ${label}: RPC endpoint ${endpoint.endpoint} failed: ${endpoint.error}`);
+    }
+  }
+
+  const chainIds = [...new Set(endpoints.filter(e => e.ok).map(e => e.chainId))];
+  if (chainIds.length > 1) {
+    problems.push(`Chain ${label}: RPC endpoints serve different chains (${chainIds.join(', ')})`);
+  } else if (chainIds.length === 1 && chainConfig.chainId !== null && chainIds[0] !== chainConfig.chainId) {
+    problems.push(`Chain ${label}: RPC endpoints serve chain ${chainIds[0]}, but the configuration says ${chainConfig.chainId}`);
+  }
+
+  const result = {
+    chainId: chainConfig.chainId ?? chainIds[0] ?? null,
+    name: chainConfig.name,
+    factoryAddress: chainConfig.factoryAddress,
+    startBlock: chainConfig.startBlock,
+    webSocket: chainConfig.wsUrl ? redactUrl(chainConfig.wsUrl) : null,
+    endpoints,
+    factoryDeployed: null,
+    settlerBalance: null,
+    indexerBalance: null
+  };
+
+  // The remaining checks go to the first endpoint that answered
+  const working = chainConfig.rpcUrls.find((url, index) => endpoints[index].ok);
+  if (!working) {
+    problems.push(`Chain ${label}: no RPC endpoint is reachable`);
+    return { result, problems };
+  }
+  try {
+    const code = await rpcCall(working, 'eth_getCode', [chainConfig.factoryAddress, 'latest']);
+    result.factoryDeployed = code !== '0x';
+    if (!result.factoryDeployed) {
+      problems.push(`Chain ${label}: no contract deployed at factory address ${chainConfig.factoryAddress}`);
+    }
+    const [settlerBalance, indexerBalance] = await Promise.all([
+      rpcCall(working, 'eth_getBalance', [settlerAddress, 'latest']),
+      rpcCall(working, 'eth_getBalance', [indexerAddress, 'latest'])
+    ]);
+    result.settlerBalance = ethers.formatEther(BigInt(settlerBalance));
+    result.indexerBalance = ethers.formatEther(BigInt(indexerBalance));
+    // Shadow runs never send a transaction, so an empty settler wallet is fine there
+    if (config.SETTLEMENT_MODE === 'live' && BigInt(settlerBalance) < ethers.parseEther(config.SETTLER_LOW_BALANCE_THRESHOLD.toFixed(18))) {
+      problems.push(`Chain ${label}: settler balance ${result.settlerBalance} is below SETTLER_LOW_BALANCE_THRESHOLD (${config.SETTLER_LOW_BALANCE_THRESHOLD})`);
+    }
+  } catch (error) {
+    problems.push(`Chain ${label}: ${error.message || error}`);
+  }
+  return { result, problems };
+}
+
+async function checkDatabase() {
+  try {
+    // Imported here so a database that can't be opened is reported rather than ending the check
+    const db = await import('../services/database.js');
+    const [statusCounts, cursors] = await Promise.all([db.getMarketStatusCounts(), db.getSyncStates()]);
+    return {
+      result: {
+        path: config.DB_FILE_PATH,
+        ok: true,
+        markets: Object.fromEntries(statusCounts.map(({ status, count }) => [status, count])),
+        cursors: cursors.map(({ chainId, contractAddress, lastProcessedBlock, updatedAt }) => ({ chainId, contractAddress, lastProcessedBlock, updatedAt }))
+      },
+      problems: []
+    };
+  } catch (error) {
+    return { result: { path: config.DB_FILE_PATH, ok: false, error: error.message || String(error) }, problems: [`Database ${config.DB_FILE_PATH}: ${error.message || error}`] };
+  }
+}
+
+export async function checkConfig() {
+  const settlerAddress = new ethers.Wallet(config.SETTLER_PRIVATE_KEY).address;
+  const indexerAddress = new ethers.Wallet(config.PRIVATE_KEY).address;
+  const [chainChecks, databaseCheck] = await Promise.all([
+    Promise.all(config.CHAINS.map(chainConfig => checkChain(chainConfig, settlerAddress, indexerAddress))),
+    checkDatabase()
+  ]);
+
+  const problems = [...chainChecks.flatMap(check => check.problems), ...databaseCheck.problems];
+  return {
+    ok: problems.length === 0,
+    problems,
+    settings: {
+      nodeEnv: config.NODE_ENV,
+      settlementMode: config.SETTLEMENT_MODE,
+      shadowRunLabel: config.SETTLEMENT_MODE === 'shadow' ? config.SHADOW_RUN_LABEL : null,
+      ingestionMode: config.INGESTION_MODE,
+      backfill: config.BACKFILL_ENABLED,
+      confirmationDepth: config.CONFIRMATION_DEPTH,
+      aiSettlementProvider: config.AI_SETTLEMENT_PROVIDER,
+      aiSettlementModels: config.AI_SETTLEMENT_MODELS,
+      aiResolutionProvider: config.AI_RESOLUTION_PROVIDER,
+      aiFixtureMode: config.AI_FIXTURE_MODE,
+      approvalPolicy: config.SETTLEMENT_APPROVAL_POLICY,
+      ambiguityPolicy: config.AMBIGUITY_POLICY,
+      adminApi: config.ADMIN_API_PORT ? `${config.ADMIN_API_HOST}:${config.ADMIN_API_PORT}` : null,
+      notificationWebhooks: config.NOTIFICATION_WEBHOOKS.length,
+      supabase: Boolean(config.SUPABASE_URL && config.SUPABASE_ANON_KEY)
+    },
+    wallets: { indexer: indexerAddress, settler: settlerAddress },
+    chains: chainChecks.map(check => check.result),
+    database: databaseCheck.result
+  };
+}
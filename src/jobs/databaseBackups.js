@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+// Restoring database backups (`restore` CLI command). Works on the files only and never opens the
+// database, so it can't be imported next to services/database.js; backups are made there (backupDatabase).
+// The indexer must be stopped while a backup is restored.
+
+const SQLITE_HEADER = 'SQLite format 3\0';
+const DB_FILE_SUFFIXES = ['', '-wal', '-shm'];
+
+function getBackupDir() {
+  return path.join(path.dirname(config.DB_FILE_PATH), 'backups');
+}
+
+function isSqliteFile(file) {
+  const header = Buffer.alloc(SQLITE_HEADER.length);
+  const fd = fs.openSync(file, 'r');
+  try {
+    return fs.readSync(fd, header, 0, header.length, 0) === header.length && header.toString('latin1') === SQLITE_HEADER;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Backups in <database directory>/backups, newest first
+export function listDatabaseBackups() {
+  const backupDir = getBackupDir();
+  if (!fs.existsSync(backupDir)) {
+    return [];
+  }
+  return fs.readdirSync(backupDir)
+    .filter(file => file.startsWith('market_data_') && file.endsWith('.sqlite3'))
+    .map(file => {
+      const filePath = path.join(backupDir, file);
+      const stats = fs.statSync(filePath);
+      return { path: filePath, size: stats.size, createdAt: stats.mtime.toISOString(), hasWal: fs.existsSync(`${filePath}-wal`) };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Replaces the database with a backup (and the backup's WAL file, if it has one). The current database
+// files are renamed to <name>.before-restore-<timestamp> rather than deleted.
+export function restoreDatabase(backupPath) {
+  const source = path.resolve(backupPath);
+  const target = path.resolve(config.DB_FILE_PATH);
+  if (!fs.existsSync(source) || !fs.statSync(source).isFile()) {
+    throw new Error(`Backup ${backupPath} not found`);
+  }
+  if (source === target) {
+    throw new Error('The backup is the database itself');
+  }
+  if (!isSqliteFile(source)) {
+    throw new Error(`${backupPath} is not an SQLite database`);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const movedAside = [];
+  for (const suffix of DB_FILE_SUFFIXES) {
+    if (fs.existsSync(`${target}${suffix}`)) {
+      const asidePath = `${target}${suffix}.before-restore-${timestamp}`;
+      fs.renameSync(`${target}${suffix}`, asidePath);
+      movedAside.push(asidePath);
+    }
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(source, target);
+  if (fs.existsSync(`${source}-wal`)) {
+    fs.copyFileSync(`${source}-wal`, `${target}-wal`);
+  }
+
+  logger.warn({ backup: source, database: target, movedAside }, 'Database restored from backup.');
+  return { restoredFrom: source, database: target, movedAside };
+}
@@ -0,0 +1,95 @@
+import logger from '../utils/logger.js';
+import * as db from '../services/database.js';
+
+// Operator side of failed settlements (`node src/index.js dead-letter ...`): markets given up on after
+// too many failures of one class (see services/retryPolicy.js), what went wrong, and putting them back.
+
+function formatTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+// Lists dead-lettered markets with the failure that put them there (`dead-letter list`)
+export async function listDeadLetterMarkets() {
+  const markets = await db.getDeadLetterMarkets();
+
+  console.log('\n☠️  DEAD-LETTERED MARKETS ☠️');
+  console.log('Total: ' + markets.length);
+  console.log('──────────────────────────────────────────────────────────────────────────────');
+  for (const market of markets) {
+    const question = market.marketQuestion
+      ? market.marketQuestion.substring(0, 70) + (market.marketQuestion.length > 70 ? '...' : '')
+      : 'No question';
+    console.log(
+      `Chain: ${market.chainId ?? '?'} | ` +
+      `ID: ${market.conditionId} | ` +
+      `${market.failureClass || 'unclassified'} x${market.classFailureCount} | ` +
+      `Since: ${market.deadLetteredAt || '?'}`
+    );
+    console.log(`   Q: ${question}`);
+    console.log(`   Last error: ${market.lastError || '-'}`);
+  }
+  console.log('──────────────────────────────────────────────────────────────────────────────\n');
+  return markets;
+}
+
+// Failure history of one market, dead-lettered or not (`dead-letter show <conditionId>`)
+export async function showMarketFailures(conditionId) {
+  const market = await db.getMarket(conditionId);
+  if (!market) {
+    return { success: false, error: 'Market not found' };
+  }
+  const responseFailures = await db.getAIResponseFailures(conditionId);
+  const proposal = await db.getLatestSettlementProposal(conditionId);
+
+  console.log(`\n🔎 MARKET ${conditionId}`);
+  console.log('──────────────────────────────────────────────────────────────────────────────');
+  console.log(`Question: ${market.marketQuestion || 'No question'}`);
+  console.log(`Chain: ${market.chainId ?? '?'} | Factory: ${market.factoryAddress || '?'} | End: ${formatTimestamp(market.marketEndTime)}`);
+  console.log(`Status: ${market.settlementStatus || (market.processedForSettlement ? 'processed' : market.ambiguityHeld ? 'on hold (ambiguous)' : 'active')}`);
+  console.log(`Failed attempts: ${market.retries} in total, ${market.classFailureCount} in a row of class ${market.failureClass || '-'}`);
+  console.log(`Last failure: ${market.lastFailedAt || '-'} | Next attempt: ${formatTimestamp(market.nextAttemptAt)}`);
+  console.log(`Dead-lettered: ${market.deadLetteredAt || '-'}`);
+  console.log(`Last error: ${market.lastError || '-'}`);
+  if (proposal) {
+    console.log(`Latest proposal: #${proposal.id} ${proposal.status} (${proposal.aiAnswer})`);
+  }
+  if (responseFailures.length > 0) {
+    console.log('Invalid AI responses (latest 5):');
+    for (const failure of responseFailures.slice(-5)) {
+      console.log(`  ${failure.createdAt} | ${failure.task} | ${failure.model || '?'} | ${failure.errorType}${failure.repaired ? ' (repaired)' : ''}: ${failure.error || '-'}`);
+    }
+  }
+  console.log('──────────────────────────────────────────────────────────────────────────────\n');
+  return { success: true, market };
+}
+
+// Puts a dead-lettered (or held, or failing) market back in line with a clean failure count
+// (`dead-letter requeue <conditionId>`); the running indexer picks it up on its next run
+export async function requeueMarket(conditionId) {
+  try {
+    const market = await db.getMarket(conditionId);
+    if (!market) {
+      logger.error({ conditionId }, 'Cannot requeue market - not found in database');
+      return { success: false, error: 'Market not found' };
+    }
+    if (market.processedForSettlement) {
+      logger.warn({ conditionId }, 'Cannot requeue market - already marked as processed');
+      return { success: false, error: 'Market is already processed' };
+    }
+    if (market.settlementStatus === 'paused') {
+      logger.warn({ conditionId }, 'Cannot requeue market - paused');
+      return { success: false, error: 'Market is paused; resume it instead' };
+    }
+    if (market.settlementStatus !== 'dead_letter' && !market.ambiguityHeld && !(market.retries > 0)) {
+      logger.warn({ conditionId }, 'Cannot requeue market - not dead-lettered, held or failing');
+      return { success: false, error: 'Market has no failed attempts' };
+    }
+
+    await db.requeueMarket(conditionId);
+    logger.info({ conditionId, previousStatus: market.settlementStatus, failureClass: market.failureClass }, 'Market requeued for settlement');
+    return { success: true, message: market.ambiguityHeld ? 'Market released from ambiguity hold' : 'Market requeued' };
+  } catch (error) {
+    logger.error({ err: error, conditionId }, 'Error requeueing market');
+    return { success: false, error: error.message || error };
+  }
+}
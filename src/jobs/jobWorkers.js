@@ -0,0 +1,214 @@
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import * as db from '../services/database.js';
+import { jobRuns, jobDuration } from '../services/metrics.js';
+import { fetchMarketMetadata, analyzeMarketResolution } from '../services/blockchain.js';
+import { processMarketSettlement } from './marketProcessor.js';
+
+// Workers for the persisted job queue (jobs table). Each job type has its own concurrency limit,
+// start rate and visibility timeout, so a burst of new markets queues up instead of hitting the
+// AI API and the RPC all at once. A job that throws is retried with a growing delay; a job still
+// running past its timeout (e.g. a hung RPC call) is taken again.
+
+const JOB_TYPES = {
+  fetch_metadata: {
+    run: job => fetchMarketMetadata(job.conditionId, job.payload, job.priority),
+    concurrency: config.JOB_METADATA_CONCURRENCY,
+    ratePerMinute: config.JOB_METADATA_RATE_PER_MINUTE,
+    timeoutSeconds: config.JOB_METADATA_TIMEOUT_SECONDS
+  },
+  resolution_analysis: {
+    run: job => analyzeMarketResolution(job.conditionId),
+    concurrency: config.JOB_RESOLUTION_CONCURRENCY,
+    ratePerMinute: config.JOB_RESOLUTION_RATE_PER_MINUTE,
+    timeoutSeconds: config.JOB_RESOLUTION_TIMEOUT_SECONDS
+  },
+  settlement: {
+    run: job => processMarketSettlement(job.conditionId),
+    concurrency: config.JOB_SETTLEMENT_CONCURRENCY,
+    ratePerMinute: config.JOB_SETTLEMENT_RATE_PER_MINUTE,
+    timeoutSeconds: config.JOB_SETTLEMENT_TIMEOUT_SECONDS
+  }
+};
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Per type: jobs running in this process, the start times (ms) of the last minute, and whether an
+// operator paused it (admin API; not persisted, a restart resumes every type)
+const workerState = new Map(Object.keys(JOB_TYPES).map(type => [type, { running: 0, starts: [], paused: false }]));
+let started = false;
+let pollTimer = null;
+let isPolling = false;
+let pollAgain = false;
+
+// How many more jobs of a type may start now
+function availableSlots(type) {
+  const { concurrency, ratePerMinute } = JOB_TYPES[type];
+  const state = workerState.get(type);
+  if (state.paused) return 0;
+  let slots = concurrency - state.running;
+  if (ratePerMinute > 0) {
+    const windowStart = Date.now() - 60 * 1000;
+    state.starts = state.starts.filter(startedAt => startedAt > windowStart);
+    slots = Math.min(slots, ratePerMinute - state.starts.length);
+  }
+  return Math.max(slots, 0);
+}
+
+function getRetryDelaySeconds(attempts) {
+  return Math.min(config.JOB_RETRY_BASE_DELAY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+async function runJob(job) {
+  const state = workerState.get(job.type);
+  state.running++;
+  state.starts.push(Date.now());
+  const startedAt = Date.now();
+
+  try {
+    await JOB_TYPES[job.type].run(job);
+    const completed = await db.completeJob(job.id, job.attempts);
+    jobRuns.inc({ type: job.type, result: 'completed' });
+    if (completed) {
+      logger.debug({ jobId: job.id, type: job.type, conditionId: job.conditionId, durationMs: Date.now() - startedAt }, 'Job completed.');
+    } else {
+      logger.warn({ jobId: job.id, type: job.type, conditionId: job.conditionId }, 'Job finished after it was taken again (visibility timeout) or cancelled (reorg rollback).');
+    }
+  } catch (error) {
+    if (error.deferUntil) {
+      await deferJob(job, error);
+      return;
+    }
+    const retryAt = job.attempts < config.JOB_MAX_ATTEMPTS
+      ? Math.floor(Date.now() / 1000) + getRetryDelaySeconds(job.attempts)
+      : null;
+    jobRuns.inc({ type: job.type, result: retryAt ? 'retried' : 'failed' });
+    logger.error({
+      err: error,
+      jobId: job.id,
+      type: job.type,
+      conditionId: job.conditionId,
+      attempts: job.attempts,
+      retryAt: retryAt ? new Date(retryAt * 1000).toISOString() : null
+    }, retryAt ? 'Job failed; it will be retried.' : `Job failed ${job.attempts} times; giving up.`);
+    await db.failJob(job.id, job.attempts, error.message || String(error), retryAt).catch(dbError => {
+      logger.error({ err: dbError, jobId: job.id }, 'Failed to record job failure');
+    });
+  } finally {
+    jobDuration.observe({ type: job.type }, (Date.now() - startedAt) / 1000);
+    state.running--;
+    schedulePoll(0); // A slot is free
+  }
+}
+
+// A job that throws an error with deferUntil (Unix seconds) can't run before then, e.g. because the AI
+// budget is used up. It waits in the queue without using up an attempt.
+async function deferJob(job, error) {
+  jobRuns.inc({ type: job.type, result: 'deferred' });
+  logger.warn({
+    jobId: job.id,
+    type: job.type,
+    conditionId: job.conditionId,
+    runAfter: new Date(error.deferUntil * 1000).toISOString()
+  }, `Job deferred: ${error.message}`);
+  await db.deferJob(job.id, job.attempts, error.deferUntil).catch(dbError => {
+    logger.error({ err: dbError, jobId: job.id }, 'Failed to defer job');
+  });
+}
+
+async function pollJobs() {
+  for (const type of Object.keys(JOB_TYPES)) {
+    const slots = availableSlots(type);
+    if (slots === 0) continue;
+    const jobs = await db.claimJobs(type, slots, JOB_TYPES[type].timeoutSeconds);
+    for (const job of jobs) {
+      runJob(job); // Errors are handled in runJob
+    }
+  }
+}
+
+function schedulePoll(delayMs) {
+  if (!started) return;
+  if (isPolling) {
+    pollAgain = true; // Poll again as soon as the current one is done
+    return;
+  }
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(runPoll, delayMs);
+}
+
+async function runPoll() {
+  pollTimer = null;
+  isPolling = true;
+  try {
+    await pollJobs();
+  } catch (error) {
+    logger.error({ err: error }, 'Error polling the job queue');
+  } finally {
+    isPolling = false;
+    const delayMs = pollAgain ? 0 : config.JOB_POLL_INTERVAL_MS;
+    pollAgain = false;
+    schedulePoll(delayMs);
+  }
+}
+
+async function pruneJobs() {
+  try {
+    const pruned = await db.pruneFinishedJobs(config.JOB_RETENTION_DAYS);
+    if (pruned > 0) {
+      logger.info({ pruned }, 'Deleted old finished jobs.');
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Error pruning finished jobs');
+  }
+}
+
+export async function startJobWorkers() {
+  const released = await db.releaseRunningJobs();
+  if (released > 0) {
+    logger.info({ released }, 'Requeued jobs that were running when the indexer last stopped.');
+  }
+  const counts = await db.getJobCounts();
+  logger.info({ counts: counts.filter(row => row.status === 'pending') }, 'Starting job workers.');
+
+  started = true;
+  schedulePoll(0);
+  pruneJobs();
+  setInterval(pruneJobs, PRUNE_INTERVAL_MS);
+}
+
+// Stops starting jobs of one type, or of every type with null; running jobs finish. Returns the types paused.
+export function pauseJobWorkers(type = null) {
+  const types = type ? [type] : Object.keys(JOB_TYPES);
+  for (const jobType of types) {
+    workerState.get(jobType).paused = true;
+  }
+  logger.warn({ types }, 'Job workers paused.');
+  return types;
+}
+
+export function resumeJobWorkers(type = null) {
+  const types = type ? [type] : Object.keys(JOB_TYPES);
+  for (const jobType of types) {
+    workerState.get(jobType).paused = false;
+  }
+  logger.info({ types }, 'Job workers resumed.');
+  schedulePoll(0);
+  return types;
+}
+
+export function isJobType(type) {
+  return Object.hasOwn(JOB_TYPES, type);
+}
+
+// Per type: limits, jobs running in this process and whether it is paused
+export function getJobWorkerStatus() {
+  return {
+    started,
+    types: Object.fromEntries(Object.entries(JOB_TYPES).map(([type, { concurrency, ratePerMinute }]) => {
+      const state = workerState.get(type);
+      return [type, { running: state.running, paused: state.paused, concurrency, ratePerMinute }];
+    }))
+  };
+}
@@ -0,0 +1,119 @@
+import logger from '../utils/logger.js';
+import * as db from '../services/database.js';
+
+// Operator actions on a single market (admin API and `markets ...` CLI commands). Requeueing a failed
+// market is in deadLetter.js.
+
+const MAX_MARKET_JOBS = 500;
+
+function parseJson(text, fallback = null) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return text;
+  }
+}
+
+// Everything stored about a market: the market row, its journal, the logs it came from, AI analyses
+// and votes, proposals, settlement transactions and jobs. null if the market isn't indexed.
+export async function getMarketDetails(conditionId) {
+  const market = await db.getMarket(conditionId);
+  if (!market) {
+    return null;
+  }
+  const [journal, events, resolutionCriteria, decisions, proposals, transactions, { jobs }, citations, responseFailures] = await Promise.all([
+    db.getMarketJournal(conditionId),
+    db.getMarketEvents(conditionId),
+    db.getResolutionCriteria(conditionId),
+    db.getMarketSettlementDecisions(conditionId),
+    db.getMarketSettlementProposals(conditionId),
+    db.getMarketTransactions(conditionId),
+    db.getJobs({ conditionId, limit: MAX_MARKET_JOBS }),
+    db.getAICitations(conditionId),
+    db.getAIResponseFailures(conditionId)
+  ]);
+  for (const decision of decisions) {
+    decision.votes = await db.getSettlementVotes(decision.id);
+  }
+
+  return {
+    market: { ...market, suspiciousReasons: parseJson(market.suspiciousReasons) },
+    journal: journal.map(entry => ({ ...entry, data: parseJson(entry.data) })),
+    events,
+    ai: { resolutionCriteria, decisions, citations, responseFailures },
+    proposals,
+    transactions,
+    jobs
+  };
+}
+
+// Starts a market's settlement over, e.g. after its settlement was recorded but never made it on chain
+export async function resetMarket(conditionId) {
+  try {
+    const market = await db.getMarket(conditionId);
+    if (!market) {
+      logger.error({ conditionId }, 'Cannot reset market - not found in database');
+      return { success: false, error: 'Market not found' };
+    }
+    if (market.isSettledOnChain) {
+      logger.warn({ conditionId }, 'Cannot reset market - already settled on chain');
+      return { success: false, error: 'Market is already settled on chain' };
+    }
+    if (await db.getPendingTransactionForMarket(conditionId)) {
+      logger.warn({ conditionId }, 'Cannot reset market - a settlement transaction is still pending');
+      return { success: false, error: 'A settlement transaction for the market is still pending' };
+    }
+
+    await db.resetMarket(conditionId);
+    logger.info({ conditionId, previousStatus: market.status }, 'Market reset for settlement');
+    return { success: true, message: market.settlementStatus === 'paused' ? 'Market reset; it stays paused' : 'Market reset' };
+  } catch (error) {
+    logger.error({ err: error, conditionId }, 'Error resetting market');
+    return { success: false, error: error.message || error };
+  }
+}
+
+// Keeps a market from being settled until it is resumed; a settlement already running is not stopped
+export async function pauseMarket(conditionId) {
+  try {
+    const market = await db.getMarket(conditionId);
+    if (!market) {
+      logger.error({ conditionId }, 'Cannot pause market - not found in database');
+      return { success: false, error: 'Market not found' };
+    }
+    if (market.isSettledOnChain || market.processedForSettlement) {
+      logger.warn({ conditionId }, 'Cannot pause market - already processed');
+      return { success: false, error: 'Market is already processed' };
+    }
+    if (market.settlementStatus) {
+      logger.warn({ conditionId, settlementStatus: market.settlementStatus }, `Cannot pause market - it is ${market.settlementStatus}`);
+      return { success: false, error: `Market is ${market.settlementStatus === 'paused' ? 'already paused' : 'dead-lettered'}` };
+    }
+
+    await db.setMarketPaused(conditionId, true);
+    return { success: true, message: 'Market paused' };
+  } catch (error) {
+    logger.error({ err: error, conditionId }, 'Error pausing market');
+    return { success: false, error: error.message || error };
+  }
+}
+
+export async function resumeMarket(conditionId) {
+  try {
+    const market = await db.getMarket(conditionId);
+    if (!market) {
+      logger.error({ conditionId }, 'Cannot resume market - not found in database');
+      return { success: false, error: 'Market not found' };
+    }
+    if (market.settlementStatus !== 'paused') {
+      logger.warn({ conditionId }, 'Cannot resume market - not paused');
+      return { success: false, error: 'Market is not paused' };
+    }
+
+    await db.setMarketPaused(conditionId, false);
+    return { success: true, message: 'Market resumed' };
+  } catch (error) {
+    logger.error({ err: error, conditionId }, 'Error resuming market');
+    return { success: false, error: error.message || error };
+  }
+}
@@ -2,16 +2,12 @@ import cron from 'node-cron';
 import config from '../config.js';
 import logger from '../utils/logger.js';
 import * as db from '../services/database.js';
-import {
-  getMarketSettledFromChain,
-  processMarketAndSettleOnChain,
-  fetchMissingMarketEndTimes,
-  fetchMissingMarketQuestions
-} from '../services/blockchain.js';
+import { getMarketSettledFromChain, processMarketAndSettleOnChain, recordSettlementFailure } from '../services/blockchain.js';
+import { classifyError } from '../services/retryPolicy.js';
+import { cronRuns, cronDuration, cronLastRun } from '../services/metrics.js';
 
-let isProcessing = false; // Simple lock to prevent concurrent processing
-let isFetchingEndTimes = false; // Lock for fetching end times
-let isFetchingQuestions = false; // Lock for fetching questions
+// The cron jobs here only decide what is due and queue it; the work itself runs in the job
+// workers (jobWorkers.js), which limit how much of it runs at once.
 
 // Function to display all markets sorted by end time
 async function displayAllMarketsSortedByEndTime() {
@@ -56,6 +52,7 @@ async function displayAllMarketsSortedByEndTime() {
       console.log(
         `${(index + 1).toString().padStart(2)}. ${timeStatus} | ` +
         `End: ${endTimeStr} | ` + 
+        `Chain: ${market.chainId ?? '?'} | ` +
         `ID: ${market.conditionId.substring(0,10)}... | ` +
         `${market.processedForSettlement ? '✅' : '❌'} | ` +
         `Token: ${winningTokenDisplay}`
@@ -71,129 +68,137 @@ async function displayAllMarketsSortedByEndTime() {
   }
 }
 
-// Function to reset a failed market's status to allow reprocessing
-export async function resetFailedMarket(conditionId) {
+// Sets a market's own confidence threshold (0-1), or goes back to SETTLEMENT_MIN_CONFIDENCE with null
+export async function setMarketConfidenceThreshold(conditionId, minConfidence) {
   try {
+    if (minConfidence !== null && !(minConfidence >= 0 && minConfidence <= 1)) {
+      return { success: false, error: 'Threshold must be between 0 and 1' };
+    }
     const market = await db.getMarket(conditionId);
     if (!market) {
-      logger.error({ conditionId }, 'Cannot reset market - not found in database');
+      logger.error({ conditionId }, 'Cannot set confidence threshold - market not found in database');
       return { success: false, error: 'Market not found' };
     }
-    
-    if (!market.processedForSettlement && market.retries > 0) {
-      // It's a failed market, reset retry count and ensure it's not marked as processed
-      await db.resetMarketProcessedStatus(conditionId);
-      await db.resetMarketRetryCount(conditionId);
-      
-      logger.info({ conditionId }, 'Market reset successfully for reprocessing');
-      return { success: true, message: 'Market reset for reprocessing' };
-    } else if (market.processedForSettlement) {
-      logger.warn({ conditionId }, 'Cannot reset market - already marked as processed');
-      return { success: false, error: 'Market is already processed' };
-    } else {
-      logger.warn({ conditionId }, 'Cannot reset market - no failed attempts recorded');
-      return { success: false, error: 'Market has no failed attempts' };
-    }
+
+    await db.setMarketMinConfidence(conditionId, minConfidence);
+    return { success: true, minConfidence: minConfidence ?? config.SETTLEMENT_MIN_CONFIDENCE };
   } catch (error) {
-    logger.error({ err: error, conditionId }, 'Error resetting failed market');
+    logger.error({ err: error, conditionId }, 'Error setting market confidence threshold');
     return { success: false, error: error.message || error };
   }
 }
 
-async function checkAndProcessMarkets() {
-  if (isProcessing) {
-    logger.warn('Market processing already in progress. Skipping this run.');
+// settlement job: settles one market that is due
+export async function processMarketSettlement(conditionId) {
+  logger.info({ conditionId }, 'Processing market...');
+
+  // Paused (admin API) after the job was queued
+  const market = await db.getMarket(conditionId);
+  if (market?.settlementStatus === 'paused') {
+    logger.info({ conditionId }, 'Market is paused; skipping settlement.');
     return;
   }
-  isProcessing = true;
-  logger.info('Starting market processing job...');
 
+  // 1. Double-check on-chain settlement status before attempting to process. A failed check counts
+  // against the market like any other failed attempt, instead of going to the job's generic retry.
+  let isSettled;
   try {
-    // Display all markets before processing
-    await displayAllMarketsSortedByEndTime();
-    
-    const marketsToProcess = await db.getMarketsToProcess();
-    logger.info(`Found ${marketsToProcess.length} markets due for processing.`);
-
-    for (const market of marketsToProcess) {
-      logger.info({ conditionId: market.conditionId }, 'Processing market...');
-
-      // 1. Double-check on-chain settlement status before attempting to process
-      let isSettled = await getMarketSettledFromChain(market.conditionId);
-      if (isSettled) {
-        logger.info({ conditionId: market.conditionId }, 'Market already settled on-chain. Marking as processed.');
-        await db.setMarketProcessedForSettlement(market.conditionId); // Ensure our DB reflects this
-        // db.updateMarketSettledOnChain is called by getMarketSettledFromChain
-        continue; // Move to the next market
-      }
-
-      // 2. If not settled, attempt to process and settle
-      logger.info({ conditionId: market.conditionId }, 'Market not settled on-chain. Attempting to process settlement.');
-      const settlementResult = await processMarketAndSettleOnChain(market.conditionId);
-
-      if (settlementResult.success) {
-        logger.info({ 
-          conditionId: market.conditionId, 
-          alreadySettled: settlementResult.alreadySettled,
-          result: settlementResult.result 
-        }, 'Market processed and settled successfully.');
-        // db.setMarketProcessedForSettlement is called by processMarketAndSettleOnChain on success
-      } else {
-        logger.error({ conditionId: market.conditionId, error: settlementResult.error }, 'Failed to process market.');
-        // Implement retry logic or error marking in DB if needed
-        // For now, it will be picked up in the next run if still applicable
-      }
-       // Small delay between processing each market to avoid overwhelming RPC/system
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+    isSettled = await getMarketSettledFromChain(conditionId);
   } catch (error) {
-    logger.error({ err: error }, 'Error during market processing job');
-  } finally {
-    isProcessing = false;
-    logger.info('Market processing job finished.');
+    const message = error.message || String(error);
+    const failure = await recordSettlementFailure(conditionId, classifyError(error), message);
+    logger.error({ conditionId, error: message, failureClass: failure.failureClass, deadLetter: !!failure.deadLetter },
+      'Failed to check on-chain settlement status.');
+    return;
+  }
+  if (isSettled) {
+    logger.info({ conditionId }, 'Market already settled on-chain. Marking as processed.');
+    await db.setMarketProcessedForSettlement(conditionId); // Ensure our DB reflects this
+    // db.updateMarketSettledOnChain is called by getMarketSettledFromChain
+    return;
+  }
+
+  // 2. If not settled, attempt to process and settle
+  logger.info({ conditionId }, 'Market not settled on-chain. Attempting to process settlement.');
+  const settlementResult = await processMarketAndSettleOnChain(conditionId);
+
+  if (settlementResult.awaitingApproval) {
+    logger.info({ conditionId, proposalId: settlementResult.proposalId }, 'Settlement is awaiting operator approval.');
+  } else if (settlementResult.deferred) {
+    logger.info({ conditionId, reanalyzeAfter: new Date(settlementResult.reanalyzeAfter * 1000).toISOString() },
+      'Market will be analysed again later.'
+    );
+  } else if (settlementResult.pending) {
+    logger.warn({ conditionId, txHash: settlementResult.txHash, nextAttemptAt: new Date(settlementResult.nextAttemptAt * 1000).toISOString() },
+      'Settlement transaction still pending; it will be followed up.'
+    );
+  } else if (settlementResult.held) {
+    logger.warn({ conditionId }, 'Ambiguous question; market on hold until requeued.');
+  } else if (settlementResult.shadow) {
+    logger.info({ conditionId, aiAnswer: settlementResult.result.aiAnswer }, 'Shadow settlement decision recorded.');
+  } else if (settlementResult.success) {
+    logger.info({ 
+      conditionId, 
+      alreadySettled: settlementResult.alreadySettled,
+      result: settlementResult.result 
+    }, 'Market processed and settled successfully.');
+    // db.setMarketProcessedForSettlement is called by processMarketAndSettleOnChain on success
+  } else {
+    logger.error({ conditionId, error: settlementResult.error, failureClass: settlementResult.failureClass, deadLetter: !!settlementResult.deadLetter },
+      'Failed to process market.');
+    // The market is queued again once its nextAttemptAt has passed, unless it went to dead_letter
   }
 }
 
-async function checkAndFetchMissingEndTimes() {
-    if (isFetchingEndTimes) {
-        logger.warn('Fetching missing end times already in progress. Skipping.');
-        return;
-    }
-    isFetchingEndTimes = true;
-    logger.info('Starting job to fetch missing market end times...');
-    try {
-        // Display all markets before fetching missing end times
-        await displayAllMarketsSortedByEndTime();
-        
-        await fetchMissingMarketEndTimes();
-    } catch (error) {
-        logger.error({ err: error }, 'Error during fetchMissingMarketEndTimes job');
-    } finally {
-        isFetchingEndTimes = false;
-        logger.info('Fetching missing market end times job finished.');
+async function enqueueDueSettlements() {
+  // Display all markets before processing
+  await displayAllMarketsSortedByEndTime();
+  
+  // Earliest end time first, which is also the order the queue runs them in
+  const marketsToProcess = await db.getMarketsToProcess();
+  let queued = 0;
+  for (const market of marketsToProcess) {
+    if (await db.enqueueJob({ type: 'settlement', conditionId: market.conditionId })) {
+      queued++;
     }
+  }
+  logger.info(`Found ${marketsToProcess.length} markets due for processing; queued ${queued} settlement jobs.`);
 }
 
-async function checkAndFetchMissingQuestions() {
-    if (isFetchingQuestions) {
-        logger.warn('Fetching missing questions already in progress. Skipping.');
-        return;
-    }
-    isFetchingQuestions = true;
-    logger.info('Starting job to fetch missing market questions...');
-    try {
-        // Display all markets before fetching missing questions
-        await displayAllMarketsSortedByEndTime();
-        
-        await fetchMissingMarketQuestions();
-    } catch (error) {
-        logger.error({ err: error }, 'Error during fetchMissingMarketQuestions job');
-    } finally {
-        isFetchingQuestions = false;
-        logger.info('Fetching missing market questions job finished.');
+// Markets whose end time or question could not be fetched when they were indexed
+async function enqueueMissingMetadata() {
+  const markets = [...await db.getMarketsMissingEndTime(), ...await db.getMarketsMissingQuestion()];
+  const conditionIds = [...new Set(markets.map(market => market.conditionId))];
+  if (conditionIds.length === 0) {
+    return;
+  }
+  let queued = 0;
+  for (const conditionId of conditionIds) {
+    if (await db.enqueueJob({ type: 'fetch_metadata', conditionId })) {
+      queued++;
     }
+  }
+  logger.info(`Found ${conditionIds.length} markets missing an end time or question; queued ${queued} metadata jobs.`);
+}
+
+// Runs a cron job, logging its errors and recording its duration and outcome for /metrics
+async function runCronJob(name, job) {
+  const startedAt = Date.now();
+  try {
+    await job();
+    cronRuns.inc({ job: name, result: 'success' });
+  } catch (error) {
+    cronRuns.inc({ job: name, result: 'error' });
+    logger.error({ err: error, job: name }, 'Error running market processor job');
+  } finally {
+    cronDuration.observe({ job: name }, (Date.now() - startedAt) / 1000);
+    cronLastRun.set({ job: name }, Math.floor(Date.now() / 1000));
+  }
 }
 
+const queueDueSettlements = () => runCronJob('enqueue_due_settlements', enqueueDueSettlements);
+const queueMissingMetadata = () => runCronJob('enqueue_missing_metadata', enqueueMissingMetadata);
+
 export function startMarketProcessorJob() {
   const cronSchedule = config.MARKET_PROCESSOR_CRON_SCHEDULE;
   if (!cron.validate(cronSchedule)) {
@@ -202,7 +207,7 @@ export function startMarketProcessorJob() {
   }
 
   logger.info(`Scheduling market processing job with cron schedule: ${cronSchedule}`);
-  cron.schedule(cronSchedule, checkAndProcessMarkets);
+  cron.schedule(cronSchedule, queueDueSettlements);
 
   // Schedule fetching missing end times and questions
   const dataSyncSchedule = '*/2 * * * *'; // Every 2 minutes
@@ -211,16 +216,9 @@ export function startMarketProcessorJob() {
     return;
   }
   logger.info(`Scheduling job to fetch missing market data with cron schedule: ${dataSyncSchedule}`);
-  cron.schedule(dataSyncSchedule, async () => {
-    await checkAndFetchMissingEndTimes();
-    // Wait a bit before starting the next job
-    setTimeout(checkAndFetchMissingQuestions, 30000); // 30 seconds later
-  });
-
-  // Run once on startup as well after a short delay
-  setTimeout(checkAndProcessMarkets, 5000);
-  setTimeout(() => {
-    checkAndFetchMissingEndTimes();
-    setTimeout(checkAndFetchMissingQuestions, 15000);
-  }, 2000);
-} 
\ No newline at end of file
+  cron.schedule(dataSyncSchedule, queueMissingMetadata);
+
+  // Run once on startup as well
+  queueDueSettlements();
+  queueMissingMetadata();
+}
@@ -0,0 +1,88 @@
+import os from 'os';
+import logger from '../utils/logger.js';
+import * as db from '../services/database.js';
+
+// Operator side of the settlement approval queue (`node src/index.js proposals ...`). Reviews
+// only change the proposal; the running indexer sends approved settlements on its next run.
+
+function getReviewer() {
+  return process.env.USER || os.userInfo().username || 'cli';
+}
+
+// 'open' lists everything still waiting for an operator: held by the policy or without AI consensus
+export async function listProposals(status = 'open') {
+  const filter = status === 'all' ? null : status === 'open' ? ['awaiting_approval', 'needs_review'] : status;
+  const proposals = await db.getSettlementProposals(filter);
+
+  console.log(`\n📝 SETTLEMENT PROPOSALS (${status}) 📝`);
+  console.log('Total: ' + proposals.length);
+  console.log('──────────────────────────────────────────────────────────────────────────────');
+  for (const proposal of proposals) {
+    const question = proposal.marketQuestion
+      ? proposal.marketQuestion.substring(0, 70) + (proposal.marketQuestion.length > 70 ? '...' : '')
+      : 'No question';
+    const reasoning = proposal.aiReasoning
+      ? proposal.aiReasoning.substring(0, 200) + (proposal.aiReasoning.length > 200 ? '...' : '')
+      : 'No reasoning';
+    console.log(
+      `#${proposal.id} | ${proposal.status} | ` +
+      `Chain: ${proposal.chainId ?? '?'} | ` +
+      `ID: ${proposal.conditionId.substring(0, 10)}... | ` +
+      `Answer: ${proposal.aiAnswer}${proposal.ambiguous ? ' (ambiguous)' : ''}`
+    );
+    console.log(`   Q: ${question}`);
+    console.log(`   Why held: ${proposal.approvalReason || '-'}`);
+    console.log(`   Reasoning: ${reasoning}`);
+    const decision = proposal.decisionId ? await db.getSettlementDecision(proposal.decisionId) : null;
+    if (decision) {
+      console.log(`   Confidence: ${decision.confidence ?? 'not reported'} | Evidence: ${decision.evidenceQuality ?? 'not reported'}`);
+    }
+    const citations = decision ? await db.getAICitations(proposal.conditionId, { decisionId: decision.id }) : [];
+    const urls = [...new Set(citations.map(citation => citation.url))];
+    if (urls.length > 0) {
+      console.log('   Sources:');
+      urls.forEach(url => console.log(`     - ${url}`));
+    }
+    const votes = decision ? await db.getSettlementVotes(decision.id) : [];
+    if (votes.length > 1) {
+      for (const vote of votes) {
+        console.log(
+          `   Vote ${vote.model}#${vote.sample}: ` +
+          (vote.error ? `${vote.errorType || 'error'} (${vote.error})` : `${vote.answer ?? 'ambiguous'} (confidence ${vote.confidence ?? '?'}, evidence ${vote.evidenceQuality ?? '?'})`)
+        );
+      }
+    }
+    if (proposal.reviewedBy) {
+      console.log(`   Reviewed by ${proposal.reviewedBy} at ${proposal.reviewedAt}${proposal.reviewNote ? `: ${proposal.reviewNote}` : ''}`);
+    }
+    console.log('──────────────────────────────────────────────────────────────────────────────');
+  }
+  return proposals;
+}
+
+async function reviewProposal(id, status, note) {
+  const proposal = await db.getSettlementProposal(id);
+  if (!proposal) {
+    return { success: false, error: `Proposal ${id} not found` };
+  }
+  if (proposal.status !== 'awaiting_approval' && proposal.status !== 'needs_review') {
+    return { success: false, error: `Proposal ${id} is ${proposal.status}, not awaiting approval` };
+  }
+
+  const reviewer = getReviewer();
+  const updated = await db.reviewSettlementProposal(id, status, reviewer, note);
+  if (!updated) {
+    return { success: false, error: `Proposal ${id} was reviewed concurrently` };
+  }
+  logger.info({ proposalId: id, conditionId: proposal.conditionId, status, reviewer, note }, 'Settlement proposal reviewed.');
+  return { success: true, proposal: { ...proposal, status } };
+}
+
+export async function approveProposal(id, note = null) {
+  return reviewProposal(id, 'approved', note);
+}
+
+// The market is analysed again on the next run, and the new answer is always held for review
+export async function rejectProposal(id, note = null) {
+  return reviewProposal(id, 'rejected', note);
+}
@@ -0,0 +1,96 @@
+import logger from '../utils/logger.js';
+import * as db from '../services/database.js';
+import { getMarketOutcomeFromChain } from '../services/blockchain.js';
+
+// Looks up the real outcome of shadow decisions that don't have one yet
+async function refreshShadowOutcomes(rows) {
+  for (const row of rows) {
+    if (row.actualWinningTokenId !== null) continue;
+
+    try {
+      // The indexer may already know the outcome (settled by the live settler or pre-settled)
+      const market = await db.getMarket(row.conditionId);
+      let actualWinningTokenId = market && market.isSettledOnChain && market.winningTokenId ? market.winningTokenId : null;
+
+      if (!actualWinningTokenId && row.chainId !== null) {
+        const outcome = await getMarketOutcomeFromChain(row.chainId, row.factoryAddress, row.conditionId);
+        actualWinningTokenId = outcome.winningTokenId;
+      }
+
+      if (actualWinningTokenId) {
+        await db.recordShadowOutcome(row.id, actualWinningTokenId);
+        row.actualWinningTokenId = actualWinningTokenId;
+      }
+    } catch (error) {
+      logger.warn({ err: error, conditionId: row.conditionId, chainId: row.chainId }, 'Could not fetch on-chain outcome for shadow settlement');
+    }
+  }
+}
+
+// Compares shadow decisions with what the markets actually settled to on-chain
+export async function generateShadowReport(runLabel = null) {
+  const rows = await db.getShadowSettlements(runLabel);
+  await refreshShadowOutcomes(rows);
+
+  const runs = new Map();
+  for (const row of rows) {
+    if (!runs.has(row.runLabel)) {
+      runs.set(row.runLabel, { runLabel: row.runLabel, decisions: 0, needsReview: 0, lowConfidence: 0, ambiguousUnsettled: 0, settled: 0, matches: 0, mismatches: [], unsettled: 0 });
+    }
+    const run = runs.get(row.runLabel);
+    run.decisions++;
+    if (row.needsReview) {
+      // No consensus: the live settler would not have settled these on its own
+      run.needsReview++;
+    } else if (row.ambiguityPolicy && row.ambiguityPolicy !== 'settle_no') {
+      // Ambiguous under a policy that doesn't settle NO: deferred, escalated or held instead
+      run.ambiguousUnsettled++;
+    } else if (row.lowConfidence) {
+      // Below the confidence threshold: the live settler would have analysed these again instead
+      run.lowConfidence++;
+    } else if (row.actualWinningTokenId === null) {
+      run.unsettled++;
+    } else if (row.actualWinningTokenId === row.winningTokenId) {
+      run.settled++;
+      run.matches++;
+    } else {
+      run.settled++;
+      run.mismatches.push(row);
+    }
+  }
+
+  return [...runs.values()].map(run => ({
+    ...run,
+    accuracy: run.settled > 0 ? run.matches / run.settled : null
+  }));
+}
+
+export async function printShadowReport(runLabel = null) {
+  const report = await generateShadowReport(runLabel);
+  if (report.length === 0) {
+    console.log(runLabel ? `No shadow settlements recorded for run "${runLabel}".` : 'No shadow settlements recorded.');
+    return report;
+  }
+
+  for (const run of report) {
+    console.log(`\n🧪 SHADOW SETTLEMENT REPORT — run "${run.runLabel}"`);
+    console.log('──────────────────────────────────────────────────────────────────────────────');
+    console.log(`Decisions recorded:     ${run.decisions}`);
+    console.log(`Sent to review:         ${run.needsReview}`);
+    console.log(`Low confidence:         ${run.lowConfidence}`);
+    console.log(`Ambiguous, not settled: ${run.ambiguousUnsettled}`);
+    console.log(`Settled on-chain:       ${run.settled}`);
+    console.log(`Not settled yet:        ${run.unsettled}`);
+    console.log(`Matching the chain:     ${run.matches}`);
+    console.log(`Accuracy:               ${run.accuracy === null ? 'n/a' : (run.accuracy * 100).toFixed(1) + '%'}`);
+    if (run.mismatches.length > 0) {
+      console.log('\nMismatches:');
+      for (const row of run.mismatches) {
+        const question = row.marketQuestion ? row.marketQuestion.substring(0, 70) + (row.marketQuestion.length > 70 ? '...' : '') : 'No question';
+        console.log(`  ${row.conditionId.substring(0, 10)}... | Chain: ${row.chainId ?? '?'} | Shadow: ${row.aiAnswer} | Q: ${question}`);
+      }
+    }
+    console.log('──────────────────────────────────────────────────────────────────────────────\n');
+  }
+  return report;
+}
@@ -0,0 +1,282 @@
+import http from 'http';
+import crypto from 'crypto';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import * as db from './database.js';
+import { renderMetrics } from './metrics.js';
+import { requeueMarket } from '../jobs/deadLetter.js';
+import { resetMarket, pauseMarket, resumeMarket, getMarketDetails } from '../jobs/marketControls.js';
+import { pauseJobWorkers, resumeJobWorkers, getJobWorkerStatus, isJobType } from '../jobs/jobWorkers.js';
+
+// HTTP admin and status API, served from the indexer process when ADMIN_API_PORT is set. Everything is JSON.
+// /health is open (for load balancers and uptime checks); every other endpoint needs an
+// `Authorization: Bearer <token>` header with a read token (GET) or an operator token (GET and POST).
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_BODY_BYTES = 16 * 1024;
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+const MARKET_ACTIONS = { reset: resetMarket, requeue: requeueMarket, pause: pauseMarket, resume: resumeMarket };
+
+const startedAt = Date.now();
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// --- Authentication ---
+
+// Compares digests so the comparison takes the same time whatever the token's length or content
+function tokenIn(token, tokens) {
+  const digest = crypto.createHash('sha256').update(token).digest();
+  return tokens.some(candidate => crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(candidate).digest()));
+}
+
+// 'operator', 'read' or null
+function authenticate(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+  if (!match) return null;
+  if (tokenIn(match[1], config.ADMIN_API_OPERATOR_TOKENS)) return 'operator';
+  if (tokenIn(match[1], config.ADMIN_API_READ_TOKENS)) return 'read';
+  return null;
+}
+
+// --- Request parsing ---
+
+function parseInteger(query, name, { min = 0, max = Number.MAX_SAFE_INTEGER, defaultValue = null } = {}) {
+  const value = query.get(name);
+  if (value === null || value === '') return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw httpError(400, `${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// UNIX seconds or an ISO 8601 date
+function parseTime(query, name) {
+  const value = query.get(name);
+  if (value === null || value === '') return null;
+  const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isFinite(seconds)) {
+    throw httpError(400, `${name} must be a UNIX timestamp in seconds or an ISO 8601 date`);
+  }
+  return seconds;
+}
+
+function parseOneOf(query, name, allowed) {
+  const value = query.get(name);
+  if (value === null || value === '') return null;
+  if (!allowed.includes(value)) {
+    throw httpError(400, `${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function parsePage(query) {
+  return {
+    limit: parseInteger(query, 'limit', { min: 1, max: MAX_PAGE_SIZE, defaultValue: DEFAULT_PAGE_SIZE }),
+    offset: parseInteger(query, 'offset', { defaultValue: 0 })
+  };
+}
+
+function page(items, total, { limit, offset }) {
+  return { total, limit, offset, nextOffset: offset + items.length < total ? offset + items.length : null };
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) return {};
+  try {
+    const body = JSON.parse(text);
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('not an object');
+    }
+    return body;
+  } catch {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+}
+
+// --- Handlers ---
+
+async function getHealth() {
+  const workers = getJobWorkerStatus();
+  let sync;
+  try {
+    sync = await db.getSyncStates();
+  } catch (error) {
+    return { status: 503, body: { status: 'error', database: 'unavailable', error: error.message } };
+  }
+  return {
+    body: {
+      status: workers.started ? 'ok' : 'starting',
+      uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+      settlementMode: config.SETTLEMENT_MODE,
+      database: 'ok',
+      jobWorkers: {
+        started: workers.started,
+        paused: Object.keys(workers.types).filter(type => workers.types[type].paused)
+      },
+      sync: sync.map(({ chainId, contractAddress, lastProcessedBlock, updatedAt }) => ({ chainId, contractAddress, lastProcessedBlock, updatedAt }))
+    }
+  };
+}
+
+// Prometheus scrape target
+async function getMetrics() {
+  return { text: await renderMetrics(), contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+async function listMarkets({ query }) {
+  const pagination = parsePage(query);
+  const filters = {
+    status: parseOneOf(query, 'status', db.MARKET_STATUSES),
+    creator: query.get('creator') || null,
+    chainId: parseInteger(query, 'chainId'),
+    endAfter: parseTime(query, 'endAfter'),
+    endBefore: parseTime(query, 'endBefore')
+  };
+  const { markets, total } = await db.getMarkets({ ...filters, ...pagination });
+  return { body: { markets, ...page(markets, total, pagination) } };
+}
+
+async function getMarket({ params: [conditionId] }) {
+  const details = await getMarketDetails(conditionId);
+  if (!details) {
+    throw httpError(404, 'Market not found');
+  }
+  return { body: details };
+}
+
+async function runMarketAction({ params: [conditionId, action], scope, remoteAddress }) {
+  const result = await MARKET_ACTIONS[action](conditionId);
+  logger.info({ action, conditionId, scope, remoteAddress, success: result.success, error: result.error }, 'Admin API market action');
+  if (!result.success) {
+    throw httpError(result.error === 'Market not found' ? 404 : 409, result.error);
+  }
+  return { body: { conditionId, action, message: result.message, market: await db.getMarket(conditionId) } };
+}
+
+async function listJobs({ query }) {
+  const pagination = parsePage(query);
+  const filters = {
+    status: parseOneOf(query, 'status', JOB_STATUSES),
+    type: query.get('type') || null,
+    conditionId: query.get('conditionId') || null
+  };
+  if (filters.type && !isJobType(filters.type)) {
+    throw httpError(400, `Unknown job type: ${filters.type}`);
+  }
+  const [{ jobs, total }, counts] = await Promise.all([db.getJobs({ ...filters, ...pagination }), db.getJobCounts()]);
+  return { body: { jobs, ...page(jobs, total, pagination), counts, workers: getJobWorkerStatus().types } };
+}
+
+// Pauses or resumes the job workers in this process; body { "type": "settlement" } for a single job type
+async function runJobWorkersAction({ params: [action], body, remoteAddress }) {
+  const type = body.type ?? null;
+  if (type !== null && !isJobType(type)) {
+    throw httpError(400, `Unknown job type: ${type}`);
+  }
+  const types = action === 'pause' ? pauseJobWorkers(type) : resumeJobWorkers(type);
+  logger.info({ action, types, remoteAddress }, 'Admin API job workers action');
+  return { body: { action, types, workers: getJobWorkerStatus().types } };
+}
+
+const routes = [
+  { method: 'GET', path: /^\/health$/, scope: null, handler: getHealth },
+  { method: 'GET', path: /^\/metrics$/, scope: 'read', handler: getMetrics },
+  { method: 'GET', path: /^\/markets$/, scope: 'read', handler: listMarkets },
+  { method: 'GET', path: /^\/markets\/([^/]+)$/, scope: 'read', handler: getMarket },
+  { method: 'POST', path: /^\/markets\/([^/]+)\/(reset|requeue|pause|resume)$/, scope: 'operator', handler: runMarketAction },
+  { method: 'GET', path: /^\/jobs$/, scope: 'read', handler: listJobs },
+  { method: 'POST', path: /^\/jobs\/(pause|resume)$/, scope: 'operator', handler: runJobWorkersAction }
+];
+
+// --- Server ---
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const pathname = url.pathname.replace(/\/+$/, '') || '/';
+  const matching = routes.filter(route => route.path.test(pathname));
+  const route = matching.find(candidate => candidate.method === req.method);
+  if (!route) {
+    if (matching.length > 0) {
+      sendJson(res, 405, { error: 'Method not allowed' }, { Allow: matching.map(candidate => candidate.method).join(', ') });
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+    return;
+  }
+
+  const scope = route.scope ? authenticate(req) : null;
+  if (route.scope && !scope) {
+    sendJson(res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+    return;
+  }
+  if (route.scope === 'operator' && scope !== 'operator') {
+    sendJson(res, 403, { error: 'This endpoint needs an operator token' });
+    return;
+  }
+
+  let params;
+  try {
+    params = route.path.exec(pathname).slice(1).map(decodeURIComponent);
+  } catch {
+    sendJson(res, 400, { error: 'Malformed URL' });
+    return;
+  }
+  const body = req.method === 'POST' ? await readJsonBody(req) : {};
+  const result = await route.handler({ params, query: url.searchParams, body, scope, remoteAddress: req.socket.remoteAddress });
+  if (result.text !== undefined) {
+    res.writeHead(result.status || 200, { 'Content-Type': result.contentType, 'Cache-Control': 'no-store' });
+    res.end(result.text);
+    return;
+  }
+  sendJson(res, result.status || 200, result.body);
+}
+
+// Starts the server unless ADMIN_API_PORT is 0; resolves once it is listening
+export function startAdminApi() {
+  if (!config.ADMIN_API_PORT) {
+    logger.info('Admin API disabled (ADMIN_API_PORT not set).');
+    return Promise.resolve(null);
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      if (error.status) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      logger.error({ err: error, method: req.method, url: req.url }, 'Admin API request failed');
+      sendJson(res, 500, { error: 'Internal server error' });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.ADMIN_API_PORT, config.ADMIN_API_HOST, () => {
+      server.off('error', reject);
+      server.on('error', error => logger.error({ err: error }, 'Admin API server error'));
+      logger.info({ host: config.ADMIN_API_HOST, port: config.ADMIN_API_PORT }, 'Admin API listening.');
+      resolve(server);
+    });
+  });
+}
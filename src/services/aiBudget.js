@@ -0,0 +1,68 @@
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import * as db from './database.js';
+
+// What the AI costs. The usage of every completion is recorded in ai_usage with a cost estimate from
+// AI_PRICES, and the daily and monthly caps (UTC) decide which AI work may still run: resolution
+// analysis of new markets pauses as soon as a cap is reached, settlement only with AI_BUDGET_PAUSE_SETTLEMENT.
+
+const warnedUnpricedModels = new Set();
+
+// Cost in USD of one completion, or null if AI_PRICES has no price for the model
+export function estimateCost(model, usage) {
+  const price = config.AI_PRICES[model];
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000 + price.request;
+}
+
+// usage: { promptTokens, completionTokens, totalTokens } as returned by the provider, null if it reported none
+export async function recordAIUsage({ conditionId = null, task, provider, model, usage }) {
+  if (!usage) return; // Mock and replayed responses cost nothing
+
+  const costUsd = estimateCost(model, usage);
+  if (costUsd === null && !warnedUnpricedModels.has(model)) {
+    warnedUnpricedModels.add(model);
+    logger.warn({ model, provider }, 'No price for AI model in AI_PRICES; its usage is recorded without a cost.');
+  }
+  await db.recordAIUsage({ conditionId, task, provider, model, ...usage, costUsd });
+}
+
+// ai_usage.createdAt format
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Spend in the current UTC day and calendar month against the caps (cap 0 = none)
+export async function getBudgetStatus(now = new Date()) {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const periods = [
+    { period: 'daily', capUsd: config.AI_DAILY_BUDGET_USD, since: dayStart, resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+    { period: 'monthly', capUsd: config.AI_MONTHLY_BUDGET_USD, since: monthStart, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) }
+  ];
+  for (const period of periods) {
+    period.spentUsd = await db.getAICostSince(toSqlTimestamp(period.since));
+    period.exceeded = period.capUsd > 0 && period.spentUsd >= period.capUsd;
+  }
+  return periods;
+}
+
+// Whether AI work for a task ('settlement' or 'resolution') may run now. When a cap is reached,
+// returns { allowed, period, capUsd, spentUsd, resetsAt } for the cap that lifts last.
+export async function checkAIBudget(task) {
+  if (!(config.AI_DAILY_BUDGET_USD > 0) && !(config.AI_MONTHLY_BUDGET_USD > 0)) {
+    return { allowed: true };
+  }
+
+  const exceeded = (await getBudgetStatus()).filter(period => period.exceeded);
+  if (exceeded.length === 0) {
+    return { allowed: true };
+  }
+
+  const blocking = exceeded.reduce((latest, period) => (period.resetsAt > latest.resetsAt ? period : latest));
+  const allowed = task === 'settlement' && !config.AI_BUDGET_PAUSE_SETTLEMENT;
+  logger.warn({ task, period: blocking.period, capUsd: blocking.capUsd, spentUsd: blocking.spentUsd, resetsAt: blocking.resetsAt.toISOString() },
+    allowed ? 'AI budget reached; settlement continues.' : `AI budget reached; ${task} paused.`
+  );
+  return { allowed, period: blocking.period, capUsd: blocking.capUsd, spentUsd: blocking.spentUsd, resetsAt: blocking.resetsAt };
+}
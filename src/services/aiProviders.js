@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import OpenAI from 'openai';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { unwrapUntrustedData } from './questionScreening.js';
+
+// AI backends behind aiService. A provider has a `name` and one method:
+//   complete({ task, model, messages, temperature, responseFormat }) -> Promise<{ content, citations, usage }>
+// where `content` is the raw message content, `citations` the sources the model used ({ url, title }) and
+// `usage` the tokens billed ({ promptTokens, completionTokens, totalTokens }, null if none were reported).
+// `responseFormat` ({ name, schema }) is the JSON Schema the response should follow; providers that can
+// constrain their output to it do so when AI_STRUCTURED_OUTPUT is on, the others ignore it.
+// `task` is 'settlement' or 'resolution'; which provider and model serve each task is set in config
+// (AI_SETTLEMENT_PROVIDER / AI_RESOLUTION_PROVIDER). With AI_FIXTURE_MODE, calls are recorded to or
+// replayed from fixture files in AI_FIXTURE_DIR.
+
+// Perplexity returns the sources behind a completion next to it: `search_results` ({ title, url, date })
+// and the older `citations` (plain URLs). Other OpenAI-compatible servers return neither.
+function extractCitations(response) {
+  const citations = [];
+  const seen = new Set();
+  for (const result of response.search_results || []) {
+    if (result && result.url && !seen.has(result.url)) {
+      seen.add(result.url);
+      citations.push({ url: result.url, title: result.title || null });
+    }
+  }
+  for (const url of response.citations || []) {
+    if (typeof url === 'string' && !seen.has(url)) {
+      seen.add(url);
+      citations.push({ url, title: null });
+    }
+  }
+  return citations;
+}
+
+function extractUsage(response) {
+  if (!response.usage) return null;
+  const { prompt_tokens: promptTokens = 0, completion_tokens: completionTokens = 0 } = response.usage;
+  return { promptTokens, completionTokens, totalTokens: response.usage.total_tokens ?? promptTokens + completionTokens };
+}
+
+// Perplexity and self-hosted models both speak the OpenAI chat completions API. toResponseFormat builds the
+// server's structured output parameter, which differs slightly between them.
+function createChatCompletionsProvider(name, { apiKey, baseURL, toResponseFormat }) {
+  let client = null; // Created on first use, so a provider nobody selected needs no credentials
+  return {
+    name,
+    async complete({ model, messages, temperature, responseFormat }) {
+      if (!client) {
+        client = new OpenAI({ apiKey, baseURL });
+      }
+      const body = { model, messages, temperature };
+      if (responseFormat && config.AI_STRUCTURED_OUTPUT) {
+        body.response_format = toResponseFormat(responseFormat);
+      }
+      const response = await client.chat.completions.create(body);
+      return { content: response.choices[0].message.content, citations: extractCitations(response), usage: extractUsage(response) };
+    }
+  };
+}
+
+// Deterministic responses for offline runs and dry runs: the same prompt always gets the same answer
+function createMockProvider() {
+  return {
+    name: 'mock',
+    async complete({ task, model, messages }) {
+      const userContent = messages.find(message => message.role === 'user')?.content || '';
+      const digest = crypto.createHash('sha256').update(userContent).digest();
+
+      // Not the market data the services send: answer anyway
+      const input = unwrapUntrustedData(userContent) || {};
+
+      if (task === 'resolution') {
+        return {
+          content: JSON.stringify({
+            resolvable: true,
+            reasoning: `Mock provider (${model}): no analysis was performed.`,
+            settlement_criteria: `Mock provider: settles on the outcome named in the question "${input.question ?? ''}".`,
+            resolution_sources: [],
+            suggested_improvements: 'None'
+          }),
+          citations: [],
+          usage: null
+        };
+      }
+
+      const outcomes = Array.isArray(input.outcomes) && input.outcomes.length > 0 ? input.outcomes : ['YES', 'NO'];
+      const answer = config.AI_MOCK_ANSWER || outcomes[digest[0] % outcomes.length];
+      return {
+        content: JSON.stringify({
+          answer,
+          reasoning: `Mock provider (${model}): deterministic answer, no analysis was performed.`,
+          confidence: 1,
+          evidence_quality: 'high'
+        }),
+        citations: [],
+        usage: null
+      };
+    }
+  };
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'perplexity':
+      return createChatCompletionsProvider('perplexity', {
+        apiKey: config.PPLX_API_KEY,
+        baseURL: 'https://api.perplexity.ai',
+        toResponseFormat: ({ schema }) => ({ type: 'json_schema', json_schema: { schema } })
+      });
+    case 'openai':
+      // Any OpenAI-compatible endpoint (OpenAI itself, vLLM, Ollama, LM Studio, ...)
+      return createChatCompletionsProvider('openai', {
+        apiKey: config.AI_OPENAI_API_KEY || 'not-needed', // Local servers usually ignore the key
+        baseURL: config.AI_OPENAI_BASE_URL,
+        toResponseFormat: ({ name, schema }) => ({ type: 'json_schema', json_schema: { name, schema } })
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown AI provider '${name}'`);
+  }
+}
+
+// --- Fixtures ---
+// One file per distinct request (task, model and messages; the provider and temperature don't matter),
+// holding every response recorded for it in order. Repeated identical requests, e.g. several samples
+// of one model, are replayed in the same order. Fixtures can also be written by hand: replay matches
+// on the file contents, not the file name.
+
+function fixtureKey({ task, model, messages }) {
+  return crypto.createHash('sha256').update(JSON.stringify({ task, model, messages })).digest('hex');
+}
+
+function fixturePath(request) {
+  return path.join(config.AI_FIXTURE_DIR, `${request.task}-${fixtureKey(request).substring(0, 16)}.json`);
+}
+
+// Saves each request and raw response of the wrapped provider
+function createRecordingProvider(provider) {
+  fs.mkdirSync(config.AI_FIXTURE_DIR, { recursive: true });
+  return {
+    name: provider.name,
+    async complete(request) {
+      const response = await provider.complete(request);
+
+      const file = fixturePath(request);
+      const fixture = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : { task: request.task, provider: provider.name, model: request.model, temperature: request.temperature, messages: request.messages, responses: [] };
+      fixture.responses.push(response);
+      fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+      logger.debug({ task: request.task, model: request.model, file }, 'Recorded AI fixture.');
+
+      return response;
+    }
+  };
+}
+
+// Serves recorded responses instead of calling any AI backend
+function createReplayProvider() {
+  const fixtures = new Map();
+  const files = fs.existsSync(config.AI_FIXTURE_DIR)
+    ? fs.readdirSync(config.AI_FIXTURE_DIR).filter(file => file.endsWith('.json'))
+    : [];
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(config.AI_FIXTURE_DIR, file), 'utf8'));
+    fixtures.set(fixtureKey(fixture), { file, responses: fixture.responses, next: 0 });
+  }
+  logger.info({ dir: config.AI_FIXTURE_DIR, fixtures: fixtures.size }, 'Replaying AI responses from fixtures.');
+
+  return {
+    name: 'replay',
+    async complete(request) {
+      const fixture = fixtures.get(fixtureKey(request));
+      if (!fixture) {
+        throw new Error(`No AI fixture for this ${request.task} request (model ${request.model}); expected ${fixturePath(request)}`);
+      }
+      // More identical requests than recordings: keep serving the last one
+      const response = fixture.responses[Math.min(fixture.next, fixture.responses.length - 1)];
+      fixture.next++;
+      // A hand-written response may be just the message content. Replays cost nothing, so usage is dropped.
+      return typeof response === 'string' || response === null
+        ? { content: response, citations: [], usage: null }
+        : { content: response.content, citations: response.citations || [], usage: null };
+    }
+  };
+}
+
+const providers = new Map();
+let replayProvider = null;
+
+// The provider configured for a task ('settlement' or 'resolution'), shared between calls
+export function getAIProvider(task) {
+  if (config.AI_FIXTURE_MODE === 'replay') {
+    replayProvider ??= createReplayProvider();
+    return replayProvider;
+  }
+
+  const name = task === 'resolution' ? config.AI_RESOLUTION_PROVIDER : config.AI_SETTLEMENT_PROVIDER;
+  if (!providers.has(name)) {
+    const provider = createProvider(name);
+    providers.set(name, config.AI_FIXTURE_MODE === 'record' ? createRecordingProvider(provider) : provider);
+    logger.info({ task, provider: name, fixtureMode: config.AI_FIXTURE_MODE }, 'AI provider initialized.');
+  }
+  return providers.get(name);
+}
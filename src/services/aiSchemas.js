@@ -0,0 +1,126 @@
+// JSON Schemas for the AI responses, and the checks aiService runs on them. The schemas are also
+// sent to providers that support structured output (see aiProviders.js), so the model is held to
+// the same format the response is validated against.
+
+export const EVIDENCE_QUALITIES = ['low', 'medium', 'high']; // Weakest first
+
+// `answer` is one of the market outcomes, or null when the question can't be answered
+export function settlementResponseSchema(outcomes) {
+  return {
+    type: 'object',
+    properties: {
+      answer: { type: ['string', 'null'], enum: [...outcomes, null] },
+      reasoning: { type: 'string', minLength: 1 },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      evidence_quality: { type: 'string', enum: EVIDENCE_QUALITIES }
+    },
+    required: ['answer', 'reasoning', 'confidence', 'evidence_quality']
+  };
+}
+
+export const resolutionResponseSchema = {
+  type: 'object',
+  properties: {
+    resolvable: { type: 'boolean' },
+    reasoning: { type: 'string', minLength: 1 },
+    settlement_criteria: { type: 'string', minLength: 1 },
+    resolution_sources: { type: 'array', items: { type: 'string' } },
+    suggested_improvements: { type: 'string' }
+  },
+  required: ['resolvable', 'reasoning', 'settlement_criteria', 'resolution_sources', 'suggested_improvements']
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validates against the subset of JSON Schema used above (type, enum, properties, required, items,
+// minimum, maximum, minLength). Returns a list of readable errors, empty if the value is valid.
+export function validateAgainstSchema(value, schema, path = '') {
+  const where = path || 'response';
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${where} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${where} must not be empty`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be at most ${schema.maximum}`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${where}[${index}]`)));
+  }
+  return errors;
+}
+
+// The balanced {...} starting at `start`, skipping braces inside strings, or null if it never closes
+function balancedObjectAt(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return text.substring(start, i + 1);
+    }
+  }
+  return null;
+}
+
+// Finds the JSON object in a model response: bare, in a markdown code block, or embedded in prose.
+// Reasoning models put their <think> section first; it is skipped. Returns { value } or { error }.
+export function extractJSON(rawResponse) {
+  const text = rawResponse.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/i);
+  const candidates = fenced ? [fenced[1].trim(), text] : [text];
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch {
+      // Not JSON as a whole; look for an object inside it below
+    }
+  }
+
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    const candidate = balancedObjectAt(text, start);
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch {
+      // Braces in prose; try the next one
+    }
+  }
+  return { error: 'no JSON object found in the response' };
+}
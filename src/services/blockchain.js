@@ -5,65 +5,223 @@ import { fileURLToPath } from 'url';
 import config from '../config.js';
 import logger from '../utils/logger.js';
 import * as db from './database.js';
-import { getMarketSettlementAnalysis, getMarketResolution } from './aiService.js'; // Import the AI service and the new function
+import { getMarketSettlementAnalysis, getMarketResolution, printCitations } from './aiService.js'; // Import the AI service and the new function
+import { deleteAIResolution } from './supabaseService.js';
+import { screenMarketQuestion } from './questionScreening.js';
+import { checkAIBudget } from './aiBudget.js';
+import { classifyError, getRetryDelaySeconds } from './retryPolicy.js';
+import { registerCollector, chainHeadBlock, lastIndexedBlock, indexLagBlocks, syncCursorUpdated, rpcEndpointUp, settlementFailures } from './metrics.js';
+import { notify } from './notifications.js';
+import { RpcProviderPool } from './providerPool.js';
+import { ReconnectingWebSocket } from './websocketConnection.js';
+import {
+  getSettlerWallet,
+  checkSettlerBalance,
+  sendSettlementTransaction,
+  resumeSettlementTransaction,
+  recoverPendingTransactions
+} from './transactionManager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PNPFactoryAbi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../abi/PNPFactory.json'), 'utf-8'));
 
-let provider;
-let wallet;
-let pnpFactoryContract;
+// One connection per chain (provider + indexer wallet), shared by every factory on that chain
+const chainConnections = new Map();
+// One entry per configured (chainId, factory address) pair, holding its contract and ingestion state
+const factories = [];
 
-export function getContract() {
-  if (!pnpFactoryContract) {
-    throw new Error('Blockchain service not initialized. Call initializeBlockchainService first.');
+function getChainConnection(chainId) {
+  const connection = chainConnections.get(Number(chainId));
+  if (!connection) {
+    throw new Error(`Blockchain service not initialized for chain ${chainId}. Call initializeBlockchainService first.`);
   }
-  return pnpFactoryContract;
+  return connection;
 }
 
-export function getProvider() {
-  if (!provider) {
-    throw new Error('Blockchain service not initialized. Call initializeBlockchainService first.');
+export function getFactories() {
+  return factories;
+}
+
+export function getFactory(chainId, factoryAddress) {
+  const factory = factories.find(f =>
+    f.chainId === Number(chainId) && f.factoryAddress === String(factoryAddress).toLowerCase()
+  );
+  if (!factory) {
+    throw new Error(`No factory configured for chain ${chainId} at ${factoryAddress}.`);
   }
-  return provider;
+  return factory;
 }
 
-export function getWallet() {
-  if (!wallet) {
-    throw new Error('Blockchain service not initialized. Call initializeBlockchainService first.');
+// Resolves the factory a stored market was indexed from
+async function getFactoryForMarket(conditionId) {
+  const market = await db.getMarket(conditionId);
+  if (!market) {
+    throw new Error(`Market ${conditionId} not found in database.`);
   }
-  return wallet;
+  if (market.chainId === null || market.chainId === undefined || !market.factoryAddress) {
+    throw new Error(`Market ${conditionId} has no chainId/factoryAddress recorded.`);
+  }
+  return getFactory(market.chainId, market.factoryAddress);
+}
+
+export function getContract(chainId, factoryAddress) {
+  return getFactory(chainId, factoryAddress).contract;
+}
+
+export function getProvider(chainId) {
+  return getChainConnection(chainId).provider;
+}
+
+export function getWallet(chainId) {
+  return getChainConnection(chainId).wallet;
+}
+
+// Per-endpoint health for every chain, as tracked by the provider pools
+export function getRpcHealth() {
+  return [...chainConnections.values()].map(({ chainId, name, provider }) => ({
+    chainId,
+    name,
+    endpoints: provider.getHealth(),
+  }));
+}
+
+// For /metrics: chain head, last indexed block and lag per factory, and RPC endpoint health.
+// The head is read from the RPC on every scrape, so a stalled indexer shows up as a growing lag.
+const HEAD_BLOCK_TIMEOUT_MS = 5000;
+
+registerCollector(async () => {
+  const cursors = await db.getSyncStates();
+  const heads = new Map();
+  chainHeadBlock.reset();
+  rpcEndpointUp.reset();
+  await Promise.all([...chainConnections.values()].map(async ({ chainId, provider }) => {
+    for (const endpoint of provider.getHealth()) {
+      rpcEndpointUp.set({ chain_id: chainId, endpoint: endpoint.endpoint }, endpoint.healthy ? 1 : 0);
+    }
+    let timer;
+    try {
+      const head = await Promise.race([
+        provider.getBlockNumber(),
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Timed out')), HEAD_BLOCK_TIMEOUT_MS); })
+      ]);
+      heads.set(chainId, head);
+      chainHeadBlock.set({ chain_id: chainId }, head);
+    } catch (error) {
+      logger.warn({ err: error, chainId }, 'Could not read the chain head for metrics');
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+
+  lastIndexedBlock.reset();
+  indexLagBlocks.reset();
+  syncCursorUpdated.reset();
+  for (const factory of factories) {
+    const cursor = cursors.find(c => c.chainId === factory.chainId && c.contractAddress === factory.factoryAddress);
+    if (!cursor) continue;
+    const labels = { chain_id: factory.chainId, factory: factory.factoryAddress };
+    lastIndexedBlock.set(labels, cursor.lastProcessedBlock);
+    syncCursorUpdated.set(labels, Math.floor(Date.parse(`${cursor.updatedAt.replace(' ', 'T')}Z`) / 1000));
+    if (heads.has(factory.chainId)) {
+      indexLagBlocks.set(labels, heads.get(factory.chainId) - cursor.lastProcessedBlock);
+    }
+  }
+});
+
+async function connectToChain(chainConfig) {
+  logger.info(`Connecting to ${chainConfig.rpcUrls.length} RPC endpoint(s), primary: ${chainConfig.rpcUrl}`);
+  const provider = new RpcProviderPool(chainConfig.rpcUrls, chainConfig.name || chainConfig.chainId || chainConfig.rpcUrl);
+  const network = await provider.getNetwork();
+  const chainId = Number(network.chainId);
+  provider.chainLabel = chainConfig.name || chainId;
+  provider.startHealthLogging();
+  logger.info(`Connected to network: ${network.name} (Chain ID: ${chainId})`);
+
+  if (chainConfig.chainId !== null && chainConfig.chainId !== chainId) {
+    throw new Error(`RPC ${chainConfig.rpcUrl} serves chain ${chainId}, but the configuration says ${chainConfig.chainId}.`);
+  }
+
+  const wallet = new ethers.Wallet(config.PRIVATE_KEY, provider);
+  logger.info(`Wallet initialized for address: ${wallet.address} on chain ${chainId}`);
+
+  return { chainId, name: chainConfig.name || network.name, rpcUrl: chainConfig.rpcUrl, provider, wallet };
 }
 
 export async function initializeBlockchainService() {
   try {
-    logger.info(`Connecting to RPC URL: ${config.RPC_URL}`);
-    provider = new ethers.JsonRpcProvider(config.RPC_URL);
-    const network = await provider.getNetwork();
-    logger.info(`Connected to network: ${network.name} (Chain ID: ${network.chainId})`);
-
-    wallet = new ethers.Wallet(config.PRIVATE_KEY, provider);
-    logger.info(`Wallet initialized for address: ${wallet.address}`);
-
-    pnpFactoryContract = new ethers.Contract(
-      config.PNP_FACTORY_CONTRACT_ADDRESS,
-      PNPFactoryAbi,
-      wallet // Connect wallet for sending transactions
-    );
-    logger.info(`PNPFactory contract initialized at address: ${await pnpFactoryContract.getAddress()}`);
-    logger.info('Blockchain service initialized successfully.');
+    for (const chainConfig of config.CHAINS) {
+      // Factories on the same chain can share a connection (matched by primary RPC URL)
+      let connection = [...chainConnections.values()].find(c => c.rpcUrl === chainConfig.rpcUrl);
+      if (!connection) {
+        connection = await connectToChain(chainConfig);
+        if (chainConnections.has(connection.chainId)) {
+          throw new Error(`Chain ${connection.chainId} is configured with different primary RPC URLs.`);
+        }
+        chainConnections.set(connection.chainId, connection);
+      }
+
+      const contract = new ethers.Contract(
+        chainConfig.factoryAddress,
+        PNPFactoryAbi,
+        connection.wallet // Connect wallet for sending transactions
+      );
+      const factoryAddress = (await contract.getAddress()).toLowerCase();
+      if (factories.some(f => f.chainId === connection.chainId && f.factoryAddress === factoryAddress)) {
+        throw new Error(`Factory ${factoryAddress} is configured more than once for chain ${connection.chainId}.`);
+      }
+
+      factories.push({
+        chainId: connection.chainId,
+        chainName: connection.name,
+        rpcUrl: connection.rpcUrl,
+        wsUrl: chainConfig.wsUrl,
+        factoryAddress,
+        startBlock: chainConfig.startBlock,
+        provider: connection.provider,
+        wallet: connection.wallet,
+        contract,
+        // Ingestion state, see "PNP_MarketCreated ingestion" below
+        lastProcessedBlock: null,
+        isLiveHandoffComplete: false,
+        bufferedLiveEvents: [],
+        ingestionChain: Promise.resolve(),
+        isConfirmedSyncQueued: false,
+        reorgCheckInterval: null,
+        logPollInterval: null,
+        webSocket: null, // ReconnectingWebSocket carrying the live subscription, if wsUrl is set
+      });
+      logger.info(`PNPFactory contract initialized at address: ${factoryAddress} on chain ${connection.chainId}`);
+    }
+
+    await adoptLegacyRows();
+    logger.info(`Blockchain service initialized successfully (${factories.length} factories on ${chainConnections.size} chains).`);
   } catch (error) {
     logger.error({ err: error }, 'Error initializing blockchain service');
     throw error; // Rethrow to be handled by the main application
   }
 }
 
-async function fetchAndStoreMarketEndTime(conditionId) {
+// Rows written before multi-chain support carry no chainId. They belong to the factory that
+// was configured through RPC_URL / PNP_FACTORY_CONTRACT_ADDRESS at the time.
+async function adoptLegacyRows() {
+  const legacyAddress = config.PNP_FACTORY_CONTRACT_ADDRESS ? config.PNP_FACTORY_CONTRACT_ADDRESS.toLowerCase() : null;
+  const owner = factories.length === 1
+    ? factories[0]
+    : factories.find(f => f.rpcUrl === config.RPC_URL && f.factoryAddress === legacyAddress);
+
+  if (owner) {
+    await db.adoptLegacyRows(owner.chainId, owner.factoryAddress);
+  } else if (await db.countLegacyMarkets() > 0) {
+    logger.warn('Markets without a chainId exist but no factory matches RPC_URL/PNP_FACTORY_CONTRACT_ADDRESS. They will not be processed until assigned.');
+  }
+}
+
+async function fetchAndStoreMarketEndTime(factory, conditionId) {
   try {
     logger.debug({ conditionId }, 'Fetching market end time from contract...');
-    const marketEndTimeBigInt = await pnpFactoryContract.getMarketEndTime(conditionId);
+    const marketEndTimeBigInt = await factory.contract.getMarketEndTime(conditionId);
     const marketEndTime = Number(marketEndTimeBigInt); // Convert BigInt to Number (timestamp in seconds)
 
     if (marketEndTime > 0) {
@@ -80,14 +238,18 @@ async function fetchAndStoreMarketEndTime(conditionId) {
   }
 }
 
-async function fetchAndStoreMarketQuestion(conditionId) {
+async function fetchAndStoreMarketQuestion(factory, conditionId) {
   try {
     logger.debug({ conditionId }, 'Fetching market question from contract...');
-    const question = await pnpFactoryContract.marketQuestion(conditionId);
+    const question = await factory.contract.marketQuestion(conditionId);
     
     if (question && question.length > 0) {
       await db.updateMarketQuestion(conditionId, question);
       logger.info({ conditionId, questionLength: question.length }, 'Market question fetched and stored.');
+      const screening = screenMarketQuestion(question);
+      if (screening.suspicious) {
+        await db.flagMarketSuspicious(conditionId, screening.reasons);
+      }
       return question;
     } else {
       logger.warn({ conditionId }, 'Fetched market question is empty or invalid.');
@@ -99,10 +261,9 @@ async function fetchAndStoreMarketQuestion(conditionId) {
   }
 }
 
-async function fetchAndRecordPreSettledMarketDetails(conditionId) {
-  if (!pnpFactoryContract) throw new Error('Contract not initialized');
+async function fetchAndRecordPreSettledMarketDetails(factory, conditionId) {
   try {
-    const isAlreadySettled = await pnpFactoryContract.marketSettled(conditionId);
+    const isAlreadySettled = await factory.contract.marketSettled(conditionId);
     if (isAlreadySettled) {
       logger.info({ conditionId }, "Market found to be already settled on-chain during indexing.");
       await db.updateMarketSettledOnChain(conditionId, true);
@@ -110,7 +271,7 @@ async function fetchAndRecordPreSettledMarketDetails(conditionId) {
 
       try {
         // Attempt to get the winning token ID from the public mapping getter
-        const winningTokenIdBigInt = await pnpFactoryContract.winningTokenId(conditionId);
+        const winningTokenIdBigInt = await factory.contract.winningTokenId(conditionId);
         const winningTokenIdStr = winningTokenIdBigInt.toString();
         
         if (winningTokenIdBigInt !== undefined) { // Assuming 0 could be a valid token ID, check for undefined
@@ -132,166 +293,571 @@ async function fetchAndRecordPreSettledMarketDetails(conditionId) {
   }
 }
 
-export async function syncPastMarketCreatedEvents() {
-  if (!pnpFactoryContract) throw new Error('Contract not initialized');
+// --- PNP_MarketCreated ingestion ---
+//
+// Backfill and the live listener share a persisted cursor (sync_state table) holding the
+// last block whose PNP_MarketCreated events have been fully processed. Backfill resumes
+// from cursor + 1, and the live listener only takes over once the gap between the end of
+// backfill and its own subscription has been closed, so no block is skipped or handled twice.
+//
+// Logs are only ingested once they are CONFIRMATION_DEPTH blocks deep. Every ingested log is
+// stored with its block hash; the reorg check compares those hashes (and the cursor's) with
+// the canonical chain and rolls back markets that came from orphaned blocks.
+//
+// Each factory keeps its own cursor and ingestion state, so chains are indexed independently.
+//
+// In 'polling' INGESTION_MODE no filters or subscriptions are installed at all: new logs are
+// read with eth_getLogs from the cursor on a timer, using the same batched sync as backfill.
+// A factory with a wsUrl subscribes over a WebSocket instead of the HTTP pool; after the socket
+// is re-established, the blocks missed in between are synced by range from the cursor.
 
-  const startBlock = config.START_BLOCK || 0;
-  logger.info(`Starting sync of past PNP_MarketCreated events from block ${startBlock}...`);
+const HANDOFF_RETRY_DELAY_MS = 15000;
+const JOB_PRIORITY_LIVE = 10;
 
-  try {
-    // Get the current block number
-    const currentBlock = await provider.getBlockNumber();
-    logger.info(`Current block: ${currentBlock}, Start block: ${startBlock}`);
-
-    // Calculate total blocks to query
-    const totalBlocks = currentBlock - startBlock;
-    if (totalBlocks <= 0) {
-      logger.info('No blocks to query for past events.');
-      return;
-    }
-
-    // Batch size - use 450 to be safe under Alchemy's 500 block limit
-    const BATCH_SIZE = config.EVENT_QUERY_BATCH_SIZE;
-    const eventFilter = pnpFactoryContract.filters.PNP_MarketCreated();
-    let allEvents = [];
-
-    // Query events in batches
-    for (let fromBlock = startBlock; fromBlock <= currentBlock; fromBlock += BATCH_SIZE) {
-      const toBlock = Math.min(fromBlock + BATCH_SIZE - 1, currentBlock);
-      
-      logger.info(`Querying events from block ${fromBlock} to ${toBlock}...`);
-      
-      try {
-        const batchEvents = await pnpFactoryContract.queryFilter(eventFilter, fromBlock, toBlock);
-        allEvents = allEvents.concat(batchEvents);
-        logger.info(`Found ${batchEvents.length} events in batch (blocks ${fromBlock}-${toBlock})`);
-        
-        // Add a small delay between batches to avoid rate limiting
-        if (toBlock < currentBlock) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      } catch (batchError) {
-        logger.error({ 
-          err: batchError, 
-          fromBlock, 
-          toBlock 
-        }, `Error querying events for batch ${fromBlock}-${toBlock}`);
-        
-        // If this batch fails, try smaller chunks
-        if (toBlock - fromBlock > 100) {
-          logger.info(`Retrying batch ${fromBlock}-${toBlock} with smaller chunks...`);
-          const smallChunkSize = 100;
-          for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += smallChunkSize) {
-            const chunkEnd = Math.min(chunkStart + smallChunkSize - 1, toBlock);
-            try {
-              const chunkEvents = await pnpFactoryContract.queryFilter(eventFilter, chunkStart, chunkEnd);
-              allEvents = allEvents.concat(chunkEvents);
-              logger.info(`Found ${chunkEvents.length} events in chunk (blocks ${chunkStart}-${chunkEnd})`);
-              await new Promise(resolve => setTimeout(resolve, 50));
-            } catch (chunkError) {
-              logger.error({ 
-                err: chunkError, 
-                chunkStart, 
-                chunkEnd 
-              }, `Error querying events for chunk ${chunkStart}-${chunkEnd}, skipping...`);
-            }
-          }
-        } else {
-          logger.error(`Skipping batch ${fromBlock}-${toBlock} due to error`);
-        }
+// Serializes sync, live events and reorg checks for a factory so its cursor stays consistent
+function runSerialized(factory, task) {
+  const run = factory.ingestionChain.then(task);
+  factory.ingestionChain = run.catch(() => {}); // Keep the chain alive; callers handle their own errors
+  return run;
+}
+
+// Highest block whose logs are considered final enough to ingest
+async function getConfirmedHead(factory) {
+  const currentBlock = await factory.provider.getBlockNumber();
+  return Math.max(currentBlock - config.CONFIRMATION_DEPTH, 0);
+}
+
+async function loadLastProcessedBlock(factory) {
+  if (factory.lastProcessedBlock === null) {
+    factory.lastProcessedBlock = await db.getLastProcessedBlock(factory.chainId, factory.factoryAddress);
+  }
+  return factory.lastProcessedBlock;
+}
+
+async function advanceLastProcessedBlock(factory, blockNumber) {
+  if (factory.lastProcessedBlock !== null && blockNumber <= factory.lastProcessedBlock) {
+    return;
+  }
+  const block = await factory.provider.getBlock(blockNumber);
+  await db.updateLastProcessedBlock(factory.chainId, factory.factoryAddress, blockNumber, block ? block.hash : null);
+  factory.lastProcessedBlock = blockNumber;
+}
+
+// Stores a market from a PNP_MarketCreated log and queues the fetch of its on-chain details.
+// Safe to call more than once for the same log: AI resolution analysis is only queued the
+// first time a market is seen. Returns whether the market is new.
+async function handleMarketCreatedEvent(factory, conditionId, marketCreator, log, source) {
+  const { chainId, factoryAddress } = factory;
+  logger.info(
+    {
+      chainId,
+      factoryAddress,
+      conditionId,
+      marketCreator,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      source
+    },
+    'Processing PNP_MarketCreated event'
+  );
+
+  const existingMarket = await db.getMarket(conditionId);
+  if (existingMarket && existingMarket.chainId !== null && existingMarket.chainId !== undefined &&
+      (existingMarket.chainId !== chainId || existingMarket.factoryAddress !== factoryAddress)) {
+    // conditionId is the primary key, so a collision across factories can't be stored twice
+    logger.error({
+      conditionId,
+      chainId,
+      factoryAddress,
+      existingChainId: existingMarket.chainId,
+      existingFactoryAddress: existingMarket.factoryAddress
+    }, 'conditionId already indexed from a different chain/factory. Skipping event.');
+    return false;
+  }
+
+  await db.addOrUpdateMarket(conditionId, marketCreator, chainId, factoryAddress);
+  await db.recordMarketEvent(conditionId, chainId, factoryAddress, log);
+
+  // The job is queued before the cursor moves past this log, so a restart can't lose it. Replayed logs
+  // of markets we already knew about don't trigger duplicate (paid) resolution analysis.
+  await db.enqueueJob({
+    type: 'fetch_metadata',
+    conditionId,
+    payload: { analyzeResolution: !existingMarket },
+    priority: source === 'live' ? JOB_PRIORITY_LIVE : 0 // New markets go ahead of a backfill
+  });
+  return !existingMarket;
+}
+
+// fetch_metadata job: records whether the market was already settled and fetches its end time and
+// question if missing. Queues the resolution analysis of markets that are still open when asked to.
+// Throws if the end time or question could not be fetched, so the job is retried.
+export async function fetchMarketMetadata(conditionId, { analyzeResolution = false } = {}, priority = 0) {
+  const market = await db.getMarket(conditionId);
+  if (!market) {
+    logger.info({ conditionId }, 'Market no longer indexed (rolled back). Skipping metadata fetch.');
+    return;
+  }
+  const factory = findFactoryForMarketRow(market);
+  if (!factory) return;
+
+  // Check if market was already settled and try to fetch its winningTokenId
+  const wasPreSettled = await fetchAndRecordPreSettledMarketDetails(factory, conditionId);
+
+  const endTime = market.fetchedEndTime
+    ? market.marketEndTime
+    : await fetchAndStoreMarketEndTime(factory, conditionId);
+  const question = market.marketQuestion || await fetchAndStoreMarketQuestion(factory, conditionId);
+
+  if (wasPreSettled) {
+    logger.info({ conditionId, chainId: factory.chainId }, 'Market was already settled on-chain and has been fully recorded.');
+  }
+  if (!endTime || !question) {
+    throw new Error(`Could not fetch market ${!endTime ? 'end time' : 'question'}`);
+  }
+
+  // Resolution analysis is only useful for markets that are still open
+  const currentTime = Math.floor(Date.now() / 1000);
+  if (analyzeResolution && !wasPreSettled && endTime > currentTime) {
+    await db.enqueueJob({ type: 'resolution_analysis', conditionId, priority });
+    await notify('market_discovered', { conditionId, chainId: factory.chainId, question, endTime, creator: market.marketCreator });
+  }
+}
+
+// `refetch <conditionId>` CLI command: reads the market's settled status, end time and question from the
+// contract again and stores them, replacing what was fetched before (fetchMarketMetadata only fills gaps)
+export async function refetchMarketMetadata(conditionId) {
+  const factory = await getFactoryForMarket(conditionId);
+  const settledOnChain = await fetchAndRecordPreSettledMarketDetails(factory, conditionId);
+  const endTime = await fetchAndStoreMarketEndTime(factory, conditionId);
+  const question = await fetchAndStoreMarketQuestion(factory, conditionId);
+  if (!endTime || !question) {
+    throw new Error(`Could not fetch market ${!endTime ? 'end time' : 'question'}`);
+  }
+  return { settledOnChain, endTime, question };
+}
+
+// resolution_analysis job: asks the AI how the market can be resolved and keeps the criteria locally
+export async function analyzeMarketResolution(conditionId) {
+  const market = await db.getMarket(conditionId);
+  const currentTime = Math.floor(Date.now() / 1000);
+  if (!market || !market.marketQuestion || !(market.marketEndTime > currentTime)) {
+    logger.info({ conditionId }, 'Market is gone or no longer open. Skipping resolution analysis.');
+    return;
+  }
+  if (await db.getResolutionCriteria(conditionId)) {
+    logger.debug({ conditionId }, 'Resolution criteria already stored. Skipping resolution analysis.');
+    return;
+  }
+  const { chainId, factoryAddress } = market;
+
+  // Also the first AI work to pause when the AI budget runs out. The job waits in the queue until the
+  // budget resets; a market that has ended by then is settled on its question alone.
+  const budget = await checkAIBudget('resolution');
+  if (!budget.allowed) {
+    const error = new Error(`AI ${budget.period} budget of $${budget.capUsd} reached`);
+    error.deferUntil = Math.floor(budget.resetsAt.getTime() / 1000);
+    throw error;
+  }
+
+  logger.info({ conditionId, chainId }, 'Fetching market resolution analysis from AI.');
+  const resolution = await getMarketResolution(market.marketQuestion, market.marketEndTime, conditionId, { chainId, factoryAddress });
+  if (resolution) {
+    try {
+      // Kept locally so the settlement prompt can hold the market to these rules later
+      if (!await db.saveResolutionCriteria(conditionId, resolution, resolution.model)) {
+        logger.info({ conditionId, chainId }, 'Market was rolled back during resolution analysis. Discarding the analysis.');
+        return;
+      }
+      if (resolution.citations.length > 0) {
+        await db.recordResolutionCitations(conditionId, resolution.model, resolution.citations);
       }
+    } catch (error) {
+      logger.error({ err: error, conditionId, chainId }, 'Failed to store resolution analysis locally.');
+    }
+    if (resolution.resolvable === false) {
+      await notify('unresolvable_question', {
+        conditionId,
+        chainId,
+        question: market.marketQuestion,
+        reasoning: resolution.reasoning,
+        suggestedImprovements: resolution.suggested_improvements
+      });
     }
+  }
+}
+
+// Queries PNP_MarketCreated logs for a single batch, splitting it into smaller chunks if the
+// RPC rejects the range. Throws if any chunk still fails so the caller never advances the
+// cursor past blocks that were not actually scanned.
+async function queryMarketCreatedEvents(factory, fromBlock, toBlock) {
+  const eventFilter = factory.contract.filters.PNP_MarketCreated();
 
-    logger.info(`Found ${allEvents.length} total past PNP_MarketCreated events.`);
+  try {
+    return await factory.contract.queryFilter(eventFilter, fromBlock, toBlock);
+  } catch (batchError) {
+    logger.error({
+      err: batchError,
+      chainId: factory.chainId,
+      fromBlock,
+      toBlock
+    }, `Error querying events for batch ${fromBlock}-${toBlock}`);
+
+    if (toBlock - fromBlock <= 100) {
+      throw batchError;
+    }
 
-    // Process all events
-    for (const event of allEvents) {
+    logger.info(`Retrying batch ${fromBlock}-${toBlock} with smaller chunks...`);
+    const smallChunkSize = 100;
+    let events = [];
+    for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += smallChunkSize) {
+      const chunkEnd = Math.min(chunkStart + smallChunkSize - 1, toBlock);
+      const chunkEvents = await factory.contract.queryFilter(eventFilter, chunkStart, chunkEnd);
+      events = events.concat(chunkEvents);
+      logger.info(`Found ${chunkEvents.length} events in chunk (blocks ${chunkStart}-${chunkEnd})`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return events;
+  }
+}
+
+// Processes all PNP_MarketCreated events from the persisted cursor up to targetBlock,
+// advancing the cursor after each batch so an interrupted sync resumes where it stopped.
+async function syncMarketCreatedEventsToBlock(factory, targetBlock) {
+  const cursor = await loadLastProcessedBlock(factory);
+  const startBlock = cursor !== null ? cursor + 1 : factory.startBlock;
+
+  if (startBlock > targetBlock) {
+    logger.debug({ chainId: factory.chainId, startBlock, targetBlock }, 'No new blocks to sync for PNP_MarketCreated events.');
+    return 0;
+  }
+
+  // Batch size - use 450 to be safe under Alchemy's 500 block limit
+  const BATCH_SIZE = config.EVENT_QUERY_BATCH_SIZE;
+  let totalEvents = 0;
+
+  for (let fromBlock = startBlock; fromBlock <= targetBlock; fromBlock += BATCH_SIZE) {
+    const toBlock = Math.min(fromBlock + BATCH_SIZE - 1, targetBlock);
+    logger.info(`Querying events on chain ${factory.chainId} from block ${fromBlock} to ${toBlock}...`);
+
+    const batchEvents = await queryMarketCreatedEvents(factory, fromBlock, toBlock);
+    logger.info(`Found ${batchEvents.length} events in batch (blocks ${fromBlock}-${toBlock})`);
+
+    for (const event of batchEvents) {
       if (event.args && event.args.conditionId && event.args.marketCreator) {
         const { conditionId, marketCreator } = event.args;
-        logger.info({ conditionId, marketCreator, blockNumber: event.blockNumber }, 'Processing past event');
-        await db.addOrUpdateMarket(conditionId, marketCreator);
-        
-        // Check if market was already settled and try to fetch its winningTokenId
-        const wasPreSettled = await fetchAndRecordPreSettledMarketDetails(conditionId);
-
-        const market = await db.getMarket(conditionId);
-        if (market) {
-          // Fetch end time if needed (always useful to have)
-          if (!market.fetchedEndTime) {
-            await fetchAndStoreMarketEndTime(conditionId);
-          }
-          // Fetch market question if needed (always useful to have)
-          if (!market.marketQuestion) {
-            await fetchAndStoreMarketQuestion(conditionId);
-          }
-        }
+        await handleMarketCreatedEvent(factory, conditionId, marketCreator, event, 'backfill');
       } else {
         logger.warn({ event }, 'Skipping past event due to missing args');
       }
     }
-    logger.info('Finished syncing past PNP_MarketCreated events.');
+
+    await advanceLastProcessedBlock(factory, toBlock);
+    totalEvents += batchEvents.length;
+
+    // Add a small delay between batches to avoid rate limiting
+    if (toBlock < targetBlock) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return totalEvents;
+}
+
+// `sync --from <block>` CLI command: ingests the PNP_MarketCreated logs of a block range again, e.g. for
+// markets missed behind a bad RPC response. Handling a log twice is harmless, so the range may overlap
+// what was indexed. The cursor is left where it is and the queued fetch_metadata jobs are run by the indexer.
+export async function resyncMarketCreatedEvents({ fromBlock, toBlock = null, chainId = null }) {
+  const selected = chainId === null ? factories : factories.filter(f => f.chainId === chainId);
+  if (selected.length === 0) {
+    throw new Error(`No factory configured for chain ${chainId}.`);
+  }
+
+  const results = [];
+  for (const factory of selected) {
+    // Unconfirmed logs are left to the indexer, which can still roll them back
+    const endBlock = Math.min(toBlock ?? Infinity, await getConfirmedHead(factory));
+    let events = 0;
+    let newMarkets = 0;
+    for (let batchStart = fromBlock; batchStart <= endBlock; batchStart += config.EVENT_QUERY_BATCH_SIZE) {
+      const batchEnd = Math.min(batchStart + config.EVENT_QUERY_BATCH_SIZE - 1, endBlock);
+      logger.info(`Re-syncing events on chain ${factory.chainId} from block ${batchStart} to ${batchEnd}...`);
+      const batchEvents = await queryMarketCreatedEvents(factory, batchStart, batchEnd);
+      for (const event of batchEvents) {
+        if (event.args && event.args.conditionId && event.args.marketCreator) {
+          const { conditionId, marketCreator } = event.args;
+          if (await handleMarketCreatedEvent(factory, conditionId, marketCreator, event, 'resync')) {
+            newMarkets++;
+          }
+        } else {
+          logger.warn({ event }, 'Skipping re-synced event due to missing args');
+        }
+      }
+      events += batchEvents.length;
+    }
+    results.push({ chainId: factory.chainId, factoryAddress: factory.factoryAddress, fromBlock, toBlock: endBlock, events, newMarkets });
+  }
+  return results;
+}
+
+// Compares the stored block hashes of recently ingested logs (and of the cursor block) with
+// the canonical chain. On a mismatch, markets ingested at or after the fork point are rolled
+// back, the cursor is rewound to just before it, and the canonical range is re-ingested.
+async function checkForReorg(factory) {
+  const { chainId, factoryAddress } = factory;
+  const currentBlock = await factory.provider.getBlockNumber();
+  const fromBlock = Math.max(currentBlock - config.REORG_CHECK_DEPTH, 0);
+  const storedBlocks = await db.getIngestedBlockHashes(chainId, factoryAddress, fromBlock);
+
+  let forkBlock = null;
+  for (const { blockNumber, blockHash } of storedBlocks) {
+    const canonicalBlock = await factory.provider.getBlock(blockNumber);
+    if (!canonicalBlock || canonicalBlock.hash !== blockHash) {
+      logger.warn({
+        chainId,
+        blockNumber,
+        storedHash: blockHash,
+        canonicalHash: canonicalBlock ? canonicalBlock.hash : null
+      }, 'Chain reorganisation detected: stored block hash is no longer canonical.');
+      forkBlock = blockNumber;
+      break;
+    }
+  }
+
+  if (forkBlock === null) {
+    return false;
+  }
+
+  const { rolledBack, retained } = await db.rollbackMarketEventsFromBlock(chainId, factoryAddress, forkBlock);
+  for (const conditionId of rolledBack) {
+    await deleteAIResolution(conditionId);
+  }
+  if (retained.length > 0) {
+    logger.error({ chainId, forkBlock, retained }, 'Orphaned markets were already processed for settlement and have not been rolled back. Manual review required.');
+  }
+
+  const rewindTo = forkBlock - 1;
+  await db.updateLastProcessedBlock(chainId, factoryAddress, rewindTo, null);
+  factory.lastProcessedBlock = rewindTo;
+  logger.warn({ chainId, forkBlock, rolledBack, rewindTo }, 'Rolled back orphaned markets and rewound sync cursor.');
+
+  // Re-ingest the canonical version of the affected range
+  const confirmedHead = await getConfirmedHead(factory);
+  await syncMarketCreatedEventsToBlock(factory, confirmedHead);
+  return true;
+}
+
+function startReorgChecks(factory) {
+  if (factory.reorgCheckInterval || config.REORG_CHECK_INTERVAL_MS <= 0) {
+    return;
+  }
+  factory.reorgCheckInterval = setInterval(() => {
+    runSerialized(factory, () => checkForReorg(factory)).catch(error => {
+      logger.error({ err: error, chainId: factory.chainId }, 'Error while checking for chain reorganisations');
+    });
+  }, config.REORG_CHECK_INTERVAL_MS);
+  logger.info(`Checking the last ${config.REORG_CHECK_DEPTH} blocks on chain ${factory.chainId} for reorganisations every ${config.REORG_CHECK_INTERVAL_MS / 1000}s.`);
+}
+
+async function syncFactoryPastEvents(factory) {
+  try {
+    await runSerialized(factory, async () => {
+      const cursor = await loadLastProcessedBlock(factory);
+      // The cursor block itself may have been reorged away while we were down
+      if (cursor !== null) {
+        await checkForReorg(factory);
+      }
+
+      const confirmedHead = await getConfirmedHead(factory);
+      if (factory.lastProcessedBlock !== null) {
+        logger.info(`Resuming sync of PNP_MarketCreated events on chain ${factory.chainId} after block ${factory.lastProcessedBlock} (confirmed head: ${confirmedHead})...`);
+      } else {
+        logger.info(`Starting sync of past PNP_MarketCreated events on chain ${factory.chainId} from block ${factory.startBlock} (confirmed head: ${confirmedHead})...`);
+      }
+
+      const totalEvents = await syncMarketCreatedEventsToBlock(factory, confirmedHead);
+      logger.info(`Finished syncing past PNP_MarketCreated events on chain ${factory.chainId}. Processed ${totalEvents} events up to block ${factory.lastProcessedBlock}.`);
+    });
   } catch (error) {
-    logger.error({ err: error }, 'Error syncing past PNP_MarketCreated events');
+    // Progress is persisted per batch; the live listener handoff picks up from the cursor.
+    logger.error({ err: error, chainId: factory.chainId, lastProcessedBlock: factory.lastProcessedBlock }, 'Error syncing past PNP_MarketCreated events');
   }
 }
 
-export function listenForMarketCreatedEvents() {
-  if (!pnpFactoryContract) throw new Error('Contract not initialized');
+export async function syncPastMarketCreatedEvents() {
+  if (factories.length === 0) throw new Error('Contract not initialized');
+  // Chains are independent, so they are synced in parallel
+  await Promise.all(factories.map(syncFactoryPastEvents));
+}
 
-  logger.info('Listening for new PNP_MarketCreated events...');
-  pnpFactoryContract.on('PNP_MarketCreated', async (conditionId, marketCreator, event) => {
-    logger.info(
-      { 
-        conditionId,
-        marketCreator,
-        blockNumber: event.log.blockNumber,
-        txHash: event.log.transactionHash 
-      },
-      'PNP_MarketCreated event received'
-    );
-    try {
-      await db.addOrUpdateMarket(conditionId, marketCreator);
-      
-      // Check if market was already settled and try to fetch its winningTokenId
-      const wasPreSettled = await fetchAndRecordPreSettledMarketDetails(conditionId);
-
-      // Fetch end time and question for new live events for completeness,
-      // even if pre-settled (though unlikely for a brand new event).
-      const endTime = await fetchAndStoreMarketEndTime(conditionId);
-      const question = await fetchAndStoreMarketQuestion(conditionId);
-
-      // Get market resolution analysis
-      if (question && endTime && endTime > 0) {
-        logger.info({ conditionId }, 'Fetching market resolution analysis from AI.');
-        await getMarketResolution(question, endTime, conditionId);
+async function handleLiveEvent(factory, conditionId, marketCreator, log) {
+  // Already covered by backfill or the handoff catch-up
+  if (factory.lastProcessedBlock !== null && log.blockNumber <= factory.lastProcessedBlock) {
+    logger.debug({ conditionId, chainId: factory.chainId, blockNumber: log.blockNumber, lastProcessedBlock: factory.lastProcessedBlock }, 'Skipping live event already processed by sync.');
+    return;
+  }
+
+  try {
+    await handleMarketCreatedEvent(factory, conditionId, marketCreator, log, 'live');
+    // Other events from the same block may still arrive, so only the blocks before it are complete.
+    await advanceLastProcessedBlock(factory, log.blockNumber - 1);
+  } catch (error) {
+    logger.error({ err: error, chainId: factory.chainId, conditionId, marketCreator }, 'Error processing PNP_MarketCreated event');
+  }
+}
+
+function enqueueLiveEvent(factory, conditionId, marketCreator, log) {
+  if (!factory.isLiveHandoffComplete) {
+    factory.bufferedLiveEvents.push({ conditionId, marketCreator, log });
+    return;
+  }
+  runSerialized(factory, () => handleLiveEvent(factory, conditionId, marketCreator, log));
+}
+
+// With a confirmation depth (or in polling mode), logs are read by range once they are deep
+// enough rather than taken from the subscription, so each trigger just moves the confirmed head forward.
+function enqueueConfirmedSync(factory) {
+  if (factory.isConfirmedSyncQueued) {
+    return;
+  }
+  factory.isConfirmedSyncQueued = true;
+  runSerialized(factory, async () => {
+    factory.isConfirmedSyncQueued = false;
+    await syncMarketCreatedEventsToBlock(factory, await getConfirmedHead(factory));
+  }).catch(error => {
+    logger.error({ err: error, chainId: factory.chainId, lastProcessedBlock: factory.lastProcessedBlock }, 'Error syncing confirmed PNP_MarketCreated events. Will retry on the next trigger.');
+  });
+}
+
+function startLogPolling(factory) {
+  if (factory.logPollInterval) {
+    return;
+  }
+  factory.logPollInterval = setInterval(() => enqueueConfirmedSync(factory), config.LOG_POLL_INTERVAL_MS);
+  logger.info(`Polling eth_getLogs for PNP_MarketCreated events on chain ${factory.chainId} every ${config.LOG_POLL_INTERVAL_MS / 1000}s.`);
+}
+
+// Closes the gap between the last synced block and the block at which the live subscription
+// started, then releases any live events that were buffered in the meantime.
+async function completeLiveHandoff(factory) {
+  try {
+    await runSerialized(factory, async () => {
+      const confirmedHead = await getConfirmedHead(factory);
+      if (config.BACKFILL_ENABLED) {
+        await syncMarketCreatedEventsToBlock(factory, confirmedHead);
+      } else {
+        // Without backfill, anything before the subscription started is skipped
+        await loadLastProcessedBlock(factory);
+        await advanceLastProcessedBlock(factory, confirmedHead - 1);
       }
+    });
+  } catch (error) {
+    logger.error({ err: error, chainId: factory.chainId, lastProcessedBlock: factory.lastProcessedBlock }, `Handoff catch-up failed. Retrying in ${HANDOFF_RETRY_DELAY_MS / 1000}s; live events stay buffered until it succeeds.`);
+    setTimeout(() => completeLiveHandoff(factory), HANDOFF_RETRY_DELAY_MS);
+    return;
+  }
+
+  const buffered = factory.bufferedLiveEvents;
+  factory.bufferedLiveEvents = [];
+  factory.isLiveHandoffComplete = true;
+  logger.info({ chainId: factory.chainId, lastProcessedBlock: factory.lastProcessedBlock, bufferedEvents: buffered.length }, 'Caught up to head. Live listener has taken over.');
+
+  for (const { conditionId, marketCreator, log } of buffered) {
+    enqueueLiveEvent(factory, conditionId, marketCreator, log);
+  }
+  if (config.INGESTION_MODE === 'polling') {
+    startLogPolling(factory);
+  }
+  startReorgChecks(factory);
+}
 
-      if (wasPreSettled) {
-        logger.info({ conditionId }, "Live event for a market that was already settled has been fully recorded (including endTime/Question if missing).");
+// Registers the live subscription for a factory on the HTTP pool or on a (new) WebSocket provider
+async function subscribeToFactoryEvents(factory, provider) {
+  const { chainId } = factory;
+
+  if (config.CONFIRMATION_DEPTH > 0) {
+    await provider.on('block', () => {
+      if (factory.isLiveHandoffComplete) {
+        enqueueConfirmedSync(factory);
       }
+    });
+  } else {
+    const contract = provider === factory.provider ? factory.contract : factory.contract.connect(provider);
+    await contract.on('PNP_MarketCreated', (conditionId, marketCreator, event) => {
+      logger.info(
+        {
+          chainId,
+          conditionId,
+          marketCreator,
+          blockNumber: event.log.blockNumber,
+          txHash: event.log.transactionHash
+        },
+        'PNP_MarketCreated event received'
+      );
+      enqueueLiveEvent(factory, conditionId, marketCreator, event.log);
+    });
+  }
+}
 
-    } catch (error) {
-      logger.error({ err: error, conditionId, marketCreator }, 'Error processing PNP_MarketCreated event');
+async function listenForFactoryEvents(factory) {
+  const { chainId, provider } = factory;
+
+  if (config.INGESTION_MODE === 'polling') {
+    // Nothing to subscribe to; polling starts once the handoff catch-up has run
+    logger.info(`Using log polling for PNP_MarketCreated events on chain ${chainId}${config.CONFIRMATION_DEPTH > 0 ? ` (${config.CONFIRMATION_DEPTH} confirmations)` : ''}...`);
+    if (factory.wsUrl) {
+      logger.warn({ chainId }, 'wsUrl is ignored in polling ingestion mode.');
     }
-  });
+  } else {
+    if (config.CONFIRMATION_DEPTH > 0) {
+      logger.info(`Listening for new blocks on chain ${chainId}; PNP_MarketCreated events are ingested after ${config.CONFIRMATION_DEPTH} confirmations...`);
+    } else {
+      logger.info(`Listening for new PNP_MarketCreated events on chain ${chainId}...`);
+    }
+
+    // Subscribe before the catch-up so that nothing emitted from this point on is missed.
+    if (factory.wsUrl) {
+      factory.webSocket = new ReconnectingWebSocket(factory.wsUrl, {
+        chainId,
+        onConnect: (wsProvider) => subscribeToFactoryEvents(factory, wsProvider),
+        onReconnect: async () => {
+          // Before the handoff, its own catch-up covers the gap
+          if (factory.isLiveHandoffComplete) {
+            enqueueConfirmedSync(factory);
+          }
+        },
+      });
+      const connected = await factory.webSocket.start();
+      if (!connected) {
+        logger.warn({ chainId, endpoint: factory.webSocket.label }, 'WebSocket is not available yet. Retrying in the background; missed blocks are synced once it connects.');
+      }
+    } else {
+      await subscribeToFactoryEvents(factory, provider);
+    }
+  }
 
-  // It's good practice to also listen for errors on the provider or contract
+  // It's good practice to also listen for errors on the provider
+  // (ethers v6 contracts have no 'error' event; subscription errors surface here)
   provider.on('error', (error) => {
-    logger.error({ err: error }, 'Provider error detected');
+    logger.error({ err: error, chainId }, 'Provider error detected');
     // You might want to re-initialize or exit depending on the error
   });
 
-  pnpFactoryContract.on('error', (error) => {
-    logger.error({ err: error }, 'Contract event listener error');
-  });
+  await completeLiveHandoff(factory);
+}
+
+export async function listenForMarketCreatedEvents() {
+  if (factories.length === 0) throw new Error('Contract not initialized');
+  await Promise.all(factories.map(listenForFactoryEvents));
 }
 
 export async function getMarketSettledFromChain(conditionId) {
-  if (!pnpFactoryContract) throw new Error('Contract not initialized');
   try {
-    logger.debug({ conditionId }, 'Checking on-chain settlement status...');
-    const isSettled = await pnpFactoryContract.marketSettled(conditionId);
-    logger.info({ conditionId, isSettled }, 'On-chain settlement status fetched.');
+    const factory = await getFactoryForMarket(conditionId);
+    logger.debug({ conditionId, chainId: factory.chainId }, 'Checking on-chain settlement status...');
+    const isSettled = await factory.contract.marketSettled(conditionId);
+    logger.info({ conditionId, chainId: factory.chainId, isSettled }, 'On-chain settlement status fetched.');
     await db.updateMarketSettledOnChain(conditionId, isSettled);
     return isSettled;
   } catch (error) {
@@ -301,12 +867,26 @@ export async function getMarketSettledFromChain(conditionId) {
 }
 
 export async function processMarketAndSettleOnChain(conditionId) {
-  if (!pnpFactoryContract || !wallet) throw new Error('Contract or wallet not initialized');
   logger.info({ conditionId }, 'Processing market settlement...');
 
   try {
+    // Settle on the chain the market was indexed from
+    const factory = await getFactoryForMarket(conditionId);
+
+    // A settleMarket sent by an earlier run (or before a restart) is still in flight: follow it
+    // up instead of asking the AI again and sending a second transaction.
+    const inFlight = config.SETTLEMENT_MODE === 'live' && await db.getPendingTransactionForMarket(conditionId);
+    if (inFlight) {
+      const txResult = await resumeSettlementTransaction(factory, inFlight);
+      return await recordSettlementResult(
+        factory,
+        conditionId,
+        settlementResultFromTransaction(txResult, inFlight.outcome, inFlight.winningTokenId)
+      );
+    }
+
     // Check if the market is already settled
-    const isSettled = await pnpFactoryContract.marketSettled(conditionId);
+    const isSettled = await factory.contract.marketSettled(conditionId);
     if (isSettled) {
       logger.info({ conditionId }, 'Market is already settled on-chain.');
       await db.setMarketProcessedForSettlement(conditionId);
@@ -314,6 +894,23 @@ export async function processMarketAndSettleOnChain(conditionId) {
       return { success: true, alreadySettled: true };
     }
 
+    // Settlements held for an operator (SETTLEMENT_APPROVAL_POLICY, or no AI consensus): wait for the
+    // decision, or send the approved answer as-is. A rejected proposal falls through to a fresh analysis.
+    const proposal = config.SETTLEMENT_MODE === 'live' ? await db.getLatestSettlementProposal(conditionId) : null;
+    if (proposal && (proposal.status === 'awaiting_approval' || proposal.status === 'needs_review')) {
+      logger.info({ conditionId, proposalId: proposal.id, status: proposal.status }, 'Settlement proposal is awaiting approval.');
+      return { success: false, awaitingApproval: true, proposalId: proposal.id, error: 'Settlement proposal is awaiting approval' };
+    }
+    if (proposal && proposal.status === 'approved') {
+      logger.info({ conditionId, proposalId: proposal.id, aiAnswer: proposal.aiAnswer, reviewedBy: proposal.reviewedBy }, 'Sending approved settlement proposal.');
+      const txResult = await sendSettlementTransaction(factory, conditionId, proposal.aiAnswer, BigInt(proposal.winningTokenId));
+      return await recordSettlementResult(
+        factory,
+        conditionId,
+        settlementResultFromTransaction(txResult, proposal.aiAnswer, proposal.winningTokenId)
+      );
+    }
+
     // Get market details from database
     const market = await db.getMarket(conditionId);
     if (!market) {
@@ -324,24 +921,24 @@ export async function processMarketAndSettleOnChain(conditionId) {
     // Verify we have the market question
     if (!market.marketQuestion) {
       logger.warn({ conditionId }, 'Market question is missing. Fetching before processing.');
-      await fetchAndStoreMarketQuestion(conditionId);
+      await fetchAndStoreMarketQuestion(factory, conditionId);
       // Get updated market record
       const updatedMarket = await db.getMarket(conditionId);
       if (!updatedMarket || !updatedMarket.marketQuestion) {
         logger.error({ conditionId }, 'Failed to retrieve market question, cannot proceed with settlement.');
-        return { success: false, error: 'Missing market question' };
+        return { success: false, error: 'Missing market question', ...await recordSettlementFailure(conditionId, 'transient', 'Missing market question') };
       }
       market.marketQuestion = updatedMarket.marketQuestion;
     }
 
     // Get market end time to validate it has passed
-    const marketEndTimeBigInt = await pnpFactoryContract.getMarketEndTime(conditionId);
+    const marketEndTimeBigInt = await factory.contract.getMarketEndTime(conditionId);
     const marketEndTime = Number(marketEndTimeBigInt);
     const currentTime = Math.floor(Date.now() / 1000);
     
     if (marketEndTime === 0) {
       logger.warn({ conditionId }, 'Market end time is zero or invalid, cannot process.');
-      return { success: false, error: 'Invalid market end time' };
+      return { success: false, error: 'Invalid market end time', ...await recordSettlementFailure(conditionId, 'permanent', 'Invalid market end time') };
     }
     
     if (marketEndTime > currentTime) {
@@ -360,64 +957,136 @@ export async function processMarketAndSettleOnChain(conditionId) {
     // Execute settlement logic
     logger.info({ 
       conditionId, 
+      chainId: factory.chainId,
       marketQuestion: market.marketQuestion.substring(0, 100) + (market.marketQuestion.length > 100 ? '...' : ''),
       marketEndTime: new Date(marketEndTime * 1000).toISOString()
     }, 'Executing market settlement logic...');
     
-    const settlementResult = await executeSettlementLogic(conditionId, market.marketQuestion, marketEndTime);
+    const settlementResult = await executeSettlementLogic(factory, conditionId, market.marketQuestion, marketEndTime, market);
     
-    // Check if executeSettlementLogic (which includes on-chain settlement) was successful
-    if (settlementResult.success && settlementResult.winningTokenId) {
-      // All successful (AI + On-chain settlement)
-      await db.setMarketProcessedForSettlement(conditionId);
-      await db.updateMarketSettledOnChain(conditionId, true); // Mark as settled on-chain in our DB
-      await db.updateMarketWinningTokenId(conditionId, settlementResult.winningTokenId); // Save the string token ID
-      
-      logger.info({ 
-        conditionId: conditionId,
-        winningTokenId: settlementResult.winningTokenId,
-        aiAnswer: settlementResult.aiAnswer,
-        txHash: settlementResult.txHash
-      }, "Market processed, settled on-chain, and DB updated.");
-
-      // User-friendly console output for final confirmation
-      console.log('\n✅ MARKET FULLY SETTLED & RECORDED ✅');
-      console.log(`ConditionID: ${conditionId}`);
-      console.log(`Outcome: ${settlementResult.aiAnswer} (Token ID: ${settlementResult.winningTokenId})`);
-      console.log(`On-Chain TX: ${settlementResult.txHash}`);
-      console.log('----------------------------------------\n');
-      
-      return { success: true, result: settlementResult };
-    } else {
-      // AI analysis or on-chain settlement failed
-      logger.error({
-        conditionId,
-        error: settlementResult.message,
-        aiResponse: settlementResult.aiAnswer, // Log AI answer even if tx failed
-        errorDetails: settlementResult.errorDetails
-      }, 'Failed to fully settle market (AI or On-Chain failure).');
-      
-      await db.incrementMarketRetryCount(conditionId);
-      // DO NOT mark as processedForSettlement or settledOnChain if the on-chain part failed.
-      // It will be retried.
-      
-      return { 
-        success: false, 
-        error: settlementResult.message || 'Unknown error during settlement execution.',
-        needsRetry: true
-      };
-    }
+    return await recordSettlementResult(factory, conditionId, settlementResult);
   } catch (error) {
     logger.error({ err: error, conditionId }, 'Error processing market settlement');
-    return { success: false, error: error.message || error };
+    const message = error.message || String(error);
+    const failure = await recordSettlementFailure(conditionId, classifyError(error), message).catch(dbError => {
+      logger.error({ err: dbError, conditionId }, 'Failed to record settlement failure');
+      return {};
+    });
+    return { success: false, error: message, ...failure };
+  }
+}
+
+// Counts a failed settlement attempt against the market and schedules the next one by the class of the
+// failure (see retryPolicy.js), or moves the market to dead_letter when that class has no attempts left.
+export async function recordSettlementFailure(conditionId, failureClass, message) {
+  const market = await db.getMarket(conditionId);
+  if (!market) {
+    return { failureClass };
+  }
+  const attempt = market.failureClass === failureClass ? market.classFailureCount + 1 : 1;
+  const delaySeconds = getRetryDelaySeconds(failureClass, attempt);
+  const nextAttemptAt = delaySeconds === null ? null : Math.floor(Date.now() / 1000) + delaySeconds;
+  await db.recordMarketFailure(conditionId, { failureClass, error: message, attempt, nextAttemptAt });
+  settlementFailures.inc({ failure_class: failureClass, outcome: nextAttemptAt === null ? 'dead_letter' : 'retry' });
+
+  if (nextAttemptAt === null) {
+    logger.error({ conditionId, failureClass, attempt, error: message },
+      'Settlement failed too often; market moved to dead_letter. Requeue it with `dead-letter requeue` once the cause is fixed.');
+    await notify('retry_exhausted', { conditionId, chainId: market.chainId, question: market.marketQuestion, failureClass, attempts: attempt, error: message });
+    return { failureClass, deadLetter: true };
+  }
+  logger.warn({ conditionId, failureClass, attempt, nextAttemptAt: new Date(nextAttemptAt * 1000).toISOString(), error: message },
+    'Settlement attempt failed; will retry.');
+  return { failureClass, nextAttemptAt };
+}
+
+// Updates the market after a settlement attempt (AI + on-chain transaction)
+async function recordSettlementResult(factory, conditionId, settlementResult) {
+  if (settlementResult.shadow) {
+    // Nothing happened on-chain, so the market itself is left untouched
+    return { success: true, shadow: true, result: settlementResult };
+  }
+
+  if (settlementResult.awaitingApproval) {
+    // Not a failure: the market waits for `proposals approve|reject` without using up retries
+    return { success: false, awaitingApproval: true, proposalId: settlementResult.proposalId, error: settlementResult.message };
+  }
+
+  if (settlementResult.deferred) {
+    // Low-confidence answer: scheduled for re-analysis, which doesn't use up retries either
+    return { success: false, deferred: true, reanalyzeAfter: settlementResult.reanalyzeAfter, error: settlementResult.message };
+  }
+
+  if (settlementResult.held) {
+    // Ambiguous question parked by AMBIGUITY_POLICY=hold until an operator releases it
+    return { success: false, held: true, error: settlementResult.message };
+  }
+
+  if (settlementResult.pending) {
+    // Still in flight after its fee replacements: followed up after another receipt timeout, again without using up retries
+    const nextAttemptAt = Math.floor((Date.now() + config.SETTLEMENT_TX_TIMEOUT_MS) / 1000);
+    await db.scheduleMarketFollowUp(conditionId, nextAttemptAt);
+    return { success: false, pending: true, txHash: settlementResult.txHash, nextAttemptAt, error: settlementResult.message };
+  }
+
+  if (settlementResult.success && settlementResult.winningTokenId) {
+    // All successful (AI + On-chain settlement)
+    await db.markSettlementProposalsExecuted(conditionId, settlementResult.txHash);
+    await db.setMarketProcessedForSettlement(conditionId);
+    await db.updateMarketSettledOnChain(conditionId, true); // Mark as settled on-chain in our DB
+    await db.updateMarketWinningTokenId(conditionId, settlementResult.winningTokenId); // Save the string token ID
+    
+    logger.info({ 
+      conditionId: conditionId,
+      winningTokenId: settlementResult.winningTokenId,
+      aiAnswer: settlementResult.aiAnswer,
+      txHash: settlementResult.txHash
+    }, "Market processed, settled on-chain, and DB updated.");
+
+    // User-friendly console output for final confirmation
+    console.log('\n✅ MARKET FULLY SETTLED & RECORDED ✅');
+    console.log(`ConditionID: ${conditionId}`);
+    console.log(`Chain ID: ${factory.chainId}`);
+    console.log(`Outcome: ${settlementResult.aiAnswer} (Token ID: ${settlementResult.winningTokenId})`);
+    console.log(`On-Chain TX: ${settlementResult.txHash}`);
+    console.log('----------------------------------------\n');
+
+    if (settlementResult.ambiguous) {
+      await notify('ambiguity_auto_settle', { conditionId, chainId: factory.chainId, reasoning: settlementResult.aiReasoning, txHash: settlementResult.txHash });
+    }
+    
+    return { success: true, result: settlementResult };
+  } else {
+    // AI analysis or on-chain settlement failed
+    logger.error({
+      conditionId,
+      error: settlementResult.message,
+      aiResponse: settlementResult.aiAnswer, // Log AI answer even if tx failed
+      errorDetails: settlementResult.errorDetails
+    }, 'Failed to fully settle market (AI or On-Chain failure).');
+    
+    // DO NOT mark as processedForSettlement or settledOnChain if the on-chain part failed.
+    // It will be retried, when depends on why it failed.
+    const message = settlementResult.message || 'Unknown error during settlement execution.';
+    const failure = await recordSettlementFailure(
+      conditionId,
+      settlementResult.failureClass || classifyError(settlementResult.errorDetails),
+      message
+    );
+    
+    return { 
+      success: false, 
+      error: message,
+      needsRetry: !failure.deadLetter,
+      ...failure
+    };
   }
 }
 
 // Gets the token ID for a "YES" outcome from the smart contract
-export async function getYesTokenId(conditionId) {
-  if (!pnpFactoryContract) throw new Error('Contract not initialized');
+export async function getYesTokenId(factory, conditionId) {
   try {
-    const tokenId = await pnpFactoryContract.getYesTokenId(conditionId);
+    const tokenId = await factory.contract.getYesTokenId(conditionId);
     logger.info({ conditionId, tokenId: tokenId.toString() }, 'Fetched YES token ID from contract.');
     return tokenId; // This will be a BigInt
   } catch (error) {
@@ -427,10 +1096,9 @@ export async function getYesTokenId(conditionId) {
 }
 
 // Gets the token ID for a "NO" outcome from the smart contract
-export async function getNoTokenId(conditionId) {
-  if (!pnpFactoryContract) throw new Error('Contract not initialized');
+export async function getNoTokenId(factory, conditionId) {
   try {
-    const tokenId = await pnpFactoryContract.getNoTokenId(conditionId);
+    const tokenId = await factory.contract.getNoTokenId(conditionId);
     logger.info({ conditionId, tokenId: tokenId.toString() }, 'Fetched NO token ID from contract.');
     return tokenId; // This will be a BigInt
   } catch (error) {
@@ -439,36 +1107,286 @@ export async function getNoTokenId(conditionId) {
   }
 }
 
+// Confidence threshold for a market: its own override, or SETTLEMENT_MIN_CONFIDENCE
+function getMinConfidence(market) {
+  return market && market.minConfidence !== null && market.minConfidence !== undefined
+    ? market.minConfidence
+    : config.SETTLEMENT_MIN_CONFIDENCE;
+}
+
+function isBelowConfidenceThreshold(aiAnalysis, minConfidence) {
+  // A missing confidence can't show the call is strong enough
+  return minConfidence > 0 && !(aiAnalysis.confidence >= minConfidence);
+}
+
+// Returns why a settlement needs an operator's approval under SETTLEMENT_APPROVAL_POLICY, or null
+function getApprovalReason(aiAnalysis, previousProposal, lowConfidence = false) {
+  const policy = config.SETTLEMENT_APPROVAL_POLICY;
+  if (aiAnalysis.needsReview) {
+    const { agreeingVotes, totalVotes, quorum } = aiAnalysis.consensus;
+    return `no AI consensus (${agreeingVotes} of ${totalVotes} votes agreed, quorum ${quorum})`;
+  }
+  if (lowConfidence) {
+    return `confidence ${aiAnalysis.confidence ?? 'not reported'} still below threshold after ${config.LOW_CONFIDENCE_MAX_REANALYSES} re-analyses`;
+  }
+  if (previousProposal && previousProposal.status === 'rejected') {
+    // An operator turned down an earlier answer; a new one must not settle unreviewed
+    return 'previous proposal was rejected';
+  }
+  if (policy.includes('always')) {
+    return 'approval required for every settlement';
+  }
+  if (policy.includes('ambiguous') && aiAnalysis.ambiguous) {
+    return 'AI flagged the question as ambiguous';
+  }
+  return null;
+}
+
+// A question flagged by screening is never settled automatically: the AI answer goes to an operator instead
+async function routeSuspiciousMarketToReview(factory, conditionId, marketQuestion, aiAnalysis, decisionId, reasons) {
+  const aiAnswer = (aiAnalysis.answer ?? 'NO').toUpperCase(); // An ambiguous answer is proposed as NO, as with 'escalate'
+  if (aiAnswer !== 'YES' && aiAnswer !== 'NO') {
+    logger.error({ conditionId, aiAnswer: aiAnalysis.answer }, 'AI answer is not YES or NO.');
+    return { success: false, message: 'AI answer is not YES or NO.' };
+  }
+  const winningTokenId = (aiAnswer === 'YES'
+    ? await getYesTokenId(factory, conditionId)
+    : await getNoTokenId(factory, conditionId)).toString();
+  const approvalReason = `question flagged as possible prompt injection (${reasons.join('; ')})`;
+
+  if (config.SETTLEMENT_MODE === 'shadow') {
+    await db.recordShadowSettlement({
+      conditionId,
+      chainId: factory.chainId,
+      factoryAddress: factory.factoryAddress,
+      runLabel: config.SHADOW_RUN_LABEL,
+      marketQuestion,
+      aiAnswer,
+      winningTokenId,
+      aiReasoning: aiAnalysis.reasoning,
+      needsReview: true
+    });
+    logger.info({ conditionId, chainId: factory.chainId, runLabel: config.SHADOW_RUN_LABEL, aiAnswer, reasons },
+      'Shadow mode: recorded decision for suspicious question, settleMarket not sent.'
+    );
+    return { success: true, shadow: true, message: 'Shadow settlement recorded.', aiAnswer, aiReasoning: aiAnalysis.reasoning, winningTokenId };
+  }
+
+  const proposalId = await db.createSettlementProposal({
+    conditionId,
+    chainId: factory.chainId,
+    factoryAddress: factory.factoryAddress,
+    marketQuestion,
+    aiAnswer,
+    winningTokenId,
+    aiReasoning: aiAnalysis.reasoning,
+    ambiguous: aiAnalysis.ambiguous,
+    approvalReason,
+    status: 'needs_review',
+    decisionId
+  });
+  logger.warn({ conditionId, chainId: factory.chainId, proposalId, reasons, aiAnswer }, 'Suspicious market question; settlement sent to review.');
+  console.log('\n==== SUSPICIOUS QUESTION: SETTLEMENT NEEDS REVIEW ====');
+  console.log(`Proposal ID: ${proposalId}`);
+  console.log(`Market Question: ${marketQuestion}`);
+  console.log(`Screening: ${reasons.join('; ')}`);
+  console.log(`AI Answer: ${aiAnswer}`);
+  console.log(`Approve with: node src/index.js proposals approve ${proposalId}`);
+  console.log('=======================================\n');
+  return {
+    success: false,
+    awaitingApproval: true,
+    proposalId,
+    message: `Settlement awaiting approval (${approvalReason})`,
+    aiAnswer
+  };
+}
+
+// Delay before an ambiguous market is analysed again under AMBIGUITY_POLICY=defer, doubling each time
+function getAmbiguityRetryDelayMinutes(ambiguousCount) {
+  return Math.min(
+    config.AMBIGUITY_RETRY_BASE_DELAY_MINUTES * 2 ** ambiguousCount,
+    config.AMBIGUITY_RETRY_MAX_DELAY_MINUTES
+  );
+}
+
+// Applies AMBIGUITY_POLICY to an answer the AI found ambiguous. Returns null when the market should go on
+// to be settled as NO ('settle_no'), otherwise the result of not settling it now.
+async function applyAmbiguityPolicy(factory, conditionId, marketQuestion, aiAnalysis, market, decisionId) {
+  const policy = config.AMBIGUITY_POLICY;
+  const noTokenId = aiAnalysis.answer === null ? (await getNoTokenId(factory, conditionId)).toString() : null;
+
+  if (config.SETTLEMENT_MODE === 'shadow') {
+    if (policy === 'settle_no') {
+      return null; // Recorded as a NO decision by the shadow branch, like any other answer
+    }
+    await db.recordShadowSettlement({
+      conditionId,
+      chainId: factory.chainId,
+      factoryAddress: factory.factoryAddress,
+      runLabel: config.SHADOW_RUN_LABEL,
+      marketQuestion,
+      aiAnswer: 'NO', // What settle_no would have sent
+      winningTokenId: noTokenId,
+      aiReasoning: aiAnalysis.reasoning,
+      ambiguityPolicy: policy
+    });
+    logger.info({ conditionId, chainId: factory.chainId, runLabel: config.SHADOW_RUN_LABEL, ambiguityPolicy: policy },
+      'Shadow mode: recorded ambiguous decision, settleMarket not sent.'
+    );
+    return { success: true, shadow: true, message: 'Shadow settlement recorded.', aiAnswer: null, aiReasoning: aiAnalysis.reasoning };
+  }
+
+  const ambiguousCount = market ? market.ambiguousCount || 0 : 0;
+  switch (policy) {
+    case 'settle_no':
+      await db.recordMarketAmbiguity(conditionId, policy);
+      return null;
+
+    case 'defer': {
+      const reanalyzeAfter = Math.floor(Date.now() / 1000) + getAmbiguityRetryDelayMinutes(ambiguousCount) * 60;
+      await db.recordMarketAmbiguity(conditionId, policy, { reanalyzeAfter });
+      console.log('\n==== SETTLEMENT DEFERRED: AMBIGUOUS QUESTION ====');
+      console.log(`Market Question: ${marketQuestion}`);
+      console.log(`Re-analysis after: ${new Date(reanalyzeAfter * 1000).toISOString()} (ambiguous ${ambiguousCount + 1} time(s))`);
+      console.log('=======================================\n');
+      return {
+        success: false,
+        deferred: true,
+        reanalyzeAfter,
+        message: 'AI found the question ambiguous; analysing again later (AMBIGUITY_POLICY=defer)'
+      };
+    }
+
+    case 'escalate': {
+      const approvalReason = 'AI found the question ambiguous (AMBIGUITY_POLICY=escalate)';
+      const proposalId = await db.createSettlementProposal({
+        conditionId,
+        chainId: factory.chainId,
+        factoryAddress: factory.factoryAddress,
+        marketQuestion,
+        aiAnswer: 'NO', // Approving settles NO; rejecting has the market analysed again
+        winningTokenId: noTokenId,
+        aiReasoning: aiAnalysis.reasoning,
+        ambiguous: true,
+        approvalReason,
+        status: 'needs_review',
+        decisionId
+      });
+      await db.recordMarketAmbiguity(conditionId, policy);
+      logger.info({ conditionId, chainId: factory.chainId, proposalId }, 'Ambiguous market escalated to an operator.');
+      console.log('\n==== AMBIGUOUS QUESTION ESCALATED ====');
+      console.log(`Proposal ID: ${proposalId}`);
+      console.log(`Market Question: ${marketQuestion}`);
+      console.log(`Settle as NO with: node src/index.js proposals approve ${proposalId}`);
+      console.log('=======================================\n');
+      return {
+        success: false,
+        awaitingApproval: true,
+        proposalId,
+        message: `Settlement awaiting approval (${approvalReason})`
+      };
+    }
+
+    case 'hold':
+      await db.recordMarketAmbiguity(conditionId, policy, { held: true });
+      console.log('\n==== AMBIGUOUS QUESTION ON HOLD ====');
+      console.log(`Market Question: ${marketQuestion}`);
+      console.log(`Analyse again with: node src/index.js dead-letter requeue ${conditionId}`);
+      console.log('=======================================\n');
+      return { success: false, held: true, message: 'AI found the question ambiguous; market on hold (AMBIGUITY_POLICY=hold)' };
+
+    default:
+      throw new Error(`Unknown AMBIGUITY_POLICY '${policy}'`);
+  }
+}
+
 // This function would contain your custom settlement logic
-async function executeSettlementLogic(conditionId, marketQuestion, marketEndTime) {
+async function executeSettlementLogic(factory, conditionId, marketQuestion, marketEndTime, market = null) {
   logger.info({ 
     conditionId, 
+    chainId: factory.chainId,
     marketQuestionShort: marketQuestion.substring(0,100) + (marketQuestion.length > 100 ? '...' : ''),
     marketEndTime: new Date(marketEndTime * 1000).toISOString()
   }, 'Market data for settlement processing using AI.');
 
+  // With AI_BUDGET_PAUSE_SETTLEMENT, markets wait for the budget to reset without using up retries
+  const budget = await checkAIBudget('settlement');
+  if (!budget.allowed) {
+    return {
+      success: false,
+      deferred: true,
+      reanalyzeAfter: Math.floor(budget.resetsAt.getTime() / 1000),
+      message: `AI ${budget.period} budget of $${budget.capUsd} reached`
+    };
+  }
+
   const outcomes = ["YES", "NO"];
   const marketCreationTime = new Date().toISOString(); // You might want to get this from the market data
   const settlementTime = new Date().toISOString();
+
+  // The settlement rules agreed when the market was created (none for markets indexed before they were stored)
+  const resolutionCriteria = await db.getResolutionCriteria(conditionId);
+  if (!resolutionCriteria) {
+    logger.info({ conditionId }, 'No stored resolution criteria for market; settling on the question alone.');
+  }
   
+  // Screened again at settlement: markets indexed before screening existed were never checked. A flag stays
+  // once set, even if the screening rules have changed since.
+  const screening = screenMarketQuestion(marketQuestion);
+  if (screening.suspicious && !(market && market.suspicious)) {
+    await db.flagMarketSuspicious(conditionId, screening.reasons);
+  }
+  const suspiciousReasons = screening.suspicious
+    ? screening.reasons
+    : market && market.suspicious ? JSON.parse(market.suspiciousReasons || '[]') : null;
+
   // Pass conditionId and timestamps to the AI service
   const aiAnalysis = await getMarketSettlementAnalysis(
     marketQuestion, 
     outcomes,
     conditionId,
     marketCreationTime,
-    settlementTime
+    settlementTime,
+    { chainId: factory.chainId, factoryAddress: factory.factoryAddress },
+    resolutionCriteria
   );
 
+  // Keep every model vote next to the decision it led to
+  let decisionId = null;
+  if (aiAnalysis) {
+    decisionId = await db.recordSettlementDecision({
+      conditionId,
+      chainId: factory.chainId,
+      decision: aiAnalysis.needsReview ? 'needs_review' : aiAnalysis.answer ?? 'ambiguous',
+      leadingAnswer: aiAnalysis.ambiguous ? null : aiAnalysis.answer,
+      ...aiAnalysis.consensus,
+      confidence: aiAnalysis.confidence,
+      evidenceQuality: aiAnalysis.evidenceQuality
+    }, aiAnalysis.votes);
+  }
+
+  if (aiAnalysis && suspiciousReasons) {
+    return routeSuspiciousMarketToReview(factory, conditionId, marketQuestion, aiAnalysis, decisionId, suspiciousReasons);
+  }
+
+  // Disagreements go to review regardless; an agreed ambiguous answer is handled as AMBIGUITY_POLICY says
+  if (aiAnalysis && aiAnalysis.ambiguous && !aiAnalysis.needsReview) {
+    const ambiguityResult = await applyAmbiguityPolicy(factory, conditionId, marketQuestion, aiAnalysis, market, decisionId);
+    if (ambiguityResult) {
+      return ambiguityResult;
+    }
+  }
+
   if (aiAnalysis && aiAnalysis.answer) {
     let winningTokenIdBigInt; // Keep as BigInt for contract call
     if (aiAnalysis.answer.toUpperCase() === "YES") {
-      winningTokenIdBigInt = await getYesTokenId(conditionId);
+      winningTokenIdBigInt = await getYesTokenId(factory, conditionId);
     } else if (aiAnalysis.answer.toUpperCase() === "NO") {
-      winningTokenIdBigInt = await getNoTokenId(conditionId);
+      winningTokenIdBigInt = await getNoTokenId(factory, conditionId);
     } else {
       logger.error({ conditionId, aiAnswer: aiAnalysis.answer }, 'AI answer is not YES or NO.');
-      return { success: false, message: 'AI answer is not YES or NO.' };
+      return { success: false, message: 'AI answer is not YES or NO.', failureClass: 'ai_invalid' };
     }
 
     const winningTokenIdStr = winningTokenIdBigInt.toString();
@@ -481,7 +1399,7 @@ async function executeSettlementLogic(conditionId, marketQuestion, marketEndTime
     try {
       // Double-check that the market isn't already settled before attempting to settle
       // This helps avoid unnecessary transaction costs and errors
-      const isAlreadySettled = await pnpFactoryContract.marketSettled(conditionId);
+      const isAlreadySettled = await factory.contract.marketSettled(conditionId);
       if (isAlreadySettled) {
         logger.info({ conditionId }, 'Market is already settled on-chain (caught during settlement attempt).');
         return { 
@@ -492,44 +1410,137 @@ async function executeSettlementLogic(conditionId, marketQuestion, marketEndTime
         };
       }
 
+      // Weak calls are not settled. Disagreements already go to an operator, so only agreed answers are checked.
+      const minConfidence = getMinConfidence(market);
+      const lowConfidence = !aiAnalysis.needsReview && isBelowConfidenceThreshold(aiAnalysis, minConfidence);
+      if (lowConfidence) {
+        logger.warn({ conditionId, chainId: factory.chainId, aiAnswer: aiAnalysis.answer, confidence: aiAnalysis.confidence, evidenceQuality: aiAnalysis.evidenceQuality, minConfidence },
+          'AI confidence is below the settlement threshold.'
+        );
+      }
+
+      if (config.SETTLEMENT_MODE === 'shadow') {
+        await db.recordShadowSettlement({
+          conditionId,
+          chainId: factory.chainId,
+          factoryAddress: factory.factoryAddress,
+          runLabel: config.SHADOW_RUN_LABEL,
+          marketQuestion,
+          aiAnswer: aiAnalysis.answer.toUpperCase(),
+          winningTokenId: winningTokenIdStr,
+          aiReasoning: aiAnalysis.reasoning,
+          needsReview: aiAnalysis.needsReview,
+          lowConfidence,
+          ambiguityPolicy: aiAnalysis.ambiguous && !aiAnalysis.needsReview ? config.AMBIGUITY_POLICY : null
+        });
+        logger.info({ conditionId, chainId: factory.chainId, runLabel: config.SHADOW_RUN_LABEL, aiAnswer: aiAnalysis.answer, winningTokenId: winningTokenIdStr, needsReview: !!aiAnalysis.needsReview },
+          'Shadow mode: recorded settlement decision, settleMarket not sent.'
+        );
+        return {
+          success: true,
+          shadow: true,
+          message: 'Shadow settlement recorded.',
+          aiAnswer: aiAnalysis.answer,
+          aiReasoning: aiAnalysis.reasoning,
+          winningTokenId: winningTokenIdStr
+        };
+      }
+
+      const lowConfidenceCount = market ? market.lowConfidenceCount || 0 : 0;
+      if (lowConfidence && lowConfidenceCount < config.LOW_CONFIDENCE_MAX_REANALYSES) {
+        const reanalyzeAfter = Math.floor(Date.now() / 1000) + config.LOW_CONFIDENCE_REANALYSIS_DELAY_MINUTES * 60;
+        await db.scheduleMarketReanalysis(conditionId, reanalyzeAfter);
+        console.log('\n==== SETTLEMENT SKIPPED: LOW CONFIDENCE ====');
+        console.log(`Market Question: ${marketQuestion}`);
+        console.log(`AI Answer: ${aiAnalysis.answer} (confidence ${aiAnalysis.confidence ?? 'not reported'}, evidence ${aiAnalysis.evidenceQuality ?? 'not reported'})`);
+        console.log(`Threshold: ${minConfidence}`);
+        console.log(`Re-analysis after: ${new Date(reanalyzeAfter * 1000).toISOString()} (${lowConfidenceCount + 1} of ${config.LOW_CONFIDENCE_MAX_REANALYSES})`);
+        console.log('=======================================\n');
+        return {
+          success: false,
+          deferred: true,
+          reanalyzeAfter,
+          message: `AI confidence ${aiAnalysis.confidence ?? 'not reported'} below threshold ${minConfidence}`,
+          aiAnswer: aiAnalysis.answer
+        };
+      }
+
+      const approvalReason = getApprovalReason(aiAnalysis, await db.getLatestSettlementProposal(conditionId), lowConfidence);
+      if (approvalReason) {
+        const proposalId = await db.createSettlementProposal({
+          conditionId,
+          chainId: factory.chainId,
+          factoryAddress: factory.factoryAddress,
+          marketQuestion,
+          aiAnswer: aiAnalysis.answer.toUpperCase(),
+          winningTokenId: winningTokenIdStr,
+          aiReasoning: aiAnalysis.reasoning,
+          ambiguous: aiAnalysis.ambiguous,
+          approvalReason,
+          status: aiAnalysis.needsReview || lowConfidence ? 'needs_review' : 'awaiting_approval',
+          decisionId
+        });
+        logger.info({ conditionId, chainId: factory.chainId, proposalId, approvalReason, aiAnswer: aiAnalysis.answer },
+          'Settlement proposal stored; awaiting operator approval.'
+        );
+        console.log('\n==== SETTLEMENT AWAITING APPROVAL ====');
+        console.log(`Proposal ID: ${proposalId}`);
+        console.log(`Market Question: ${marketQuestion}`);
+        console.log(`AI Answer: ${aiAnalysis.answer} (${approvalReason})`);
+        console.log(`Approve with: node src/index.js proposals approve ${proposalId}`);
+        console.log('=======================================\n');
+        return {
+          success: false,
+          awaitingApproval: true,
+          proposalId,
+          message: `Settlement awaiting approval (${approvalReason})`,
+          aiAnswer: aiAnalysis.answer
+        };
+      }
+
       // Create settler wallet and contract instance
       if (!config.SETTLER_PRIVATE_KEY) {
         logger.error('SETTLER_PRIVATE_KEY is not configured in .env. Cannot settle market.');
-        return { success: false, message: 'Settler private key not configured.' };
+        return { success: false, message: 'Settler private key not configured.', failureClass: 'permanent' };
+      }
+      const settlerWallet = getSettlerWallet(factory);
+
+      // The AI analysis takes a while; a reorg may have rolled the market back in the meantime
+      if (!await db.getMarket(conditionId)) {
+        logger.warn({ conditionId, chainId: factory.chainId }, 'Market was rolled back during settlement analysis. Not sending settleMarket.');
+        return { success: false, message: 'Market was rolled back by a chain reorganization', failureClass: 'permanent' };
       }
-      const settlerWallet = new ethers.Wallet(config.SETTLER_PRIVATE_KEY, provider);
-      const settlerContract = pnpFactoryContract.connect(settlerWallet);
 
-      logger.info({ conditionId, winningTokenId: winningTokenIdStr, settlerAddress: settlerWallet.address }, 
+      logger.info({ conditionId, chainId: factory.chainId, winningTokenId: winningTokenIdStr, settlerAddress: settlerWallet.address }, 
         `Attempting to call settleMarket with token ID ${winningTokenIdStr}`
       );
 
-      // Call settleMarket on the contract
-      const tx = await settlerContract.settleMarket(conditionId, winningTokenIdBigInt); // Use BigInt for contract call
-      logger.info({ conditionId, txHash: tx.hash }, 'settleMarket transaction sent. Waiting for confirmation...');
-      
-      const receipt = await tx.wait(1); // Wait for 1 confirmation
-      logger.info({ conditionId, txHash: receipt.hash, blockNumber: receipt.blockNumber }, 
+      // Nonce, persistence before broadcast and stuck-transaction replacement are handled by the transaction manager
+      const txResult = await sendSettlementTransaction(factory, conditionId, aiAnalysis.answer.toUpperCase(), winningTokenIdBigInt);
+      const settlementResult = settlementResultFromTransaction(txResult, aiAnalysis.answer, winningTokenIdStr);
+      if (!settlementResult.success) {
+        return settlementResult;
+      }
+      logger.info({ conditionId, txHash: txResult.txHash, blockNumber: txResult.blockNumber }, 
         'settleMarket transaction confirmed!'
       );
 
       // Add a clear console output for user visibility
       console.log('\n==== ON-CHAIN SETTLEMENT INITIATED ====');
       console.log(`Market Question: ${marketQuestion}`);
+      console.log(`Chain ID: ${factory.chainId}`);
       console.log(`AI Answer: ${aiAnalysis.answer}`);
       console.log(`Winning Token ID: ${winningTokenIdStr}`);
       console.log(`Settler Address: ${settlerWallet.address}`);
-      console.log(`Transaction Hash: ${receipt.hash}`);
-      console.log(`Block Number: ${receipt.blockNumber}`);
+      console.log(`Transaction Hash: ${txResult.txHash}`);
+      console.log(`Block Number: ${txResult.blockNumber}`);
+      printCitations(aiAnalysis.citations);
       console.log('=======================================\n');
 
       return { 
-        success: true, 
-        message: 'On-chain settlement transaction successful.',
-        aiAnswer: aiAnalysis.answer,
+        ...settlementResult,
         aiReasoning: aiAnalysis.reasoning, // Keep full reasoning for potential later use
-        winningTokenId: winningTokenIdStr, // Return string for DB and logging consistency
-        txHash: receipt.hash
+        ambiguous: !!aiAnalysis.ambiguous // Settled as NO under AMBIGUITY_POLICY=settle_no
       };
 
     } catch (contractError) {
@@ -545,34 +1556,106 @@ async function executeSettlementLogic(conditionId, marketQuestion, marketEndTime
 
   } else {
     logger.error({ conditionId }, 'Failed to get a valid analysis from AI service.');
-    return { success: false, message: 'Failed to get AI analysis.' };
+    return { success: false, message: 'Failed to get AI analysis.', failureClass: 'ai_invalid' };
   }
 }
 
-export async function fetchMissingMarketEndTimes() {
-    const markets = await db.getMarketsMissingEndTime();
-    if (markets.length === 0) {
-        // logger.debug('No markets missing end times.');
-        return;
-    }
-    logger.info(`Found ${markets.length} markets missing end times. Fetching...`);
-    for (const market of markets) {
-        await fetchAndStoreMarketEndTime(market.conditionId);
-        // Add a small delay to avoid overwhelming the RPC endpoint if there are many
-        await new Promise(resolve => setTimeout(resolve, 200)); 
-    }
+// Maps a transaction manager outcome onto the result shape recordSettlementResult expects
+function settlementResultFromTransaction(txResult, aiAnswer, winningTokenId) {
+  if (txResult.status === 'confirmed') {
+    return {
+      success: true,
+      message: 'On-chain settlement transaction successful.',
+      aiAnswer,
+      winningTokenId, // String for DB and logging consistency
+      txHash: txResult.txHash
+    };
+  }
+
+  if (txResult.status === 'pending') {
+    return {
+      success: false,
+      pending: true,
+      message: 'settleMarket transaction is still pending; it will be followed up on a later run.',
+      aiAnswer,
+      txHash: txResult.txHash
+    };
+  }
+
+  const messages = {
+    reverted: 'settleMarket transaction reverted.',
+    dropped: 'settleMarket transaction was dropped (nonce used by another transaction).',
+    failed: `Failed to send settleMarket: ${txResult.error}`,
+  };
+  const failureClasses = { reverted: 'contract_revert', dropped: 'transient' };
+  return {
+    success: false,
+    message: messages[txResult.status] || `Unexpected settlement transaction status: ${txResult.status}`,
+    failureClass: failureClasses[txResult.status] || classifyError(txResult.error), // A rejected send says why in its error
+    aiAnswer,
+    txHash: txResult.txHash,
+    errorDetails: txResult.error
+  };
 }
 
-export async function fetchMissingMarketQuestions() {
-    const markets = await db.getMarketsMissingQuestion();
-    if (markets.length === 0) {
-        // logger.debug('No markets missing questions.');
-        return;
+// Resolves settlement transactions left in flight by a previous run (see transactionManager.js).
+// Markets whose transaction was mined while we were down are recorded as settled.
+export async function recoverPendingSettlements() {
+  if (config.SETTLEMENT_MODE === 'shadow') {
+    logger.info('Shadow mode: not recovering in-flight settlement transactions (nothing is broadcast).');
+    return;
+  }
+  const results = await recoverPendingTransactions(chainId => {
+    const connection = chainConnections.get(Number(chainId));
+    return connection ? connection.provider : null;
+  });
+
+  for (const { record, status, txHash } of results) {
+    if (status === 'confirmed') {
+      await db.markSettlementProposalsExecuted(record.conditionId, txHash);
+      await db.setMarketProcessedForSettlement(record.conditionId);
+      await db.updateMarketSettledOnChain(record.conditionId, true);
+      await db.updateMarketWinningTokenId(record.conditionId, record.winningTokenId);
+      logger.info({ conditionId: record.conditionId, chainId: record.chainId, txHash }, 'Recorded settlement that was mined while the indexer was down.');
+    } else if (status !== 'pending') {
+      logger.warn({ conditionId: record.conditionId, chainId: record.chainId, txHash, status }, 'In-flight settlement transaction did not succeed; the market will be retried.');
     }
-    logger.info(`Found ${markets.length} markets missing questions. Fetching...`);
-    for (const market of markets) {
-        await fetchAndStoreMarketQuestion(market.conditionId);
-        // Add a small delay to avoid overwhelming the RPC endpoint if there are many
-        await new Promise(resolve => setTimeout(resolve, 200)); 
+  }
+}
+
+// Startup: reports chains whose settler wallet is already below SETTLER_LOW_BALANCE_THRESHOLD
+export async function checkSettlerBalances() {
+  if (config.SETTLEMENT_MODE === 'shadow') {
+    return;
+  }
+  for (const chainId of chainConnections.keys()) {
+    const factory = factories.find(f => f.chainId === chainId);
+    try {
+      await checkSettlerBalance(factory);
+    } catch (error) {
+      logger.warn({ err: error, chainId }, 'Could not check the settler balance.');
     }
-} 
\ No newline at end of file
+  }
+}
+
+// Whether a market has been settled on-chain and, if so, with which token ID
+export async function getMarketOutcomeFromChain(chainId, factoryAddress, conditionId) {
+  const factory = getFactory(chainId, factoryAddress);
+  const settled = await factory.contract.marketSettled(conditionId);
+  if (!settled) {
+    return { settled: false, winningTokenId: null };
+  }
+  const winningTokenId = await factory.contract.winningTokenId(conditionId);
+  return { settled: true, winningTokenId: winningTokenId.toString() };
+}
+
+// Like getFactoryForMarket, but for rows already loaded; logs and returns null instead of throwing
+function findFactoryForMarketRow(market) {
+  const factory = factories.find(f =>
+    f.chainId === market.chainId && f.factoryAddress === market.factoryAddress
+  );
+  if (!factory) {
+    logger.warn({ conditionId: market.conditionId, chainId: market.chainId, factoryAddress: market.factoryAddress }, 'No configured factory for market. Skipping.');
+  }
+  return factory || null;
+}
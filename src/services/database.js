@@ -51,6 +51,18 @@ async function initializeDB() {
   }
 }
 
+// Add a column to an existing table if it isn't there yet (CREATE TABLE IF NOT EXISTS won't).
+// Returns whether it was added.
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${table}.${column}`);
+    return true;
+  }
+  return false;
+}
+
 // Initialize schema
 async function initializeSchema() {
   try {
@@ -71,6 +83,38 @@ async function initializeSchema() {
       );
     `);
 
+    // Markets are indexed from several chains/factories (see config.CHAINS)
+    await addColumnIfMissing('markets', 'chainId', 'INTEGER');
+    await addColumnIfMissing('markets', 'factoryAddress', 'TEXT');
+    // Low-confidence AI answers (SETTLEMENT_MIN_CONFIDENCE): per-market threshold override and re-analysis schedule
+    await addColumnIfMissing('markets', 'minConfidence', 'REAL');
+    await addColumnIfMissing('markets', 'reanalyzeAfter', 'INTEGER'); // UNIX timestamp in seconds
+    await addColumnIfMissing('markets', 'lowConfidenceCount', 'INTEGER DEFAULT 0');
+    // AMBIGUITY_POLICY applied the last time the AI found the question ambiguous, and how often it did
+    await addColumnIfMissing('markets', 'ambiguityPolicy', 'TEXT');
+    await addColumnIfMissing('markets', 'ambiguousCount', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing('markets', 'ambiguityHeld', 'BOOLEAN DEFAULT 0'); // Parked by the 'hold' policy
+    // The question looks like a prompt-injection attempt: never settled without review
+    await addColumnIfMissing('markets', 'suspicious', 'BOOLEAN DEFAULT 0');
+    await addColumnIfMissing('markets', 'suspiciousReasons', 'TEXT'); // JSON array of screening findings
+    // Failed settlement attempts (see services/retryPolicy.js): class of the last failure, how many failures
+    // of that class in a row, and when to try again. 'dead_letter' is terminal until the market is requeued;
+    // 'paused' is set by an operator (admin API) and keeps the market from being settled until it is resumed.
+    await addColumnIfMissing('markets', 'failureClass', 'TEXT'); // 'transient', 'ai_invalid', 'contract_revert' or 'permanent'
+    await addColumnIfMissing('markets', 'classFailureCount', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing('markets', 'lastError', 'TEXT');
+    await addColumnIfMissing('markets', 'lastFailedAt', 'TEXT');
+    await addColumnIfMissing('markets', 'nextAttemptAt', 'INTEGER'); // UNIX timestamp in seconds
+    await addColumnIfMissing('markets', 'deadLetteredAt', 'TEXT');
+    if (await addColumnIfMissing('markets', 'settlementStatus', 'TEXT')) { // NULL, 'dead_letter' or 'paused'
+      // Markets that had used up the former fixed limit of 3 retries stay given up on
+      await db.run(`
+        UPDATE markets SET settlementStatus = 'dead_letter', deadLetteredAt = CURRENT_TIMESTAMP,
+          lastError = COALESCE(lastError, 'Gave up after 3 retries')
+        WHERE retries >= 3 AND processedForSettlement = 0 AND isSettledOnChain = 0
+      `);
+    }
+
     // Create the trigger for updatedAt
     await db.exec(`
       CREATE TRIGGER IF NOT EXISTS markets_updated_at
@@ -93,6 +137,266 @@ async function initializeSchema() {
       );
     `);
     
+    // Track the last fully processed block per contract so event sync can resume after downtime.
+    // The original table was keyed by contract address alone; it is kept as sync_state_legacy
+    // until the blockchain service knows which chain those rows belong to (adoptLegacyRows).
+    const syncStateColumns = await db.all('PRAGMA table_info(sync_state)');
+    if (syncStateColumns.length > 0 && !syncStateColumns.some(c => c.name === 'chainId')) {
+      await db.exec('ALTER TABLE sync_state RENAME TO sync_state_legacy;');
+      await addColumnIfMissing('sync_state_legacy', 'lastProcessedBlockHash', 'TEXT');
+      logger.info('Moved single-chain sync_state to sync_state_legacy.');
+    }
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS sync_state (
+        chainId INTEGER NOT NULL,
+        contractAddress TEXT NOT NULL,
+        lastProcessedBlock INTEGER NOT NULL,
+        lastProcessedBlockHash TEXT, -- Used to detect a reorg of the cursor block itself
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (chainId, contractAddress)
+      );
+    `);
+    
+    // Every ingested PNP_MarketCreated log with its block hash, for reorg detection
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS market_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT NOT NULL,
+        chainId INTEGER,
+        contractAddress TEXT NOT NULL,
+        blockNumber INTEGER NOT NULL,
+        blockHash TEXT NOT NULL,
+        transactionHash TEXT,
+        logIndex INTEGER,
+        status TEXT DEFAULT 'active', -- 'active' or 'orphaned'
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (blockHash, logIndex)
+      );
+    `);
+    await addColumnIfMissing('market_events', 'chainId', 'INTEGER');
+    await db.exec('DROP INDEX IF EXISTS idx_market_events_block;');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_market_events_chain_block ON market_events (chainId, contractAddress, blockNumber);');
+    
+    // Settlement transactions, written before they are broadcast so a restart can resolve them
+    // instead of sending a duplicate. One row per nonce; fee-bumped replacements share the row.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS pending_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT NOT NULL,
+        chainId INTEGER NOT NULL,
+        fromAddress TEXT NOT NULL,
+        toAddress TEXT NOT NULL,
+        nonce INTEGER NOT NULL,
+        outcome TEXT, -- 'YES' or 'NO'
+        winningTokenId TEXT,
+        txHash TEXT NOT NULL, -- Latest broadcast attempt
+        txHashes TEXT NOT NULL, -- JSON array of every attempt with this nonce
+        signedTransaction TEXT NOT NULL, -- Latest attempt, rebroadcast on recovery
+        replacements INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'pending', -- 'pending', 'confirmed', 'reverted', 'dropped' or 'failed'
+        blockNumber INTEGER,
+        error TEXT,
+        lastBroadcastAt INTEGER, -- Milliseconds since epoch
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_pending_transactions_status ON pending_transactions (status, chainId, fromAddress);');
+    
+    // Settlements held for an operator's decision (SETTLEMENT_APPROVAL_POLICY)
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS settlement_proposals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT NOT NULL,
+        chainId INTEGER,
+        factoryAddress TEXT,
+        marketQuestion TEXT,
+        aiAnswer TEXT NOT NULL,
+        winningTokenId TEXT NOT NULL,
+        aiReasoning TEXT,
+        ambiguous BOOLEAN DEFAULT 0,
+        approvalReason TEXT, -- Which policy rule required the approval
+        status TEXT DEFAULT 'awaiting_approval', -- 'awaiting_approval', 'needs_review', 'approved', 'rejected' or 'executed'
+        reviewedBy TEXT,
+        reviewNote TEXT,
+        reviewedAt TEXT,
+        txHash TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_settlement_proposals_market ON settlement_proposals (conditionId, status);');
+    await addColumnIfMissing('settlement_proposals', 'decisionId', 'INTEGER'); // settlement_decisions row it came from
+    
+    // Decisions made in SETTLEMENT_MODE=shadow, one per market and run label. The actual on-chain
+    // outcome is filled in by the shadow report once the market has been settled for real.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS shadow_settlements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT NOT NULL,
+        chainId INTEGER,
+        factoryAddress TEXT,
+        runLabel TEXT NOT NULL,
+        marketQuestion TEXT,
+        aiAnswer TEXT NOT NULL,
+        winningTokenId TEXT NOT NULL,
+        aiReasoning TEXT,
+        actualWinningTokenId TEXT,
+        outcomeCheckedAt TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (conditionId, runLabel)
+      );
+    `);
+    
+    await addColumnIfMissing('shadow_settlements', 'needsReview', 'BOOLEAN DEFAULT 0'); // Models didn't reach consensus
+    await addColumnIfMissing('shadow_settlements', 'lowConfidence', 'BOOLEAN DEFAULT 0'); // Below the confidence threshold
+    await addColumnIfMissing('shadow_settlements', 'ambiguityPolicy', 'TEXT'); // Set when the AI found the question ambiguous
+    
+    // Every settlement analysis with the individual model votes behind it (AI_SETTLEMENT_MODELS)
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS settlement_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT NOT NULL,
+        chainId INTEGER,
+        decision TEXT NOT NULL, -- The agreed outcome, or 'needs_review'
+        leadingAnswer TEXT, -- Most common answer; NULL when that was "ambiguous"
+        quorum INTEGER NOT NULL,
+        agreeingVotes INTEGER NOT NULL,
+        totalVotes INTEGER NOT NULL,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_settlement_decisions_market ON settlement_decisions (conditionId);');
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS settlement_votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        decisionId INTEGER NOT NULL REFERENCES settlement_decisions (id),
+        conditionId TEXT NOT NULL,
+        model TEXT NOT NULL,
+        sample INTEGER NOT NULL,
+        answer TEXT, -- NULL when the model found the question ambiguous or failed
+        reasoning TEXT,
+        error TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_settlement_votes_decision ON settlement_votes (decisionId);');
+    // Settlement rules from the resolution analysis made when the market was created; the settlement
+    // prompt is given them so the market is settled against what was agreed up front
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS market_resolution_criteria (
+        conditionId TEXT PRIMARY KEY,
+        resolvable BOOLEAN,
+        reasoning TEXT,
+        settlementCriteria TEXT,
+        resolutionSources TEXT, -- JSON array
+        suggestedImprovements TEXT,
+        model TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
+    // Sources the AI cited: per settlement vote (decisionId set) and per resolution analysis
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_citations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT NOT NULL,
+        task TEXT NOT NULL, -- 'settlement' or 'resolution'
+        decisionId INTEGER REFERENCES settlement_decisions (id),
+        model TEXT,
+        sample INTEGER,
+        url TEXT NOT NULL,
+        title TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_ai_citations_market ON ai_citations (conditionId, task);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_ai_citations_decision ON ai_citations (decisionId);');
+    for (const table of ['settlement_decisions', 'settlement_votes']) {
+      await addColumnIfMissing(table, 'confidence', 'REAL'); // 0-1, as reported by the model(s)
+      await addColumnIfMissing(table, 'evidenceQuality', 'TEXT'); // 'high', 'medium' or 'low'
+    }
+    // Why a vote has no answer: 'provider_error', 'empty_response', 'invalid_json' or 'schema_violation'
+    await addColumnIfMissing('settlement_votes', 'errorType', 'TEXT');
+
+    // Every AI response that failed validation, including those a repair request fixed afterwards
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_response_failures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT,
+        task TEXT NOT NULL, -- 'settlement' or 'resolution'
+        model TEXT,
+        sample INTEGER,
+        attempt INTEGER NOT NULL, -- 1 for the original request, then one per repair request
+        errorType TEXT NOT NULL, -- 'empty_response', 'invalid_json' or 'schema_violation'
+        error TEXT,
+        response TEXT, -- Raw message content
+        repaired BOOLEAN DEFAULT 0, -- A later attempt returned a valid response
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_ai_response_failures_market ON ai_response_failures (conditionId, task);');
+
+    // Token usage and estimated cost of every AI completion, for spend reports and budget caps
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conditionId TEXT,
+        task TEXT NOT NULL, -- 'settlement' or 'resolution'
+        provider TEXT,
+        model TEXT,
+        promptTokens INTEGER DEFAULT 0,
+        completionTokens INTEGER DEFAULT 0,
+        totalTokens INTEGER DEFAULT 0,
+        costUsd REAL, -- NULL when AI_PRICES has no price for the model
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP -- UTC
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage (createdAt);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_ai_usage_market ON ai_usage (conditionId, task);');
+
+    // Work for the job workers (see jobs/jobWorkers.js), persisted so nothing queued is lost on a restart.
+    // A market has at most one pending or running job of each type.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL, -- 'fetch_metadata', 'resolution_analysis' or 'settlement'
+        conditionId TEXT NOT NULL,
+        payload TEXT, -- JSON
+        priority INTEGER DEFAULT 0, -- Higher runs first
+        status TEXT DEFAULT 'pending', -- 'pending', 'running', 'completed', 'failed' or 'cancelled'
+        attempts INTEGER DEFAULT 0,
+        runAfter INTEGER NOT NULL, -- Unix timestamp (seconds)
+        lockedUntil INTEGER, -- Running jobs past this (visibility timeout) are picked up again
+        lastError TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        finishedAt TEXT
+      );
+    `);
+    await db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active ON jobs (type, conditionId) WHERE status IN ('pending', 'running');`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs (type, status, runAfter);');
+
+    // Webhook notifications (see services/notifications.js), one row per event and webhook. The request body
+    // is rendered when the event happens, so a delivery retried after an outage sends what it would have then.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL, -- e.g. 'settlement_confirmed' (see NOTIFICATION_EVENTS in config.js)
+        conditionId TEXT, -- NULL for events that are not about one market (low_settler_balance)
+        webhookUrl TEXT NOT NULL,
+        format TEXT NOT NULL, -- 'json', 'slack', 'discord' or 'telegram'
+        body TEXT NOT NULL, -- JSON request body
+        status TEXT DEFAULT 'pending', -- 'pending', 'delivered' or 'failed'
+        attempts INTEGER DEFAULT 0,
+        nextAttemptAt INTEGER NOT NULL, -- Unix timestamp (seconds)
+        lastError TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        deliveredAt TEXT
+      );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries (status, nextAttemptAt);');
+    
     logger.info('Database schema initialized/verified.');
   } catch (error) {
     logger.error({ error }, 'Error initializing database schema');
@@ -100,42 +404,48 @@ async function initializeSchema() {
   }
 }
 
-// Database backup function
-async function backupDatabase() {
+const BACKUPS_KEPT = 5;
+
+// Copies the database (and its WAL file) to destination, by default a timestamped file in
+// <database directory>/backups of which the last BACKUPS_KEPT are kept. Returns the path of the copy.
+export async function backupDatabase(destination = null) {
+  await dbPromise; // Ensure the database is initialized
   const backupDir = path.join(dbDir, 'backups');
-  if (!fs.existsSync(backupDir)) {
-    fs.mkdirSync(backupDir, { recursive: true });
-  }
-  
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupPath = path.join(backupDir, `market_data_${timestamp}.sqlite3`);
-  
-  try {
-    // Force a checkpoint to ensure WAL is flushed to main DB file
-    await db.exec('PRAGMA wal_checkpoint(FULL);');
-    
-    // Copy the database file
-    fs.copyFileSync(dbFilePath, backupPath);
-    
-    // Also backup the WAL file if it exists
-    const walPath = `${dbFilePath}-wal`;
-    if (fs.existsSync(walPath)) {
-      fs.copyFileSync(walPath, `${backupPath}-wal`);
-    }
-    
-    // Keep only the last 5 backups
+  const backupPath = destination || path.join(backupDir, `market_data_${timestamp}.sqlite3`);
+  fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+
+  // Force a checkpoint to ensure WAL is flushed to main DB file
+  await db.exec('PRAGMA wal_checkpoint(FULL);');
+
+  // Copy the database file
+  fs.copyFileSync(dbFilePath, backupPath);
+
+  // Also backup the WAL file if it exists
+  const walPath = `${dbFilePath}-wal`;
+  if (fs.existsSync(walPath)) {
+    fs.copyFileSync(walPath, `${backupPath}-wal`);
+  }
+
+  // Keep only the last scheduled backups; a copy made elsewhere is the operator's to clean up
+  if (!destination) {
     const files = fs.readdirSync(backupDir)
       .filter(file => file.startsWith('market_data_'))
       .map(file => path.join(backupDir, file))
       .sort((a, b) => fs.statSync(b).mtime.getTime() - fs.statSync(a).mtime.getTime());
-    
-    if (files.length > 5) {
-      for (let i = 5; i < files.length; i++) {
-        fs.unlinkSync(files[i]);
-      }
+
+    for (const file of files.slice(BACKUPS_KEPT)) {
+      fs.unlinkSync(file);
     }
-    
-    logger.info(`Database backup created: ${backupPath}`);
+  }
+
+  logger.info(`Database backup created: ${backupPath}`);
+  return backupPath;
+}
+
+async function runScheduledBackup() {
+  try {
+    await backupDatabase();
   } catch (error) {
     logger.error({ error }, 'Error creating database backup');
   }
@@ -148,9 +458,9 @@ function startDatabaseBackups() {
   
   // Initial backup after 5 minutes
   setTimeout(() => {
-    backupDatabase();
+    runScheduledBackup();
     // Then regular interval
-    setInterval(backupDatabase, intervalMs);
+    setInterval(runScheduledBackup, intervalMs);
   }, 5 * 60 * 1000);
   
   logger.info(`Scheduled database backups every ${intervalHours} hours`);
@@ -161,43 +471,75 @@ const dbPromise = initializeDB();
 
 // --- Transaction Helper ---
 
+// All transactions share one connection, so they are queued: SQLite cannot nest BEGIN, and
+// interleaved transactions from concurrent callers (e.g. several chains) would commit each other's work.
+let transactionQueue = Promise.resolve();
+
 // Helper function to run operations in a transaction
 async function withTransaction(callback) {
   await dbPromise; // Ensure the database is initialized
   
-  let result;
-  try {
-    await db.exec('BEGIN TRANSACTION');
-    result = await callback(db);
-    await db.exec('COMMIT');
-    return result;
-  } catch (error) {
-    await db.exec('ROLLBACK').catch(rollbackError => {
-      logger.error({ error: rollbackError }, 'Error rolling back transaction');
-    });
-    throw error;
-  }
+  const run = transactionQueue.then(async () => {
+    let result;
+    try {
+      await db.exec('BEGIN TRANSACTION');
+      result = await callback(db);
+      await db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      await db.exec('ROLLBACK').catch(rollbackError => {
+        logger.error({ error: rollbackError }, 'Error rolling back transaction');
+      });
+      throw error;
+    }
+  });
+  transactionQueue = run.catch(() => {}); // A failed transaction must not block the ones queued after it
+  return run;
 }
 
 // --- Market Operations ---
 
-export async function addOrUpdateMarket(conditionId, marketCreator) {
+// Where a market stands, derived from its columns (first match wins). Returned as `status` by getMarket and getMarkets.
+export const MARKET_STATUSES = [
+  'settled', 'processed', 'dead_letter', 'paused', 'held', 'awaiting_review',
+  'pending_metadata', 'open', 'retrying', 'deferred', 'due'
+];
+const MARKET_STATUS_SQL = `
+  CASE
+    WHEN isSettledOnChain = 1 THEN 'settled'
+    WHEN processedForSettlement = 1 THEN 'processed'
+    WHEN settlementStatus IS NOT NULL THEN settlementStatus
+    WHEN ambiguityHeld = 1 THEN 'held'
+    WHEN EXISTS (
+      SELECT 1 FROM settlement_proposals p
+      WHERE p.conditionId = markets.conditionId AND p.status IN ('awaiting_approval', 'needs_review')
+    ) THEN 'awaiting_review'
+    WHEN marketEndTime IS NULL OR marketQuestion IS NULL THEN 'pending_metadata'
+    WHEN marketEndTime > CAST(strftime('%s', 'now') AS INTEGER) THEN 'open'
+    WHEN nextAttemptAt > CAST(strftime('%s', 'now') AS INTEGER) THEN 'retrying'
+    WHEN reanalyzeAfter > CAST(strftime('%s', 'now') AS INTEGER) THEN 'deferred'
+    ELSE 'due'
+  END`;
+
+export async function addOrUpdateMarket(conditionId, marketCreator, chainId, factoryAddress) {
   try {
     return await withTransaction(async (db) => {
       // Log the operation in journal
       await db.run(
         'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
-        ['addOrUpdateMarket', conditionId, JSON.stringify({ marketCreator })]
+        ['addOrUpdateMarket', conditionId, JSON.stringify({ marketCreator, chainId, factoryAddress })]
       );
       
       const result = await db.run(`
-        INSERT INTO markets (conditionId, marketCreator, createdAt, updatedAt)
-        VALUES (?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        INSERT INTO markets (conditionId, marketCreator, chainId, factoryAddress, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
         ON CONFLICT(conditionId) DO UPDATE SET
           marketCreator = excluded.marketCreator,
+          chainId = COALESCE(markets.chainId, excluded.chainId),
+          factoryAddress = COALESCE(markets.factoryAddress, excluded.factoryAddress),
           updatedAt = CURRENT_TIMESTAMP
-        WHERE markets.marketCreator != excluded.marketCreator;
-      `, [conditionId, marketCreator]);
+        WHERE markets.marketCreator != excluded.marketCreator OR markets.chainId IS NULL;
+      `, [conditionId, marketCreator, chainId, factoryAddress]);
       
       // Mark operation as completed
       await db.run(
@@ -255,87 +597,151 @@ export async function updateMarketEndTime(conditionId, marketEndTime) {
 export async function getMarket(conditionId) {
   try {
     await dbPromise; // Ensure the database is initialized
-    return await db.get('SELECT * FROM markets WHERE conditionId = ?', [conditionId]);
+    return await db.get(`SELECT *, ${MARKET_STATUS_SQL} AS status FROM markets WHERE conditionId = ?`, [conditionId]);
   } catch (error) {
     logger.error({ error, conditionId }, 'Error in getMarket');
     throw error;
   }
 }
 
-export async function resetMarketProcessedStatus(conditionId) {
+// Records a failed settlement attempt. With nextAttemptAt null the market goes to dead_letter.
+export async function recordMarketFailure(conditionId, { failureClass, error: lastError, attempt, nextAttemptAt }) {
   try {
     return await withTransaction(async (db) => {
       // Log the operation in journal
       await db.run(
-        'INSERT INTO operations_journal (operation, conditionId) VALUES (?, ?)',
-        ['resetMarketProcessedStatus', conditionId]
+        'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+        ['recordMarketFailure', conditionId, JSON.stringify({ failureClass, lastError, attempt, nextAttemptAt })]
       );
       
-      const result = await db.run('UPDATE markets SET processedForSettlement = 0 WHERE conditionId = ?', [conditionId]);
-      logger.info({ conditionId, changes: result.changes }, 'Market processed status has been reset to allow reprocessing.');
+      const result = await db.run(`
+        UPDATE markets SET
+          retries = retries + 1,
+          failureClass = ?,
+          classFailureCount = ?,
+          lastError = ?,
+          lastFailedAt = CURRENT_TIMESTAMP,
+          nextAttemptAt = ?,
+          settlementStatus = CASE WHEN ? IS NULL THEN 'dead_letter' ELSE settlementStatus END,
+          deadLetteredAt = CASE WHEN ? IS NULL THEN CURRENT_TIMESTAMP ELSE deadLetteredAt END
+        WHERE conditionId = ?
+      `, [failureClass, attempt, lastError, nextAttemptAt, nextAttemptAt, nextAttemptAt, conditionId]);
       
       // Mark operation as completed
       await db.run(
         'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
-        ['completed', conditionId, 'resetMarketProcessedStatus', 'pending']
+        ['completed', conditionId, 'recordMarketFailure', 'pending']
       );
       
       return result.changes > 0;
     });
   } catch (error) {
-    logger.error({ error, conditionId }, 'Error in resetMarketProcessedStatus');
+    logger.error({ error, conditionId, failureClass }, 'Error in recordMarketFailure');
     throw error;
   }
 }
 
-export async function incrementMarketRetryCount(conditionId) {
+// Takes a market out of dead_letter (or the 'hold' ambiguity policy) with a clean failure count,
+// so the next run processes it again. The last error is kept for reference.
+export async function requeueMarket(conditionId) {
   try {
     return await withTransaction(async (db) => {
       // Log the operation in journal
       await db.run(
         'INSERT INTO operations_journal (operation, conditionId) VALUES (?, ?)',
-        ['incrementMarketRetryCount', conditionId]
+        ['requeueMarket', conditionId]
       );
       
-      const result = await db.run('UPDATE markets SET retries = retries + 1 WHERE conditionId = ?', [conditionId]);
-      logger.info({ conditionId, changes: result.changes }, 'Market retry count incremented.');
+      const result = await db.run(`
+        UPDATE markets SET
+          settlementStatus = NULL, deadLetteredAt = NULL, ambiguityHeld = 0,
+          retries = 0, failureClass = NULL, classFailureCount = 0, nextAttemptAt = NULL
+        WHERE conditionId = ?
+      `, [conditionId]);
+      logger.info({ conditionId, changes: result.changes }, 'Market requeued for settlement.');
       
       // Mark operation as completed
       await db.run(
         'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
-        ['completed', conditionId, 'incrementMarketRetryCount', 'pending']
+        ['completed', conditionId, 'requeueMarket', 'pending']
       );
       
       return result.changes > 0;
     });
   } catch (error) {
-    logger.error({ error, conditionId }, 'Error in incrementMarketRetryCount');
+    logger.error({ error, conditionId }, 'Error in requeueMarket');
     throw error;
   }
 }
 
-export async function resetMarketRetryCount(conditionId) {
+// Starts a market's settlement over: not processed, no failures, no pending re-analysis or ambiguity hold.
+// Paused markets stay paused.
+export async function resetMarket(conditionId) {
   try {
     return await withTransaction(async (db) => {
       // Log the operation in journal
       await db.run(
         'INSERT INTO operations_journal (operation, conditionId) VALUES (?, ?)',
-        ['resetMarketRetryCount', conditionId]
+        ['resetMarket', conditionId]
+      );
+      
+      const result = await db.run(`
+        UPDATE markets SET
+          processedForSettlement = 0, winningTokenId = NULL,
+          settlementStatus = NULLIF(settlementStatus, 'dead_letter'), deadLetteredAt = NULL,
+          retries = 0, failureClass = NULL, classFailureCount = 0, nextAttemptAt = NULL,
+          reanalyzeAfter = NULL, lowConfidenceCount = 0, ambiguityHeld = 0
+        WHERE conditionId = ?
+      `, [conditionId]);
+      logger.info({ conditionId, changes: result.changes }, 'Market reset for settlement.');
+      
+      // Mark operation as completed
+      await db.run(
+        'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
+        ['completed', conditionId, 'resetMarket', 'pending']
+      );
+      
+      return result.changes > 0;
+    });
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in resetMarket');
+    throw error;
+  }
+}
+
+// Pauses (or resumes) a market's settlement. Pausing also cancels its queued settlement job.
+export async function setMarketPaused(conditionId, paused) {
+  try {
+    return await withTransaction(async (db) => {
+      // Log the operation in journal
+      await db.run(
+        'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+        ['setMarketPaused', conditionId, JSON.stringify({ paused })]
       );
       
-      const result = await db.run('UPDATE markets SET retries = 0 WHERE conditionId = ?', [conditionId]);
-      logger.info({ conditionId, changes: result.changes }, 'Market retry count reset to zero.');
+      const result = await db.run(
+        `UPDATE markets SET settlementStatus = ? WHERE conditionId = ? AND settlementStatus IS ?`,
+        [paused ? 'paused' : null, conditionId, paused ? null : 'paused']
+      );
+      if (paused && result.changes > 0) {
+        await db.run(
+          `UPDATE jobs SET status = 'cancelled', updatedAt = CURRENT_TIMESTAMP, finishedAt = CURRENT_TIMESTAMP
+           WHERE conditionId = ? AND type = 'settlement' AND status = 'pending'`,
+          [conditionId]
+        );
+      }
+      logger.info({ conditionId, paused, changes: result.changes }, paused ? 'Market settlement paused.' : 'Market settlement resumed.');
       
       // Mark operation as completed
       await db.run(
         'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
-        ['completed', conditionId, 'resetMarketRetryCount', 'pending']
+        ['completed', conditionId, 'setMarketPaused', 'pending']
       );
       
       return result.changes > 0;
     });
   } catch (error) {
-    logger.error({ error, conditionId }, 'Error in resetMarketRetryCount');
+    logger.error({ error, conditionId, paused }, 'Error in setMarketPaused');
     throw error;
   }
 }
@@ -429,131 +835,1390 @@ export async function updateMarketWinningTokenId(conditionId, winningTokenId) {
   }
 }
 
-export async function getMarketsToProcess() {
-  const currentTime = Math.floor(Date.now() / 1000);
-  const settlementBuffer = config.SETTLEMENT_DELAY_MS / 1000; // Convert ms to seconds
-  const maxRetries = 3; // Maximum number of retries before giving up
-
+// Holds a market back after a low-confidence AI answer until reanalyzeAfter (UNIX seconds)
+export async function scheduleMarketReanalysis(conditionId, reanalyzeAfter) {
   try {
-    await dbPromise; // Ensure the database is initialized
-    
-    // Select markets where:
-    // 1. End time is known (fetchedEndTime = 1 and marketEndTime IS NOT NULL)
-    // 2. End time + delay has passed (marketEndTime + settlementBuffer < currentTime)
-    // 3. Not yet processed for settlement (processedForSettlement = 0)
-    // 4. Not yet confirmed as settled on-chain (isSettledOnChain = 0)
-    // 5. Has not exceeded max retries
-    return await db.all(`
-      SELECT * FROM markets
-      WHERE fetchedEndTime = 1
-        AND marketEndTime IS NOT NULL
-        AND (marketEndTime + ?) < ? 
-        AND processedForSettlement = 0
-        AND isSettledOnChain = 0
-        AND retries < ?
-      ORDER BY marketEndTime ASC
-    `, [settlementBuffer, currentTime, maxRetries]);
+    return await withTransaction(async (db) => {
+      // Log the operation in journal
+      await db.run(
+        'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+        ['scheduleMarketReanalysis', conditionId, JSON.stringify({ reanalyzeAfter })]
+      );
+      
+      const result = await db.run(
+        'UPDATE markets SET reanalyzeAfter = ?, lowConfidenceCount = lowConfidenceCount + 1 WHERE conditionId = ?',
+        [reanalyzeAfter, conditionId]
+      );
+      logger.info({ conditionId, reanalyzeAfter, changes: result.changes }, 'Market scheduled for re-analysis.');
+      
+      // Mark operation as completed
+      await db.run(
+        'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
+        ['completed', conditionId, 'scheduleMarketReanalysis', 'pending']
+      );
+      
+      return result.changes > 0;
+    });
   } catch (error) {
-    logger.error({ error, currentTime, settlementBuffer }, 'Error in getMarketsToProcess');
+    logger.error({ error, conditionId, reanalyzeAfter }, 'Error in scheduleMarketReanalysis');
     throw error;
   }
 }
 
-export async function getMarketsMissingEndTime() {
+// Follows up a market's settlement transaction, still pending after its fee replacements, at
+// nextAttemptAt (UNIX seconds). Not a failure: the failure class and count are left as they are.
+export async function scheduleMarketFollowUp(conditionId, nextAttemptAt) {
   try {
-    await dbPromise; // Ensure the database is initialized
-    
-    return await db.all('SELECT * FROM markets WHERE fetchedEndTime = 0 OR marketEndTime IS NULL ORDER BY createdAt ASC LIMIT 50');
+    return await withTransaction(async (db) => {
+      // Log the operation in journal
+      await db.run(
+        'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+        ['scheduleMarketFollowUp', conditionId, JSON.stringify({ nextAttemptAt })]
+      );
+      
+      const result = await db.run(
+        'UPDATE markets SET nextAttemptAt = ? WHERE conditionId = ?',
+        [nextAttemptAt, conditionId]
+      );
+      logger.info({ conditionId, nextAttemptAt, changes: result.changes }, 'Market scheduled for a settlement transaction follow-up.');
+      
+      // Mark operation as completed
+      await db.run(
+        'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
+        ['completed', conditionId, 'scheduleMarketFollowUp', 'pending']
+      );
+      
+      return result.changes > 0;
+    });
   } catch (error) {
-    logger.error({ error }, 'Error in getMarketsMissingEndTime');
+    logger.error({ error, conditionId, nextAttemptAt }, 'Error in scheduleMarketFollowUp');
     throw error;
   }
 }
 
-export async function updateMarketQuestion(conditionId, marketQuestion) {
+// Flags a market whose question failed screening (see questionScreening.js)
+export async function flagMarketSuspicious(conditionId, reasons) {
   try {
     return await withTransaction(async (db) => {
       // Log the operation in journal
       await db.run(
         'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
-        ['updateMarketQuestion', conditionId, JSON.stringify({ marketQuestion })]
+        ['flagMarketSuspicious', conditionId, JSON.stringify({ reasons })]
       );
       
       const result = await db.run(
-        'UPDATE markets SET marketQuestion = ? WHERE conditionId = ?',
-        [marketQuestion, conditionId]
+        'UPDATE markets SET suspicious = 1, suspiciousReasons = ? WHERE conditionId = ?',
+        [JSON.stringify(reasons), conditionId]
       );
-      
-      if (result.changes > 0) {
-        logger.debug({ conditionId, marketQuestion: marketQuestion.substring(0, 50) + '...' }, 'Market question updated in DB.');
-      } else {
-        logger.warn({ conditionId }, 'Market question update had no effect or market not found.');
-      }
+      logger.warn({ conditionId, reasons, changes: result.changes }, 'Market question flagged as suspicious.');
       
       // Mark operation as completed
       await db.run(
         'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
-        ['completed', conditionId, 'updateMarketQuestion', 'pending']
+        ['completed', conditionId, 'flagMarketSuspicious', 'pending']
       );
       
       return result.changes > 0;
     });
   } catch (error) {
-    logger.error({ error, conditionId }, 'Error updating market question');
+    logger.error({ error, conditionId }, 'Error in flagMarketSuspicious');
     throw error;
   }
 }
 
-// Find markets that are missing questions
-export async function getMarketsMissingQuestion() {
+// Records that AMBIGUITY_POLICY was applied to a market: 'defer' passes reanalyzeAfter, 'hold' passes held
+export async function recordMarketAmbiguity(conditionId, policy, { reanalyzeAfter = null, held = false } = {}) {
   try {
-    await dbPromise; // Ensure the database is initialized
-    
-    return await db.all('SELECT * FROM markets WHERE marketQuestion IS NULL ORDER BY createdAt ASC LIMIT 50');
+    return await withTransaction(async (db) => {
+      // Log the operation in journal
+      await db.run(
+        'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+        ['recordMarketAmbiguity', conditionId, JSON.stringify({ policy, reanalyzeAfter, held })]
+      );
+      
+      const result = await db.run(`
+        UPDATE markets
+        SET ambiguityPolicy = ?, ambiguousCount = ambiguousCount + 1, ambiguityHeld = ?, reanalyzeAfter = COALESCE(?, reanalyzeAfter)
+        WHERE conditionId = ?
+      `, [policy, held ? 1 : 0, reanalyzeAfter, conditionId]);
+      logger.info({ conditionId, policy, reanalyzeAfter, held, changes: result.changes }, 'Ambiguity policy recorded for market.');
+      
+      // Mark operation as completed
+      await db.run(
+        'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
+        ['completed', conditionId, 'recordMarketAmbiguity', 'pending']
+      );
+      
+      return result.changes > 0;
+    });
   } catch (error) {
-    logger.error({ error }, 'Error in getMarketsMissingQuestion');
+    logger.error({ error, conditionId, policy }, 'Error in recordMarketAmbiguity');
     throw error;
   }
 }
 
-export async function getAllMarkets() {
+// Markets the AI has found ambiguous at least once, grouped by the policy last applied
+export async function getAmbiguousMarkets(policy = null) {
   try {
     await dbPromise; // Ensure the database is initialized
-    return await db.all('SELECT conditionId, marketQuestion, marketEndTime, winningTokenId FROM markets ORDER BY createdAt DESC');
+    return await db.all(`
+      SELECT * FROM markets
+      WHERE ambiguityPolicy IS NOT NULL AND (? IS NULL OR ambiguityPolicy = ?)
+      ORDER BY ambiguityPolicy ASC, marketEndTime ASC
+    `, [policy, policy]);
   } catch (error) {
-    logger.error({ error }, 'Error in getAllMarkets');
+    logger.error({ error, policy }, 'Error fetching ambiguous markets');
     throw error;
   }
 }
 
-// Find and process any pending operations at startup
-export async function recoverPendingOperations() {
+// Per-market override of SETTLEMENT_MIN_CONFIDENCE; null goes back to the global threshold
+export async function setMarketMinConfidence(conditionId, minConfidence) {
   try {
-    await dbPromise; // Ensure DB is initialized
-    
-    // Get all pending operations
-    const pendingOps = await db.all('SELECT * FROM operations_journal WHERE status = ?', ['pending']);
-    
-    if (pendingOps.length > 0) {
-      logger.info(`Found ${pendingOps.length} pending operations to recover`);
+    return await withTransaction(async (db) => {
+      // Log the operation in journal
+      await db.run(
+        'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+        ['setMarketMinConfidence', conditionId, JSON.stringify({ minConfidence })]
+      );
       
-      // Process each pending operation
-      for (const op of pendingOps) {
-        try {
-          // Parse data if available
-          const data = op.data ? JSON.parse(op.data) : {};
-          
-          // Attempt to replay the operation based on type
+      const result = await db.run('UPDATE markets SET minConfidence = ? WHERE conditionId = ?', [minConfidence, conditionId]);
+      logger.info({ conditionId, minConfidence, changes: result.changes }, 'Market confidence threshold updated.');
+      
+      // Mark operation as completed
+      await db.run(
+        'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
+        ['completed', conditionId, 'setMarketMinConfidence', 'pending']
+      );
+      
+      return result.changes > 0;
+    });
+  } catch (error) {
+    logger.error({ error, conditionId, minConfidence }, 'Error in setMarketMinConfidence');
+    throw error;
+  }
+}
+
+export async function getMarketsToProcess() {
+  const currentTime = Math.floor(Date.now() / 1000);
+  const settlementBuffer = config.SETTLEMENT_DELAY_MS / 1000; // Convert ms to seconds
+
+  try {
+    await dbPromise; // Ensure the database is initialized
+    
+    // Select markets where:
+    // 1. End time is known (fetchedEndTime = 1 and marketEndTime IS NOT NULL)
+    // 2. End time + delay has passed (marketEndTime + settlementBuffer < currentTime)
+    // 3. Not yet processed for settlement (processedForSettlement = 0)
+    // 4. Not yet confirmed as settled on-chain (isSettledOnChain = 0)
+    // 5. Is not dead-lettered, and is due for another attempt after a failed one
+    // 6. Is not waiting to be analysed again after a low-confidence or ambiguous answer
+    // 7. Is not parked by the 'hold' ambiguity policy
+    return await db.all(`
+      SELECT * FROM markets
+      WHERE fetchedEndTime = 1
+        AND marketEndTime IS NOT NULL
+        AND (marketEndTime + ?) < ? 
+        AND processedForSettlement = 0
+        AND isSettledOnChain = 0
+        AND settlementStatus IS NULL
+        AND (nextAttemptAt IS NULL OR nextAttemptAt <= ?)
+        AND (reanalyzeAfter IS NULL OR reanalyzeAfter <= ?)
+        AND ambiguityHeld = 0
+        AND NOT EXISTS (
+          SELECT 1 FROM settlement_proposals p
+          WHERE p.conditionId = markets.conditionId AND p.status IN ('awaiting_approval', 'needs_review')
+        )
+        AND NOT EXISTS (
+          -- In shadow mode, a market is done once this run has recorded its decision
+          SELECT 1 FROM shadow_settlements s
+          WHERE s.conditionId = markets.conditionId AND s.runLabel = ? AND ? = 'shadow'
+        )
+      ORDER BY marketEndTime ASC
+    `, [settlementBuffer, currentTime, currentTime, currentTime, config.SHADOW_RUN_LABEL, config.SETTLEMENT_MODE]);
+  } catch (error) {
+    logger.error({ error, currentTime, settlementBuffer }, 'Error in getMarketsToProcess');
+    throw error;
+  }
+}
+
+// Markets given up on, most recently dead-lettered first
+export async function getDeadLetterMarkets() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(`SELECT * FROM markets WHERE settlementStatus = 'dead_letter' ORDER BY deadLetteredAt DESC`);
+  } catch (error) {
+    logger.error({ error }, 'Error in getDeadLetterMarkets');
+    throw error;
+  }
+}
+
+export async function getMarketsMissingEndTime() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    
+    return await db.all('SELECT * FROM markets WHERE fetchedEndTime = 0 OR marketEndTime IS NULL ORDER BY createdAt ASC LIMIT 50');
+  } catch (error) {
+    logger.error({ error }, 'Error in getMarketsMissingEndTime');
+    throw error;
+  }
+}
+
+export async function updateMarketQuestion(conditionId, marketQuestion) {
+  try {
+    return await withTransaction(async (db) => {
+      // Log the operation in journal
+      await db.run(
+        'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+        ['updateMarketQuestion', conditionId, JSON.stringify({ marketQuestion })]
+      );
+      
+      const result = await db.run(
+        'UPDATE markets SET marketQuestion = ? WHERE conditionId = ?',
+        [marketQuestion, conditionId]
+      );
+      
+      if (result.changes > 0) {
+        logger.debug({ conditionId, marketQuestion: marketQuestion.substring(0, 50) + '...' }, 'Market question updated in DB.');
+      } else {
+        logger.warn({ conditionId }, 'Market question update had no effect or market not found.');
+      }
+      
+      // Mark operation as completed
+      await db.run(
+        'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
+        ['completed', conditionId, 'updateMarketQuestion', 'pending']
+      );
+      
+      return result.changes > 0;
+    });
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error updating market question');
+    throw error;
+  }
+}
+
+// Find markets that are missing questions
+export async function getMarketsMissingQuestion() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    
+    return await db.all('SELECT * FROM markets WHERE marketQuestion IS NULL ORDER BY createdAt ASC LIMIT 50');
+  } catch (error) {
+    logger.error({ error }, 'Error in getMarketsMissingQuestion');
+    throw error;
+  }
+}
+
+export async function getAllMarkets() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT conditionId, chainId, factoryAddress, marketQuestion, marketEndTime, winningTokenId, processedForSettlement FROM markets ORDER BY createdAt DESC');
+  } catch (error) {
+    logger.error({ error }, 'Error in getAllMarkets');
+    throw error;
+  }
+}
+
+// One page of markets for the admin API, ordered by end time (unknown end times last).
+// filters: status (see MARKET_STATUSES), creator, chainId, endAfter/endBefore (UNIX seconds)
+export async function getMarkets({ status = null, creator = null, chainId = null, endAfter = null, endBefore = null, limit = 50, offset = 0 } = {}) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const where = `
+      WHERE (? IS NULL OR status = ?)
+        AND (? IS NULL OR lower(marketCreator) = lower(?))
+        AND (? IS NULL OR chainId = ?)
+        AND (? IS NULL OR marketEndTime >= ?)
+        AND (? IS NULL OR marketEndTime <= ?)
+    `;
+    const params = [status, status, creator, creator, chainId, chainId, endAfter, endAfter, endBefore, endBefore];
+    const withStatus = `(SELECT *, ${MARKET_STATUS_SQL} AS status FROM markets)`;
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM ${withStatus} ${where}`, params);
+    const markets = await db.all(
+      `SELECT * FROM ${withStatus} ${where} ORDER BY marketEndTime IS NULL, marketEndTime ASC, conditionId ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { markets, total };
+  } catch (error) {
+    logger.error({ error, status, creator, chainId }, 'Error in getMarkets');
+    throw error;
+  }
+}
+
+// Number of markets per status
+export async function getMarketStatusCounts() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(`SELECT ${MARKET_STATUS_SQL} AS status, COUNT(*) AS count FROM markets GROUP BY status`);
+  } catch (error) {
+    logger.error({ error }, 'Error in getMarketStatusCounts');
+    throw error;
+  }
+}
+
+// Journaled operations on a market, oldest first
+export async function getMarketJournal(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT * FROM operations_journal WHERE conditionId = ? ORDER BY id ASC', [conditionId]);
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getMarketJournal');
+    throw error;
+  }
+}
+
+// One page of the operations journal, newest first. filters: status (pending, completed or failed),
+// conditionId, operation
+export async function getJournalEntries({ status = null, conditionId = null, operation = null, limit = 50, offset = 0 } = {}) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const where = 'WHERE (? IS NULL OR status = ?) AND (? IS NULL OR conditionId = ?) AND (? IS NULL OR operation = ?)';
+    const params = [status, status, conditionId, conditionId, operation, operation];
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM operations_journal ${where}`, params);
+    const entries = await db.all(`SELECT * FROM operations_journal ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { entries, total };
+  } catch (error) {
+    logger.error({ error, status, conditionId, operation }, 'Error in getJournalEntries');
+    throw error;
+  }
+}
+
+// --- Sync State Operations ---
+
+export async function getLastProcessedBlock(chainId, contractAddress) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const row = await db.get(
+      'SELECT lastProcessedBlock FROM sync_state WHERE chainId = ? AND contractAddress = ?',
+      [chainId, contractAddress]
+    );
+    return row ? row.lastProcessedBlock : null;
+  } catch (error) {
+    logger.error({ error, chainId, contractAddress }, 'Error in getLastProcessedBlock');
+    throw error;
+  }
+}
+
+// The sync cursor of every chain and factory
+export async function getSyncStates() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT * FROM sync_state ORDER BY chainId, contractAddress');
+  } catch (error) {
+    logger.error({ error }, 'Error in getSyncStates');
+    throw error;
+  }
+}
+
+// The cursor is a single idempotent upsert, so it is not written to the operations journal
+export async function updateLastProcessedBlock(chainId, contractAddress, blockNumber, blockHash = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(`
+      INSERT INTO sync_state (chainId, contractAddress, lastProcessedBlock, lastProcessedBlockHash, updatedAt)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(chainId, contractAddress) DO UPDATE SET
+        lastProcessedBlock = excluded.lastProcessedBlock,
+        lastProcessedBlockHash = excluded.lastProcessedBlockHash,
+        updatedAt = CURRENT_TIMESTAMP;
+    `, [chainId, contractAddress, blockNumber, blockHash]);
+    logger.debug({ chainId, contractAddress, blockNumber, blockHash }, 'Sync cursor updated.');
+  } catch (error) {
+    logger.error({ error, chainId, contractAddress, blockNumber }, 'Error in updateLastProcessedBlock');
+    throw error;
+  }
+}
+
+// --- Reorg Tracking Operations ---
+
+export async function recordMarketEvent(conditionId, chainId, contractAddress, log) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(`
+      INSERT INTO market_events (conditionId, chainId, contractAddress, blockNumber, blockHash, transactionHash, logIndex)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(blockHash, logIndex) DO UPDATE SET status = 'active';
+    `, [conditionId, chainId, contractAddress, log.blockNumber, log.blockHash, log.transactionHash, log.index]);
+  } catch (error) {
+    logger.error({ error, conditionId, blockNumber: log.blockNumber }, 'Error in recordMarketEvent');
+    throw error;
+  }
+}
+
+// The MarketCreated logs a market was indexed from, including orphaned ones
+export async function getMarketEvents(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT * FROM market_events WHERE conditionId = ? ORDER BY id ASC', [conditionId]);
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getMarketEvents');
+    throw error;
+  }
+}
+
+// Block hashes to verify against the canonical chain: blocks with ingested logs plus the cursor block
+export async function getIngestedBlockHashes(chainId, contractAddress, fromBlock) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(`
+      SELECT DISTINCT blockNumber, blockHash FROM market_events
+      WHERE chainId = ? AND contractAddress = ? AND status = 'active' AND blockNumber >= ?
+      UNION
+      SELECT lastProcessedBlock AS blockNumber, lastProcessedBlockHash AS blockHash FROM sync_state
+      WHERE chainId = ? AND contractAddress = ? AND lastProcessedBlockHash IS NOT NULL AND lastProcessedBlock >= ?
+      ORDER BY blockNumber ASC
+    `, [chainId, contractAddress, fromBlock, chainId, contractAddress, fromBlock]);
+  } catch (error) {
+    logger.error({ error, chainId, contractAddress, fromBlock }, 'Error in getIngestedBlockHashes');
+    throw error;
+  }
+}
+
+// Marks logs at or after fromBlock as orphaned and removes the markets they created, along with
+// any pending journal work for them. Markets that have already been processed for settlement
+// are kept and returned as `retained` so they can be reviewed by hand.
+export async function rollbackMarketEventsFromBlock(chainId, contractAddress, fromBlock) {
+  try {
+    return await withTransaction(async (db) => {
+      const orphaned = await db.all(
+        `SELECT DISTINCT conditionId FROM market_events WHERE chainId = ? AND contractAddress = ? AND blockNumber >= ? AND status = 'active'`,
+        [chainId, contractAddress, fromBlock]
+      );
+      await db.run(
+        `UPDATE market_events SET status = 'orphaned' WHERE chainId = ? AND contractAddress = ? AND blockNumber >= ? AND status = 'active'`,
+        [chainId, contractAddress, fromBlock]
+      );
+
+      const rolledBack = [];
+      const retained = [];
+      for (const { conditionId } of orphaned) {
+        // Still created by a log that survived the reorg
+        const stillActive = await db.get(
+          `SELECT 1 FROM market_events WHERE conditionId = ? AND status = 'active'`,
+          [conditionId]
+        );
+        if (stillActive) continue;
+
+        const market = await db.get('SELECT * FROM markets WHERE conditionId = ?', [conditionId]);
+        if (!market) continue;
+        if (market.processedForSettlement || market.isSettledOnChain) {
+          retained.push(conditionId);
+          continue;
+        }
+
+        // Log the operation in journal
+        await db.run(
+          'INSERT INTO operations_journal (operation, conditionId, data) VALUES (?, ?, ?)',
+          ['rollbackOrphanedMarket', conditionId, JSON.stringify({ chainId, contractAddress, fromBlock })]
+        );
+
+        // Drop queued and running work for the market before removing it. A job that is still running
+        // can't write its result back: completeJob/failJob only touch running jobs, and the writes
+        // made by the workers check that the market still exists.
+        await db.run(
+          'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND status = ? AND operation != ?',
+          ['cancelled', conditionId, 'pending', 'rollbackOrphanedMarket']
+        );
+        await db.run('DELETE FROM markets WHERE conditionId = ?', [conditionId]);
+        await db.run('DELETE FROM market_resolution_criteria WHERE conditionId = ?', [conditionId]);
+        await db.run(
+          `UPDATE jobs SET status = 'cancelled', updatedAt = CURRENT_TIMESTAMP, finishedAt = CURRENT_TIMESTAMP WHERE conditionId = ? AND status IN ('pending', 'running')`,
+          [conditionId]
+        );
+
+        // Mark operation as completed
+        await db.run(
+          'UPDATE operations_journal SET status = ? WHERE conditionId = ? AND operation = ? AND status = ?',
+          ['completed', conditionId, 'rollbackOrphanedMarket', 'pending']
+        );
+        rolledBack.push(conditionId);
+      }
+
+      logger.info({ chainId, contractAddress, fromBlock, rolledBack, retained }, 'Rolled back markets from orphaned blocks.');
+      return { rolledBack, retained };
+    });
+  } catch (error) {
+    logger.error({ error, chainId, contractAddress, fromBlock }, 'Error in rollbackMarketEventsFromBlock');
+    throw error;
+  }
+}
+
+// --- Multi-chain Migration ---
+
+export async function countLegacyMarkets() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const row = await db.get('SELECT COUNT(*) AS count FROM markets WHERE chainId IS NULL');
+    return row.count;
+  } catch (error) {
+    logger.error({ error }, 'Error in countLegacyMarkets');
+    throw error;
+  }
+}
+
+// Assigns rows written before multi-chain support (no chainId) to the given factory
+export async function adoptLegacyRows(chainId, factoryAddress) {
+  try {
+    return await withTransaction(async (db) => {
+      const markets = await db.run(
+        'UPDATE markets SET chainId = ?, factoryAddress = ? WHERE chainId IS NULL',
+        [chainId, factoryAddress]
+      );
+      const events = await db.run(
+        'UPDATE market_events SET chainId = ? WHERE chainId IS NULL AND contractAddress = ?',
+        [chainId, factoryAddress]
+      );
+
+      let cursors = 0;
+      const legacyTable = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sync_state_legacy'`);
+      if (legacyTable) {
+        const result = await db.run(`
+          INSERT OR IGNORE INTO sync_state (chainId, contractAddress, lastProcessedBlock, lastProcessedBlockHash, updatedAt)
+          SELECT ?, contractAddress, lastProcessedBlock, lastProcessedBlockHash, updatedAt
+          FROM sync_state_legacy WHERE contractAddress = ?
+        `, [chainId, factoryAddress]);
+        await db.run('DELETE FROM sync_state_legacy WHERE contractAddress = ?', [factoryAddress]);
+        cursors = result.changes;
+      }
+
+      if (markets.changes > 0 || events.changes > 0 || cursors > 0) {
+        logger.info({
+          chainId,
+          factoryAddress,
+          markets: markets.changes,
+          events: events.changes,
+          cursors
+        }, 'Assigned pre-multi-chain rows to factory.');
+      }
+      return markets.changes;
+    });
+  } catch (error) {
+    logger.error({ error, chainId, factoryAddress }, 'Error in adoptLegacyRows');
+    throw error;
+  }
+}
+
+// --- Settlement Transaction Operations ---
+// pending_transactions is itself the durable record of each send, so these writes are not journaled.
+// The ones made before a broadcast go through withTransaction: a plain db.run on the shared connection
+// would join whatever transaction another caller has open and be lost if that one rolls back.
+
+export async function insertPendingTransaction(tx) {
+  try {
+    return await withTransaction(async (db) => {
+      const result = await db.run(`
+        INSERT INTO pending_transactions
+          (conditionId, chainId, fromAddress, toAddress, nonce, outcome, winningTokenId, txHash, txHashes, signedTransaction, lastBroadcastAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        tx.conditionId, tx.chainId, tx.fromAddress, tx.toAddress, tx.nonce, tx.outcome, tx.winningTokenId,
+        tx.txHash, JSON.stringify([tx.txHash]), tx.signedTransaction, Date.now()
+      ]);
+      return result.lastID;
+    });
+  } catch (error) {
+    logger.error({ error, conditionId: tx.conditionId, nonce: tx.nonce }, 'Error in insertPendingTransaction');
+    throw error;
+  }
+}
+
+// Records a fee-bumped replacement (same nonce) before it is broadcast
+export async function recordTransactionReplacement(id, txHash, signedTransaction) {
+  try {
+    await withTransaction(async (db) => {
+      await db.run(`
+        UPDATE pending_transactions SET
+          txHash = ?,
+          txHashes = json_insert(txHashes, '$[#]', ?),
+          signedTransaction = ?,
+          replacements = replacements + 1,
+          lastBroadcastAt = ?,
+          updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [txHash, txHash, signedTransaction, Date.now(), id]);
+    });
+  } catch (error) {
+    logger.error({ error, id, txHash }, 'Error in recordTransactionReplacement');
+    throw error;
+  }
+}
+
+export async function markTransactionRebroadcast(id) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(
+      'UPDATE pending_transactions SET lastBroadcastAt = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [Date.now(), id]
+    );
+  } catch (error) {
+    logger.error({ error, id }, 'Error in markTransactionRebroadcast');
+    throw error;
+  }
+}
+
+export async function updatePendingTransactionStatus(id, status, { txHash = null, blockNumber = null, error: txError = null } = {}) {
+  try {
+    await withTransaction(async (db) => {
+      await db.run(`
+        UPDATE pending_transactions SET
+          status = ?,
+          txHash = COALESCE(?, txHash),
+          blockNumber = COALESCE(?, blockNumber),
+          error = COALESCE(?, error),
+          updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, txHash, blockNumber, txError, id]);
+    });
+  } catch (error) {
+    logger.error({ error, id, status }, 'Error in updatePendingTransactionStatus');
+    throw error;
+  }
+}
+
+export async function getPendingTransactions() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(`SELECT * FROM pending_transactions WHERE status = 'pending' ORDER BY chainId, fromAddress, nonce`);
+  } catch (error) {
+    logger.error({ error }, 'Error in getPendingTransactions');
+    throw error;
+  }
+}
+
+export async function getTransactionRecord(id) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.get('SELECT * FROM pending_transactions WHERE id = ?', [id]);
+  } catch (error) {
+    logger.error({ error, id }, 'Error in getTransactionRecord');
+    throw error;
+  }
+}
+
+// Every settlement transaction sent for a market, whatever became of it
+export async function getMarketTransactions(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const rows = await db.all('SELECT * FROM pending_transactions WHERE conditionId = ? ORDER BY id ASC', [conditionId]);
+    return rows.map(({ signedTransaction, ...row }) => ({ ...row, txHashes: JSON.parse(row.txHashes || '[]') }));
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getMarketTransactions');
+    throw error;
+  }
+}
+
+export async function getPendingTransactionForMarket(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.get(
+      `SELECT * FROM pending_transactions WHERE conditionId = ? AND status = 'pending' ORDER BY id DESC LIMIT 1`,
+      [conditionId]
+    );
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getPendingTransactionForMarket');
+    throw error;
+  }
+}
+
+// Highest nonce still in flight for a signer, or null
+export async function getHighestPendingNonce(chainId, fromAddress) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const row = await db.get(
+      `SELECT MAX(nonce) AS nonce FROM pending_transactions WHERE chainId = ? AND fromAddress = ? AND status = 'pending'`,
+      [chainId, fromAddress]
+    );
+    return row && row.nonce !== null ? row.nonce : null;
+  } catch (error) {
+    logger.error({ error, chainId, fromAddress }, 'Error in getHighestPendingNonce');
+    throw error;
+  }
+}
+
+// --- Settlement Proposal Operations ---
+// Proposals are an audit trail of their own and don't modify markets, so they are not journaled.
+
+export async function createSettlementProposal(proposal) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(`
+      INSERT INTO settlement_proposals
+        (conditionId, chainId, factoryAddress, marketQuestion, aiAnswer, winningTokenId, aiReasoning, ambiguous,
+         approvalReason, status, decisionId)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      proposal.conditionId, proposal.chainId, proposal.factoryAddress, proposal.marketQuestion, proposal.aiAnswer,
+      proposal.winningTokenId, proposal.aiReasoning, proposal.ambiguous ? 1 : 0, proposal.approvalReason,
+      proposal.status || 'awaiting_approval', proposal.decisionId ?? null
+    ]);
+    return result.lastID;
+  } catch (error) {
+    logger.error({ error, conditionId: proposal.conditionId }, 'Error in createSettlementProposal');
+    throw error;
+  }
+}
+
+export async function getSettlementProposal(id) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.get('SELECT * FROM settlement_proposals WHERE id = ?', [id]);
+  } catch (error) {
+    logger.error({ error, id }, 'Error in getSettlementProposal');
+    throw error;
+  }
+}
+
+export async function getLatestSettlementProposal(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.get(
+      'SELECT * FROM settlement_proposals WHERE conditionId = ? ORDER BY id DESC LIMIT 1',
+      [conditionId]
+    );
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getLatestSettlementProposal');
+    throw error;
+  }
+}
+
+export async function getMarketSettlementProposals(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT * FROM settlement_proposals WHERE conditionId = ? ORDER BY id ASC', [conditionId]);
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getMarketSettlementProposals');
+    throw error;
+  }
+}
+
+// status: one status, a list of them, or null for every proposal
+export async function getSettlementProposals(status = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      return await db.all(
+        `SELECT * FROM settlement_proposals WHERE status IN (${statuses.map(() => '?').join(', ')}) ORDER BY createdAt ASC`,
+        statuses
+      );
+    }
+    return await db.all('SELECT * FROM settlement_proposals ORDER BY createdAt ASC');
+  } catch (error) {
+    logger.error({ error, status }, 'Error in getSettlementProposals');
+    throw error;
+  }
+}
+
+// Approves or rejects a proposal that is still awaiting approval or review; returns false otherwise
+export async function reviewSettlementProposal(id, status, reviewedBy, reviewNote = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(`
+      UPDATE settlement_proposals SET
+        status = ?, reviewedBy = ?, reviewNote = ?, reviewedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('awaiting_approval', 'needs_review')
+    `, [status, reviewedBy, reviewNote, id]);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error({ error, id, status }, 'Error in reviewSettlementProposal');
+    throw error;
+  }
+}
+
+export async function markSettlementProposalsExecuted(conditionId, txHash) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(`
+      UPDATE settlement_proposals SET status = 'executed', txHash = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE conditionId = ? AND status = 'approved'
+    `, [txHash, conditionId]);
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in markSettlementProposalsExecuted');
+    throw error;
+  }
+}
+
+// --- Settlement Decision Operations ---
+
+// Stores the outcome of a settlement analysis together with every model vote (and its citations) behind it
+export async function recordSettlementDecision(decision, votes) {
+  try {
+    return await withTransaction(async (db) => {
+      const result = await db.run(`
+        INSERT INTO settlement_decisions
+          (conditionId, chainId, decision, leadingAnswer, quorum, agreeingVotes, totalVotes, confidence, evidenceQuality)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        decision.conditionId, decision.chainId, decision.decision, decision.leadingAnswer,
+        decision.quorum, decision.agreeingVotes, decision.totalVotes, decision.confidence ?? null, decision.evidenceQuality ?? null
+      ]);
+      for (const vote of votes) {
+        await db.run(`
+          INSERT INTO settlement_votes
+            (decisionId, conditionId, model, sample, answer, reasoning, error, errorType, confidence, evidenceQuality)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          result.lastID, decision.conditionId, vote.model, vote.sample, vote.answer ?? null, vote.reasoning ?? null,
+          vote.error ?? null, vote.errorType ?? null, vote.confidence ?? null, vote.evidenceQuality ?? null
+        ]);
+        for (const citation of vote.citations || []) {
+          await db.run(`
+            INSERT INTO ai_citations (conditionId, task, decisionId, model, sample, url, title)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `, [decision.conditionId, 'settlement', result.lastID, vote.model, vote.sample, citation.url, citation.title ?? null]);
+        }
+      }
+      return result.lastID;
+    });
+  } catch (error) {
+    logger.error({ error, conditionId: decision.conditionId }, 'Error in recordSettlementDecision');
+    throw error;
+  }
+}
+
+export async function getSettlementDecision(id) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.get('SELECT * FROM settlement_decisions WHERE id = ?', [id]);
+  } catch (error) {
+    logger.error({ error, id }, 'Error in getSettlementDecision');
+    throw error;
+  }
+}
+
+export async function getMarketSettlementDecisions(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT * FROM settlement_decisions WHERE conditionId = ? ORDER BY id ASC', [conditionId]);
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getMarketSettlementDecisions');
+    throw error;
+  }
+}
+
+// request: { conditionId, task, model, sample, repaired }; failures: [{ attempt, errorType, error, response }]
+export async function recordAIResponseFailures(request, failures) {
+  try {
+    return await withTransaction(async (db) => {
+      for (const failure of failures) {
+        await db.run(`
+          INSERT INTO ai_response_failures (conditionId, task, model, sample, attempt, errorType, error, response, repaired)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          request.conditionId ?? null, request.task, request.model ?? null, request.sample ?? null,
+          failure.attempt, failure.errorType, failure.error ?? null, failure.response ?? null, request.repaired ? 1 : 0
+        ]);
+      }
+    });
+  } catch (error) {
+    logger.error({ error, conditionId: request.conditionId, task: request.task }, 'Error in recordAIResponseFailures');
+    throw error;
+  }
+}
+
+export async function getAIResponseFailures(conditionId = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(
+      'SELECT * FROM ai_response_failures WHERE (? IS NULL OR conditionId = ?) ORDER BY id ASC',
+      [conditionId, conditionId]
+    );
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getAIResponseFailures');
+    throw error;
+  }
+}
+
+// --- AI Usage Operations ---
+
+export async function recordAIUsage(entry) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(`
+      INSERT INTO ai_usage (conditionId, task, provider, model, promptTokens, completionTokens, totalTokens, costUsd)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.conditionId ?? null, entry.task, entry.provider ?? null, entry.model ?? null,
+      entry.promptTokens || 0, entry.completionTokens || 0, entry.totalTokens || 0, entry.costUsd ?? null
+    ]);
+  } catch (error) {
+    logger.error({ error, conditionId: entry.conditionId, task: entry.task }, 'Error in recordAIUsage');
+    throw error;
+  }
+}
+
+// Estimated spend since a UTC 'YYYY-MM-DD HH:MM:SS' timestamp (all time with null)
+export async function getAICostSince(since = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const row = await db.get(
+      'SELECT COALESCE(SUM(costUsd), 0) AS costUsd FROM ai_usage WHERE (? IS NULL OR createdAt >= ?)',
+      [since, since]
+    );
+    return row.costUsd;
+  } catch (error) {
+    logger.error({ error, since }, 'Error in getAICostSince');
+    throw error;
+  }
+}
+
+// Usage since a UTC timestamp (all time with null), totalled per task and model
+export async function getAIUsageSummary(since = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(`
+      SELECT task, model, COUNT(*) AS requests, SUM(promptTokens) AS promptTokens, SUM(completionTokens) AS completionTokens,
+        SUM(totalTokens) AS totalTokens, SUM(costUsd) AS costUsd, SUM(costUsd IS NULL) AS unpricedRequests
+      FROM ai_usage
+      WHERE (? IS NULL OR createdAt >= ?)
+      GROUP BY task, model
+      ORDER BY task ASC, costUsd DESC
+    `, [since, since]);
+  } catch (error) {
+    logger.error({ error, since }, 'Error in getAIUsageSummary');
+    throw error;
+  }
+}
+
+// The markets AI spend went to since a UTC timestamp (all time with null), most expensive first
+export async function getAIUsageByMarket(since = null, limit = 10) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(`
+      SELECT u.conditionId, m.marketQuestion, COUNT(*) AS requests, SUM(u.totalTokens) AS totalTokens, SUM(u.costUsd) AS costUsd,
+        SUM(CASE WHEN u.task = 'resolution' THEN u.costUsd ELSE 0 END) AS resolutionCostUsd,
+        SUM(CASE WHEN u.task = 'settlement' THEN u.costUsd ELSE 0 END) AS settlementCostUsd
+      FROM ai_usage u
+      LEFT JOIN markets m ON m.conditionId = u.conditionId
+      WHERE u.conditionId IS NOT NULL AND (? IS NULL OR u.createdAt >= ?)
+      GROUP BY u.conditionId
+      ORDER BY costUsd DESC
+      LIMIT ?
+    `, [since, since, limit]);
+  } catch (error) {
+    logger.error({ error, since }, 'Error in getAIUsageByMarket');
+    throw error;
+  }
+}
+
+// --- Job Queue Operations ---
+// The jobs table is the durable record of queued work, so these writes are not journaled.
+
+// Queues a job unless the market already has a pending or running one of this type; an already
+// pending job is moved up to the higher priority and earlier start. Returns the new job's id, or null.
+export async function enqueueJob({ type, conditionId, payload = null, priority = 0, runAfter = null }) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const startAt = runAfter ?? Math.floor(Date.now() / 1000);
+    const result = await db.run(
+      'INSERT OR IGNORE INTO jobs (type, conditionId, payload, priority, runAfter) VALUES (?, ?, ?, ?, ?)',
+      [type, conditionId, payload ? JSON.stringify(payload) : null, priority, startAt]
+    );
+    if (result.changes > 0) {
+      return result.lastID;
+    }
+    await db.run(`
+      UPDATE jobs SET priority = MAX(priority, ?), runAfter = MIN(runAfter, ?), updatedAt = CURRENT_TIMESTAMP
+      WHERE type = ? AND conditionId = ? AND status = 'pending'
+    `, [priority, startAt, type, conditionId]);
+    return null;
+  } catch (error) {
+    logger.error({ error, type, conditionId }, 'Error in enqueueJob');
+    throw error;
+  }
+}
+
+function parseJobRow(row) {
+  return { ...row, payload: row.payload ? JSON.parse(row.payload) : {} };
+}
+
+// Takes up to `limit` due jobs of a type, highest priority first, and marks them running until
+// visibilityTimeoutSeconds from now. Running jobs whose timeout has passed are taken again.
+export async function claimJobs(type, limit, visibilityTimeoutSeconds) {
+  try {
+    return await withTransaction(async (db) => {
+      const now = Math.floor(Date.now() / 1000);
+      const rows = await db.all(`
+        SELECT * FROM jobs
+        WHERE type = ?
+          AND ((status = 'pending' AND runAfter <= ?) OR (status = 'running' AND lockedUntil <= ?))
+        ORDER BY priority DESC, runAfter ASC, id ASC
+        LIMIT ?
+      `, [type, now, now, limit]);
+
+      for (const row of rows) {
+        row.status = 'running';
+        row.attempts += 1;
+        row.lockedUntil = now + visibilityTimeoutSeconds;
+        await db.run(
+          `UPDATE jobs SET status = 'running', attempts = ?, lockedUntil = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+          [row.attempts, row.lockedUntil, row.id]
+        );
+      }
+      return rows.map(parseJobRow);
+    });
+  } catch (error) {
+    logger.error({ error, type, limit }, 'Error in claimJobs');
+    throw error;
+  }
+}
+
+// `attempt` is the job's attempts count when it was claimed: a job that timed out and was claimed
+// again is no longer updated by the worker that lost it. Returns whether the job was updated.
+export async function completeJob(id, attempt) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(`
+      UPDATE jobs SET status = 'completed', lockedUntil = NULL, updatedAt = CURRENT_TIMESTAMP, finishedAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'running' AND attempts = ?
+    `, [id, attempt]);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error({ error, id }, 'Error in completeJob');
+    throw error;
+  }
+}
+
+// Puts a failed job back in the queue until retryAt (Unix seconds), or marks it failed with retryAt null
+export async function failJob(id, attempt, jobError, retryAt = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(`
+      UPDATE jobs SET
+        status = ?,
+        runAfter = COALESCE(?, runAfter),
+        lockedUntil = NULL,
+        lastError = ?,
+        updatedAt = CURRENT_TIMESTAMP,
+        finishedAt = CASE WHEN ? IS NULL THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE id = ? AND status = 'running' AND attempts = ?
+    `, [retryAt === null ? 'failed' : 'pending', retryAt, jobError, retryAt, id, attempt]);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error({ error, id }, 'Error in failJob');
+    throw error;
+  }
+}
+
+// Puts a job back in the queue until runAfter (Unix seconds) without counting the attempt, for work
+// that can't run yet (e.g. the AI budget is used up) rather than work that failed
+export async function deferJob(id, attempt, runAfter) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(`
+      UPDATE jobs SET status = 'pending', attempts = attempts - 1, runAfter = ?, lockedUntil = NULL, updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'running' AND attempts = ?
+    `, [runAfter, id, attempt]);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error({ error, id }, 'Error in deferJob');
+    throw error;
+  }
+}
+
+// Jobs left running by a previous process go back to the queue right away instead of waiting out their timeout
+export async function releaseRunningJobs() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(
+      `UPDATE jobs SET status = 'pending', lockedUntil = NULL, updatedAt = CURRENT_TIMESTAMP WHERE status = 'running'`
+    );
+    return result.changes;
+  } catch (error) {
+    logger.error({ error }, 'Error in releaseRunningJobs');
+    throw error;
+  }
+}
+
+// Number of jobs per type and status
+export async function getJobCounts() {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT type, status, COUNT(*) AS count FROM jobs GROUP BY type, status ORDER BY type, status');
+  } catch (error) {
+    logger.error({ error }, 'Error in getJobCounts');
+    throw error;
+  }
+}
+
+// One page of jobs for the admin API, newest first; filters: status, type, conditionId
+export async function getJobs({ status = null, type = null, conditionId = null, limit = 50, offset = 0 } = {}) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const where = 'WHERE (? IS NULL OR status = ?) AND (? IS NULL OR type = ?) AND (? IS NULL OR conditionId = ?)';
+    const params = [status, status, type, type, conditionId, conditionId];
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM jobs ${where}`, params);
+    const rows = await db.all(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { jobs: rows.map(parseJobRow), total };
+  } catch (error) {
+    logger.error({ error, status, type, conditionId }, 'Error in getJobs');
+    throw error;
+  }
+}
+
+// Deletes completed and cancelled jobs that finished more than `days` days ago; failed jobs are kept
+export async function pruneFinishedJobs(days) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(
+      `DELETE FROM jobs WHERE status IN ('completed', 'cancelled') AND finishedAt < datetime('now', ?)`,
+      [`-${days} days`]
+    );
+    return result.changes;
+  } catch (error) {
+    logger.error({ error, days }, 'Error in pruneFinishedJobs');
+    throw error;
+  }
+}
+
+// --- Notification Delivery Operations ---
+// Like the jobs table, notification_deliveries is the durable record of queued work, so these writes are not journaled.
+
+export async function enqueueNotificationDelivery({ event, conditionId = null, webhookUrl, format, body }) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(
+      'INSERT INTO notification_deliveries (event, conditionId, webhookUrl, format, body, nextAttemptAt) VALUES (?, ?, ?, ?, ?, ?)',
+      [event, conditionId, webhookUrl, format, JSON.stringify(body), Math.floor(Date.now() / 1000)]
+    );
+    return result.lastID;
+  } catch (error) {
+    logger.error({ error, event, conditionId }, 'Error in enqueueNotificationDelivery');
+    throw error;
+  }
+}
+
+// Pending deliveries whose next attempt is due, oldest first
+export async function getDueNotificationDeliveries(limit) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const rows = await db.all(
+      `SELECT * FROM notification_deliveries WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY id ASC LIMIT ?`,
+      [Math.floor(Date.now() / 1000), limit]
+    );
+    return rows.map(row => ({ ...row, body: JSON.parse(row.body) }));
+  } catch (error) {
+    logger.error({ error }, 'Error in getDueNotificationDeliveries');
+    throw error;
+  }
+}
+
+export async function markNotificationDelivered(id, attempts) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(
+      `UPDATE notification_deliveries SET status = 'delivered', attempts = ?, lastError = NULL, deliveredAt = CURRENT_TIMESTAMP WHERE id = ?`,
+      [attempts, id]
+    );
+  } catch (error) {
+    logger.error({ error, id }, 'Error in markNotificationDelivered');
+    throw error;
+  }
+}
+
+// Schedules the next attempt at retryAt (Unix seconds), or marks the delivery failed with retryAt null
+export async function failNotificationDelivery(id, attempts, deliveryError, retryAt = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(
+      'UPDATE notification_deliveries SET status = ?, attempts = ?, lastError = ?, nextAttemptAt = COALESCE(?, nextAttemptAt) WHERE id = ?',
+      [retryAt === null ? 'failed' : 'pending', attempts, deliveryError, retryAt, id]
+    );
+  } catch (error) {
+    logger.error({ error, id }, 'Error in failNotificationDelivery');
+    throw error;
+  }
+}
+
+// Deletes deliveries that went out more than `days` days ago; failed ones are kept
+export async function pruneDeliveredNotifications(days) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(
+      `DELETE FROM notification_deliveries WHERE status = 'delivered' AND deliveredAt < datetime('now', ?)`,
+      [`-${days} days`]
+    );
+    return result.changes;
+  } catch (error) {
+    logger.error({ error, days }, 'Error in pruneDeliveredNotifications');
+    throw error;
+  }
+}
+
+// --- Resolution Criteria Operations ---
+
+// Returns false if the market is no longer indexed (rolled back while it was analysed); nothing is stored then
+export async function saveResolutionCriteria(conditionId, resolution, model) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const result = await db.run(`
+      INSERT INTO market_resolution_criteria
+        (conditionId, resolvable, reasoning, settlementCriteria, resolutionSources, suggestedImprovements, model)
+      SELECT ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM markets WHERE conditionId = ?)
+      ON CONFLICT(conditionId) DO UPDATE SET
+        resolvable = excluded.resolvable,
+        reasoning = excluded.reasoning,
+        settlementCriteria = excluded.settlementCriteria,
+        resolutionSources = excluded.resolutionSources,
+        suggestedImprovements = excluded.suggestedImprovements,
+        model = excluded.model,
+        createdAt = CURRENT_TIMESTAMP
+    `, [
+      conditionId,
+      resolution.resolvable === undefined ? null : (resolution.resolvable ? 1 : 0),
+      resolution.reasoning ?? null,
+      resolution.settlement_criteria ?? null,
+      JSON.stringify(Array.isArray(resolution.resolution_sources) ? resolution.resolution_sources : []),
+      resolution.suggested_improvements ?? null,
+      model ?? null,
+      conditionId
+    ]);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in saveResolutionCriteria');
+    throw error;
+  }
+}
+
+export async function getResolutionCriteria(conditionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    const row = await db.get('SELECT * FROM market_resolution_criteria WHERE conditionId = ?', [conditionId]);
+    return row ? { ...row, resolutionSources: JSON.parse(row.resolutionSources || '[]') } : null;
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in getResolutionCriteria');
+    throw error;
+  }
+}
+
+export async function recordResolutionCitations(conditionId, model, citations) {
+  try {
+    return await withTransaction(async (db) => {
+      for (const citation of citations) {
+        await db.run(
+          'INSERT INTO ai_citations (conditionId, task, model, url, title) VALUES (?, ?, ?, ?, ?)',
+          [conditionId, 'resolution', model, citation.url, citation.title ?? null]
+        );
+      }
+    });
+  } catch (error) {
+    logger.error({ error, conditionId }, 'Error in recordResolutionCitations');
+    throw error;
+  }
+}
+
+// Every source cited for a market, optionally only for one task or one settlement decision
+export async function getAICitations(conditionId, { task = null, decisionId = null } = {}) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all(`
+      SELECT * FROM ai_citations
+      WHERE conditionId = ? AND (? IS NULL OR task = ?) AND (? IS NULL OR decisionId = ?)
+      ORDER BY id ASC
+    `, [conditionId, task, task, decisionId, decisionId]);
+  } catch (error) {
+    logger.error({ error, conditionId, task, decisionId }, 'Error in getAICitations');
+    throw error;
+  }
+}
+
+export async function getSettlementVotes(decisionId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    return await db.all('SELECT * FROM settlement_votes WHERE decisionId = ? ORDER BY id ASC', [decisionId]);
+  } catch (error) {
+    logger.error({ error, decisionId }, 'Error in getSettlementVotes');
+    throw error;
+  }
+}
+
+// --- Shadow Settlement Operations ---
+// Shadow decisions never touch the markets table, so they are not journaled either.
+
+export async function recordShadowSettlement(decision) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(`
+      INSERT INTO shadow_settlements
+        (conditionId, chainId, factoryAddress, runLabel, marketQuestion, aiAnswer, winningTokenId, aiReasoning, needsReview, lowConfidence, ambiguityPolicy)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(conditionId, runLabel) DO UPDATE SET
+        aiAnswer = excluded.aiAnswer,
+        winningTokenId = excluded.winningTokenId,
+        aiReasoning = excluded.aiReasoning,
+        needsReview = excluded.needsReview,
+        lowConfidence = excluded.lowConfidence,
+        ambiguityPolicy = excluded.ambiguityPolicy,
+        createdAt = CURRENT_TIMESTAMP
+    `, [
+      decision.conditionId, decision.chainId, decision.factoryAddress, decision.runLabel, decision.marketQuestion,
+      decision.aiAnswer, decision.winningTokenId, decision.aiReasoning, decision.needsReview ? 1 : 0, decision.lowConfidence ? 1 : 0,
+      decision.ambiguityPolicy || null
+    ]);
+  } catch (error) {
+    logger.error({ error, conditionId: decision.conditionId, runLabel: decision.runLabel }, 'Error in recordShadowSettlement');
+    throw error;
+  }
+}
+
+export async function getShadowSettlements(runLabel = null) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    if (runLabel) {
+      return await db.all('SELECT * FROM shadow_settlements WHERE runLabel = ? ORDER BY createdAt ASC', [runLabel]);
+    }
+    return await db.all('SELECT * FROM shadow_settlements ORDER BY runLabel, createdAt ASC');
+  } catch (error) {
+    logger.error({ error, runLabel }, 'Error in getShadowSettlements');
+    throw error;
+  }
+}
+
+export async function recordShadowOutcome(id, actualWinningTokenId) {
+  try {
+    await dbPromise; // Ensure the database is initialized
+    await db.run(
+      'UPDATE shadow_settlements SET actualWinningTokenId = ?, outcomeCheckedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [actualWinningTokenId, id]
+    );
+  } catch (error) {
+    logger.error({ error, id }, 'Error in recordShadowOutcome');
+    throw error;
+  }
+}
+
+// Find and process any pending operations at startup
+export async function recoverPendingOperations() {
+  try {
+    await dbPromise; // Ensure DB is initialized
+    
+    // Get all pending operations
+    const pendingOps = await db.all('SELECT * FROM operations_journal WHERE status = ?', ['pending']);
+    
+    if (pendingOps.length > 0) {
+      logger.info(`Found ${pendingOps.length} pending operations to recover`);
+      
+      // Process each pending operation
+      for (const op of pendingOps) {
+        try {
+          // Parse data if available
+          const data = op.data ? JSON.parse(op.data) : {};
+          
+          // Attempt to replay the operation based on type
           switch (op.operation) {
             case 'addOrUpdateMarket':
               if (data.marketCreator) {
                 await db.run(`
-                  INSERT INTO markets (conditionId, marketCreator)
-                  VALUES (?, ?)
+                  INSERT INTO markets (conditionId, marketCreator, chainId, factoryAddress)
+                  VALUES (?, ?, ?, ?)
                   ON CONFLICT(conditionId) DO UPDATE SET
-                    marketCreator = excluded.marketCreator
-                  WHERE markets.marketCreator != excluded.marketCreator;
-                `, [op.conditionId, data.marketCreator]);
+                    marketCreator = excluded.marketCreator,
+                    chainId = COALESCE(markets.chainId, excluded.chainId),
+                    factoryAddress = COALESCE(markets.factoryAddress, excluded.factoryAddress)
+                  WHERE markets.marketCreator != excluded.marketCreator OR markets.chainId IS NULL;
+                `, [op.conditionId, data.marketCreator, data.chainId ?? null, data.factoryAddress ?? null]);
               }
               break;
               
@@ -588,6 +2253,95 @@ export async function recoverPendingOperations() {
               }
               break;
               
+            case 'scheduleMarketReanalysis':
+              if (data.reanalyzeAfter !== undefined) {
+                await db.run(
+                  'UPDATE markets SET reanalyzeAfter = ?, lowConfidenceCount = lowConfidenceCount + 1 WHERE conditionId = ?',
+                  [data.reanalyzeAfter, op.conditionId]
+                );
+              }
+              break;
+              
+            case 'scheduleMarketFollowUp':
+              if (data.nextAttemptAt !== undefined) {
+                await db.run(
+                  'UPDATE markets SET nextAttemptAt = ? WHERE conditionId = ?',
+                  [data.nextAttemptAt, op.conditionId]
+                );
+              }
+              break;
+              
+            case 'recordMarketAmbiguity':
+              if (data.policy) {
+                await db.run(`
+                  UPDATE markets
+                  SET ambiguityPolicy = ?, ambiguousCount = ambiguousCount + 1, ambiguityHeld = ?, reanalyzeAfter = COALESCE(?, reanalyzeAfter)
+                  WHERE conditionId = ?
+                `, [data.policy, data.held ? 1 : 0, data.reanalyzeAfter ?? null, op.conditionId]);
+              }
+              break;
+              
+            case 'flagMarketSuspicious':
+              if (data.reasons) {
+                await db.run(
+                  'UPDATE markets SET suspicious = 1, suspiciousReasons = ? WHERE conditionId = ?',
+                  [JSON.stringify(data.reasons), op.conditionId]
+                );
+              }
+              break;
+              
+            case 'recordMarketFailure':
+              if (data.failureClass) {
+                await db.run(`
+                  UPDATE markets SET
+                    retries = retries + 1, failureClass = ?, classFailureCount = ?, lastError = ?, lastFailedAt = CURRENT_TIMESTAMP, nextAttemptAt = ?,
+                    settlementStatus = CASE WHEN ? IS NULL THEN 'dead_letter' ELSE settlementStatus END,
+                    deadLetteredAt = CASE WHEN ? IS NULL THEN CURRENT_TIMESTAMP ELSE deadLetteredAt END
+                  WHERE conditionId = ?
+                `, [data.failureClass, data.attempt, data.lastError ?? null, data.nextAttemptAt, data.nextAttemptAt, data.nextAttemptAt, op.conditionId]);
+              }
+              break;
+              
+            case 'requeueMarket':
+              await db.run(`
+                UPDATE markets SET
+                  settlementStatus = NULL, deadLetteredAt = NULL, ambiguityHeld = 0,
+                  retries = 0, failureClass = NULL, classFailureCount = 0, nextAttemptAt = NULL
+                WHERE conditionId = ?
+              `, [op.conditionId]);
+              break;
+              
+            case 'resetMarket':
+              await db.run(`
+                UPDATE markets SET
+                  processedForSettlement = 0, winningTokenId = NULL,
+                  settlementStatus = NULLIF(settlementStatus, 'dead_letter'), deadLetteredAt = NULL,
+                  retries = 0, failureClass = NULL, classFailureCount = 0, nextAttemptAt = NULL,
+                  reanalyzeAfter = NULL, lowConfidenceCount = 0, ambiguityHeld = 0
+                WHERE conditionId = ?
+              `, [op.conditionId]);
+              break;
+              
+            case 'setMarketPaused':
+              if (data.paused !== undefined) {
+                await db.run(
+                  'UPDATE markets SET settlementStatus = ? WHERE conditionId = ? AND settlementStatus IS ?',
+                  [data.paused ? 'paused' : null, op.conditionId, data.paused ? null : 'paused']
+                );
+              }
+              break;
+              
+            case 'setMarketMinConfidence':
+              if (data.minConfidence !== undefined) {
+                await db.run('UPDATE markets SET minConfidence = ? WHERE conditionId = ?', [data.minConfidence, op.conditionId]);
+              }
+              break;
+              
+            case 'rollbackOrphanedMarket':
+              await db.run('DELETE FROM markets WHERE conditionId = ?', [op.conditionId]);
+              await db.run('DELETE FROM market_resolution_criteria WHERE conditionId = ?', [op.conditionId]);
+              break;
+              
             case 'updateMarketWinningTokenId':
               if (data.winningTokenId !== undefined) {
                 await db.run(
@@ -617,7 +2371,7 @@ export async function recoverPendingOperations() {
 }
 
 // Call the recovery function on startup
-recoverPendingOperations().catch(error => {
+const startupRecovery = recoverPendingOperations().catch(error => {
   logger.error({ error }, 'Failed to perform recovery of pending operations');
 });
 
@@ -628,6 +2382,7 @@ async function closeDatabase() {
       // Force a checkpoint before closing to ensure WAL is flushed to main DB file
       await db.exec('PRAGMA wal_checkpoint(FULL);');
       await db.close();
+      db = null;
       logger.info('Database connection closed.');
     }
   } catch (error) {
@@ -635,6 +2390,12 @@ async function closeDatabase() {
   }
 }
 
+// For the tests, which end without exiting and may do so before the startup work is done
+export async function closeDatabaseAfterStartup() {
+  await startupRecovery;
+  await closeDatabase();
+}
+
 // Enhanced graceful shutdown with more thorough process handling
 async function gracefulShutdown(signal) {
   try {
@@ -0,0 +1,161 @@
+import logger from '../utils/logger.js';
+import * as db from './database.js';
+
+// Prometheus metrics, served at /metrics by the admin API in the text exposition format.
+// Counters and histograms count from the start of the process. Gauges describing stored state
+// (markets, jobs, chain lag) are filled in by collectors that run on every scrape.
+
+const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = new Map();
+const collectors = [];
+
+function labelsKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(entries) {
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  return Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN';
+}
+
+function register(name, help, type) {
+  if (registry.has(name)) {
+    throw new Error(`Metric ${name} is already registered`);
+  }
+  const metric = { name, help, type, series: new Map() };
+  registry.set(name, metric);
+  return metric;
+}
+
+function series(metric, labels, create) {
+  const key = labelsKey(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels: JSON.parse(key), ...create() });
+  }
+  return metric.series.get(key);
+}
+
+function counter(name, help) {
+  const metric = register(name, help, 'counter');
+  return {
+    inc(labels = {}, value = 1) {
+      series(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+function gauge(name, help) {
+  const metric = register(name, help, 'gauge');
+  return {
+    set(labels, value) {
+      series(metric, labels, () => ({ value: 0 })).value = value;
+    },
+    // Collectors start from scratch so series that no longer exist disappear
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+function histogram(name, help, buckets = DEFAULT_DURATION_BUCKETS) {
+  const metric = register(name, help, 'histogram');
+  metric.buckets = buckets;
+  return {
+    observe(labels, value) {
+      // Bucket counts are cumulative, as exposed
+      const entry = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+// --- Metrics ---
+
+export const marketsByStatus = gauge('indexer_markets', 'Markets by status (see MARKET_STATUSES in database.js)');
+export const jobsByStatus = gauge('indexer_jobs', 'Jobs in the queue by type and status');
+export const chainHeadBlock = gauge('indexer_chain_head_block', 'Latest block number reported by the RPC, per chain');
+export const lastIndexedBlock = gauge('indexer_last_indexed_block', 'Last block whose PNP_MarketCreated logs were ingested, per factory');
+export const indexLagBlocks = gauge('indexer_index_lag_blocks', 'Chain head minus the last indexed block (includes CONFIRMATION_DEPTH)');
+export const syncCursorUpdated = gauge('indexer_sync_cursor_updated_timestamp_seconds', 'When the sync cursor of a factory last moved');
+export const rpcEndpointUp = gauge('indexer_rpc_endpoint_up', 'Whether an RPC endpoint is currently considered healthy (1) or not (0)');
+
+export const aiRequests = counter('indexer_ai_requests_total', 'AI completion requests by task, model and result (ok, provider_error or the validation error type)');
+export const aiRequestDuration = histogram('indexer_ai_request_duration_seconds', 'Duration of AI completion requests');
+
+export const settlementTransactions = counter('indexer_settlement_transactions_total', 'settleMarket transactions by status: sent, replaced, confirmed, reverted, dropped, failed');
+export const settlementGasUsed = counter('indexer_settlement_gas_used_total', 'Gas used by mined settleMarket transactions');
+export const settlementFees = counter('indexer_settlement_fees_native_total', 'Fees paid for mined settleMarket transactions, in the native token (ETH)');
+export const settlementFailures = counter('indexer_settlement_failures_total', 'Failed settlement attempts by failure class and outcome (retry or dead_letter)');
+
+export const jobRuns = counter('indexer_job_runs_total', 'Job runs by type and result (completed, retried, failed or deferred)');
+export const jobDuration = histogram('indexer_job_duration_seconds', 'Duration of job runs');
+
+export const notificationDeliveries = counter('indexer_notification_deliveries_total', 'Webhook notification delivery attempts by event and result (delivered, retried or failed)');
+
+export const cronRuns = counter('indexer_cron_runs_total', 'Runs of the market processor cron jobs by result');
+export const cronDuration = histogram('indexer_cron_duration_seconds', 'Duration of the market processor cron jobs');
+export const cronLastRun = gauge('indexer_cron_last_run_timestamp_seconds', 'When a market processor cron job last finished');
+
+const processStartTime = gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds');
+processStartTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+// Registers a function that updates gauges right before each scrape
+export function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+registerCollector(async () => {
+  const [statusCounts, jobCounts] = await Promise.all([db.getMarketStatusCounts(), db.getJobCounts()]);
+  marketsByStatus.reset();
+  for (const status of db.MARKET_STATUSES) {
+    marketsByStatus.set({ status }, 0);
+  }
+  for (const { status, count } of statusCounts) {
+    marketsByStatus.set({ status }, count);
+  }
+  jobsByStatus.reset();
+  for (const { type, status, count } of jobCounts) {
+    jobsByStatus.set({ type, status }, count);
+  }
+});
+
+// Runs the collectors and returns every metric in the Prometheus text format. A failing collector
+// is logged and skipped, so one unreachable RPC doesn't take the whole endpoint down.
+export async function renderMetrics() {
+  const results = await Promise.allSettled(collectors.map(collect => collect()));
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      logger.error({ err: result.reason }, 'Metrics collector failed');
+    }
+  }
+
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const entry of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...entry.labels, ['le', formatValue(bound)]])} ${entry.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...entry.labels, ['le', '+Inf']])} ${entry.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
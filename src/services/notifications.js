@@ -0,0 +1,268 @@
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import * as db from './database.js';
+import { notificationDeliveries } from './metrics.js';
+
+// Webhook notifications (NOTIFICATION_WEBHOOKS) for events operators should not have to find in the logs.
+// notify() renders the event once per webhook that wants it (Slack, Discord, Telegram or plain JSON) and stores
+// the request in notification_deliveries. The delivery loop posts them and retries failures with a growing delay,
+// so a webhook outage delays alerts instead of dropping them. Deliveries queued by CLI commands are sent by the
+// running indexer.
+
+const DELIVERY_POLL_INTERVAL_MS = 5000;
+const DELIVERY_BATCH_SIZE = 10;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const MAX_FIELD_LENGTH = 1000; // Discord allows 1024 characters per field
+
+const SEVERITY_EMOJI = { info: 'ℹ️', success: '✅', warning: '⚠️', critical: '🚨' };
+const SEVERITY_COLORS = { info: 0x3498db, success: 0x2ecc71, warning: 0xf1c40f, critical: 0xe74c3c };
+
+function formatTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Per event: how urgent it is, its title and the fields shown (null fields are left out). Chain and
+// condition ID are added to every message that has them.
+const TEMPLATES = {
+  market_discovered: {
+    severity: 'info',
+    title: 'New market',
+    fields: data => ({ Question: data.question, 'End time': formatTimestamp(data.endTime), Creator: data.creator })
+  },
+  unresolvable_question: {
+    severity: 'warning',
+    title: 'Question may not be resolvable',
+    fields: data => ({ Question: data.question, Reasoning: data.reasoning, 'Suggested improvements': data.suggestedImprovements })
+  },
+  settlement_sent: {
+    severity: 'info',
+    title: 'Settlement transaction sent',
+    fields: data => ({ Question: data.question, Outcome: data.outcome, Transaction: data.txHash, Nonce: data.nonce })
+  },
+  settlement_confirmed: {
+    severity: 'success',
+    title: 'Market settled',
+    fields: data => ({ Question: data.question, Outcome: data.outcome, Transaction: data.txHash, Block: data.blockNumber })
+  },
+  ambiguity_auto_settle: {
+    severity: 'warning',
+    title: 'Ambiguous market settled as NO',
+    fields: data => ({ Question: data.question, Reasoning: data.reasoning, Transaction: data.txHash })
+  },
+  retry_exhausted: {
+    severity: 'critical',
+    title: 'Settlement given up (dead letter)',
+    fields: data => ({
+      Question: data.question,
+      'Failure class': data.failureClass,
+      Attempts: data.attempts,
+      'Last error': data.error,
+      'Requeue with': `node src/index.js dead-letter requeue ${data.conditionId}`
+    })
+  },
+  low_settler_balance: {
+    severity: 'critical',
+    title: 'Settler balance low',
+    fields: data => ({ Address: data.address, Balance: data.balance, Threshold: data.threshold })
+  }
+};
+
+function truncate(text, length) {
+  return text.length > length ? text.substring(0, length - 3) + '...' : text;
+}
+
+async function buildMessage(event, data) {
+  // Messages about a market show its question and chain, which most callers don't have at hand
+  const market = data.conditionId && data.question === undefined ? await db.getMarket(data.conditionId) : null;
+  const details = market ? { question: market.marketQuestion, chainId: market.chainId, ...data } : data;
+  const template = TEMPLATES[event];
+  const fields = Object.entries({ ...template.fields(details), Chain: details.chainId, 'Condition ID': details.conditionId })
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => [name, truncate(String(value), MAX_FIELD_LENGTH)]);
+  return { event, severity: template.severity, title: template.title, fields, data: details, timestamp: new Date().toISOString() };
+}
+
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeHtml(text) {
+  return escapeSlack(text).replace(/"/g, '&quot;');
+}
+
+// Request body in the webhook's format
+function renderBody(webhook, message) {
+  const emoji = SEVERITY_EMOJI[message.severity];
+  switch (webhook.format) {
+    case 'slack':
+      return {
+        text: [`${emoji} *${message.title}*`, ...message.fields.map(([name, value]) => `*${name}:* ${escapeSlack(value)}`)].join('\n')
+      };
+    case 'discord':
+      return {
+        embeds: [{
+          title: `${emoji} ${message.title}`,
+          color: SEVERITY_COLORS[message.severity],
+          fields: message.fields.map(([name, value]) => ({ name, value })),
+          timestamp: message.timestamp
+        }]
+      };
+    case 'telegram':
+      return {
+        chat_id: webhook.chatId,
+        text: truncate([`${emoji} <b>${message.title}</b>`, ...message.fields.map(([name, value]) => `<b>${name}:</b> ${escapeHtml(value)}`)].join('\n'), 4096),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      };
+    default:
+      return {
+        event: message.event,
+        severity: message.severity,
+        title: message.title,
+        fields: Object.fromEntries(message.fields),
+        data: message.data,
+        timestamp: message.timestamp
+      };
+  }
+}
+
+// Queues an event for every webhook subscribed to it. Never throws: a notification that can't be
+// queued is logged, and whatever raised it carries on.
+export async function notify(event, data = {}) {
+  const webhooks = config.NOTIFICATION_WEBHOOKS.filter(webhook => webhook.events.includes(event));
+  if (webhooks.length === 0) return;
+
+  try {
+    const message = await buildMessage(event, data);
+    for (const webhook of webhooks) {
+      await db.enqueueNotificationDelivery({
+        event,
+        conditionId: data.conditionId ?? null,
+        webhookUrl: webhook.url,
+        format: webhook.format,
+        body: renderBody(webhook, message)
+      });
+    }
+    scheduleDelivery(0);
+  } catch (error) {
+    logger.error({ err: error, event, conditionId: data.conditionId }, 'Failed to queue notification');
+  }
+}
+
+// --- Delivery ---
+
+let started = false;
+let deliveryTimer = null;
+let isDelivering = false;
+let deliverAgain = false;
+
+function getRetryDelaySeconds(attempts) {
+  return Math.min(config.NOTIFICATION_RETRY_BASE_DELAY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+// Seconds from a Retry-After header (rate limits), or 0
+function getRetryAfterSeconds(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds) : 0;
+}
+
+async function recordFailure(delivery, attempts, message, retryable, minDelaySeconds = 0) {
+  const retryAt = retryable && attempts < config.NOTIFICATION_MAX_ATTEMPTS
+    ? Math.floor(Date.now() / 1000) + Math.max(getRetryDelaySeconds(attempts), minDelaySeconds)
+    : null;
+  await db.failNotificationDelivery(delivery.id, attempts, message, retryAt);
+  notificationDeliveries.inc({ event: delivery.event, result: retryAt ? 'retried' : 'failed' });
+  // The URL is left out of the logs: webhook URLs usually carry their credentials
+  logger.warn({
+    deliveryId: delivery.id,
+    event: delivery.event,
+    format: delivery.format,
+    attempts,
+    error: message,
+    retryAt: retryAt ? new Date(retryAt * 1000).toISOString() : null
+  }, retryAt ? 'Notification delivery failed; it will be retried.' : 'Notification delivery failed; giving up.');
+}
+
+async function deliver(delivery) {
+  const attempts = delivery.attempts + 1;
+  let response;
+  try {
+    response = await fetch(delivery.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(delivery.body),
+      signal: AbortSignal.timeout(config.NOTIFICATION_TIMEOUT_MS)
+    });
+  } catch (error) {
+    await recordFailure(delivery, attempts, error.message || String(error), true);
+    return;
+  }
+
+  if (response.ok) {
+    await db.markNotificationDelivered(delivery.id, attempts);
+    notificationDeliveries.inc({ event: delivery.event, result: 'delivered' });
+    logger.debug({ deliveryId: delivery.id, event: delivery.event, format: delivery.format, attempts }, 'Notification delivered.');
+    return;
+  }
+  const detail = await response.text().catch(() => '');
+  // Other client errors (a deleted webhook, a malformed body) fail the same way every time
+  const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+  await recordFailure(delivery, attempts, `HTTP ${response.status}${detail ? `: ${truncate(detail, 200)}` : ''}`, retryable, getRetryAfterSeconds(response));
+}
+
+async function deliverDue() {
+  for (;;) {
+    const deliveries = await db.getDueNotificationDeliveries(DELIVERY_BATCH_SIZE);
+    await Promise.all(deliveries.map(deliver));
+    if (deliveries.length < DELIVERY_BATCH_SIZE) return;
+  }
+}
+
+function scheduleDelivery(delayMs) {
+  if (!started) return;
+  if (isDelivering) {
+    deliverAgain = true; // Go again as soon as the current run is done
+    return;
+  }
+  clearTimeout(deliveryTimer);
+  deliveryTimer = setTimeout(runDelivery, delayMs);
+}
+
+async function runDelivery() {
+  deliveryTimer = null;
+  isDelivering = true;
+  try {
+    await deliverDue();
+  } catch (error) {
+    logger.error({ err: error }, 'Error delivering notifications');
+  } finally {
+    isDelivering = false;
+    const delayMs = deliverAgain ? 0 : DELIVERY_POLL_INTERVAL_MS;
+    deliverAgain = false;
+    scheduleDelivery(delayMs);
+  }
+}
+
+async function pruneDeliveries() {
+  try {
+    const pruned = await db.pruneDeliveredNotifications(config.JOB_RETENTION_DAYS);
+    if (pruned > 0) {
+      logger.info({ pruned }, 'Deleted old delivered notifications.');
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Error pruning delivered notifications');
+  }
+}
+
+export function startNotificationDelivery() {
+  if (config.NOTIFICATION_WEBHOOKS.length === 0) {
+    logger.info('Webhook notifications disabled (NOTIFICATION_WEBHOOKS not set).');
+    return;
+  }
+  logger.info({ webhooks: config.NOTIFICATION_WEBHOOKS.map(({ format, events }) => ({ format, events })) }, 'Starting notification delivery.');
+  started = true;
+  scheduleDelivery(0);
+  pruneDeliveries();
+  setInterval(pruneDeliveries, PRUNE_INTERVAL_MS);
+}
@@ -0,0 +1,236 @@
+import { ethers } from 'ethers';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+// Broadcasts always go to the primary endpoint so nonces and replacements stay consistent
+const PRIMARY_ONLY_METHODS = new Set(['eth_sendRawTransaction', 'eth_sendTransaction']);
+// Filters live on the node that created them, so follow-up calls must go back to it
+const FILTER_CREATE_METHODS = new Set(['eth_newFilter', 'eth_newBlockFilter', 'eth_newPendingTransactionFilter']);
+const FILTER_FOLLOWUP_METHODS = new Set(['eth_getFilterChanges', 'eth_getFilterLogs', 'eth_uninstallFilter']);
+
+// JSON-RPC errors that say more about the endpoint than about the request
+const RETRYABLE_RPC_ERROR_CODES = new Set([-32005, 429]);
+const RETRYABLE_RPC_ERROR_MESSAGE = /rate limit|too many requests|timeout|timed out|header not found|upstream|unavailable|capacity/i;
+
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the latency moving average
+const ERROR_WINDOW_SIZE = 20; // Number of recent requests the error rate is computed over
+const MIN_SAMPLES_FOR_ERROR_RATE = 5;
+
+// Only the host is logged; RPC URLs frequently embed API keys in the path
+export function redactUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+function createEndpoint(url, isPrimary) {
+  return {
+    url,
+    label: redactUrl(url),
+    isPrimary,
+    latencyMs: null, // Exponential moving average
+    recentOutcomes: [], // true = success, false = failure
+    consecutiveFailures: 0,
+    totalRequests: 0,
+    totalFailures: 0,
+    unhealthyUntil: 0,
+    onProbation: false, // Back in rotation after a cooldown; one failure takes it out again
+    lastError: null,
+  };
+}
+
+function getErrorRate(endpoint) {
+  if (endpoint.recentOutcomes.length === 0) return 0;
+  const failures = endpoint.recentOutcomes.filter(ok => !ok).length;
+  return failures / endpoint.recentOutcomes.length;
+}
+
+function isHealthy(endpoint) {
+  return Date.now() >= endpoint.unhealthyUntil;
+}
+
+function getRetryableResultError(results) {
+  for (const result of results) {
+    const error = result && result.error;
+    if (error && (RETRYABLE_RPC_ERROR_CODES.has(error.code) || RETRYABLE_RPC_ERROR_MESSAGE.test(error.message || ''))) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * JSON-RPC provider backed by several endpoints for one chain.
+ *
+ * Reads go to the healthiest endpoint first and are retried on the next one if it fails.
+ * Endpoints that keep failing (or whose recent error rate is too high) are taken out of
+ * rotation for RPC_ENDPOINT_COOLDOWN_MS. Transaction broadcasts only go to the primary
+ * endpoint (the first URL configured).
+ */
+export class RpcProviderPool extends ethers.JsonRpcApiProvider {
+  #endpoints;
+  #filterEndpoints = new Map(); // filterId -> endpoint that created it
+  #healthLogInterval = null;
+
+  constructor(urls, chainLabel) {
+    // One request per payload, so each call can be routed (and retried) on its own
+    super(undefined, { batchMaxCount: 1 });
+    if (!urls || urls.length === 0) {
+      throw new Error('RpcProviderPool needs at least one RPC URL.');
+    }
+    this.chainLabel = chainLabel;
+    this.#endpoints = urls.map((url, index) => createEndpoint(url, index === 0));
+  }
+
+  get primaryEndpoint() {
+    return this.#endpoints[0];
+  }
+
+  // Healthy endpoints by score (latency weighted by error rate), then the ones cooling down as a last resort
+  #getReadOrder() {
+    const score = (endpoint) => (endpoint.latencyMs ?? 0) * (1 + getErrorRate(endpoint));
+    const healthy = this.#endpoints.filter(isHealthy).sort((a, b) => score(a) - score(b));
+    const unhealthy = this.#endpoints.filter(e => !isHealthy(e)).sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+    return healthy.concat(unhealthy);
+  }
+
+  #getCandidates(payload) {
+    const { method, params } = payload;
+    if (PRIMARY_ONLY_METHODS.has(method)) {
+      return [this.primaryEndpoint];
+    }
+    if (FILTER_FOLLOWUP_METHODS.has(method)) {
+      const endpoint = this.#filterEndpoints.get(params && params[0]);
+      return [endpoint || this.primaryEndpoint];
+    }
+    return this.#getReadOrder();
+  }
+
+  #recordSuccess(endpoint, latencyMs) {
+    endpoint.totalRequests++;
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(LATENCY_SMOOTHING * latencyMs + (1 - LATENCY_SMOOTHING) * endpoint.latencyMs);
+    endpoint.recentOutcomes.push(true);
+    if (endpoint.recentOutcomes.length > ERROR_WINDOW_SIZE) endpoint.recentOutcomes.shift();
+    endpoint.consecutiveFailures = 0;
+
+    if (endpoint.onProbation) {
+      endpoint.onProbation = false;
+      logger.info({ chain: this.chainLabel, endpoint: endpoint.label, latencyMs }, 'RPC endpoint is healthy again.');
+    }
+  }
+
+  #recordFailure(endpoint, error) {
+    endpoint.totalRequests++;
+    endpoint.totalFailures++;
+    endpoint.recentOutcomes.push(false);
+    if (endpoint.recentOutcomes.length > ERROR_WINDOW_SIZE) endpoint.recentOutcomes.shift();
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message || String(error);
+
+    const errorRate = getErrorRate(endpoint);
+    const tooManyFailures = endpoint.consecutiveFailures >= config.RPC_MAX_CONSECUTIVE_FAILURES;
+    const errorRateTooHigh = endpoint.recentOutcomes.length >= MIN_SAMPLES_FOR_ERROR_RATE && errorRate >= config.RPC_MAX_ERROR_RATE;
+
+    if (isHealthy(endpoint) && (endpoint.onProbation || tooManyFailures || errorRateTooHigh)) {
+      endpoint.unhealthyUntil = Date.now() + config.RPC_ENDPOINT_COOLDOWN_MS;
+      endpoint.onProbation = true;
+      logger.warn({
+        chain: this.chainLabel,
+        endpoint: endpoint.label,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        errorRate: Number(errorRate.toFixed(2)),
+        lastError: endpoint.lastError,
+        cooldownMs: config.RPC_ENDPOINT_COOLDOWN_MS
+      }, 'RPC endpoint taken out of rotation.');
+    }
+  }
+
+  async #sendTo(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    request.timeout = config.RPC_REQUEST_TIMEOUT_MS;
+
+    const response = await request.send();
+    response.assertOk();
+    let results = response.bodyJson;
+    if (!Array.isArray(results)) {
+      results = [results];
+    }
+    return results;
+  }
+
+  async _send(payload) {
+    const candidates = this.#getCandidates(payload);
+    let lastError = null;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const endpoint = candidates[i];
+      const startedAt = Date.now();
+      try {
+        const results = await this.#sendTo(endpoint, payload);
+
+        const retryableError = getRetryableResultError(results);
+        if (retryableError) {
+          this.#recordFailure(endpoint, new Error(retryableError.message || `RPC error ${retryableError.code}`));
+          // Out of endpoints: hand the RPC error back to ethers as-is
+          if (i === candidates.length - 1) return results;
+          logger.debug({ chain: this.chainLabel, endpoint: endpoint.label, method: payload.method, error: retryableError }, 'Retrying RPC request on next endpoint.');
+          continue;
+        }
+
+        this.#recordSuccess(endpoint, Date.now() - startedAt);
+        if (FILTER_CREATE_METHODS.has(payload.method) && results[0] && results[0].result) {
+          this.#filterEndpoints.set(results[0].result, endpoint);
+        }
+        if (payload.method === 'eth_uninstallFilter' && payload.params) {
+          this.#filterEndpoints.delete(payload.params[0]);
+        }
+        return results;
+      } catch (error) {
+        this.#recordFailure(endpoint, error);
+        lastError = error;
+        if (i < candidates.length - 1) {
+          logger.debug({ chain: this.chainLabel, endpoint: endpoint.label, method: payload.method, err: error }, 'Retrying RPC request on next endpoint.');
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  getHealth() {
+    return this.#endpoints.map(endpoint => ({
+      endpoint: endpoint.label,
+      primary: endpoint.isPrimary,
+      healthy: isHealthy(endpoint),
+      latencyMs: endpoint.latencyMs,
+      errorRate: Number(getErrorRate(endpoint).toFixed(2)),
+      requests: endpoint.totalRequests,
+      failures: endpoint.totalFailures,
+      lastError: endpoint.lastError,
+    }));
+  }
+
+  logHealth() {
+    logger.info({ chain: this.chainLabel, endpoints: this.getHealth() }, 'RPC endpoint health');
+  }
+
+  startHealthLogging(intervalMs = config.RPC_HEALTH_LOG_INTERVAL_MS) {
+    if (this.#healthLogInterval || intervalMs <= 0) return;
+    this.#healthLogInterval = setInterval(() => this.logHealth(), intervalMs);
+    this.#healthLogInterval.unref(); // Don't keep one-off CLI commands alive
+  }
+
+  destroy() {
+    if (this.#healthLogInterval) {
+      clearInterval(this.#healthLogInterval);
+      this.#healthLogInterval = null;
+    }
+    super.destroy();
+  }
+}
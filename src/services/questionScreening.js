@@ -0,0 +1,71 @@
+// Market questions come straight from the chain: anyone who creates a market chooses the text the
+// AI is asked about. Screening looks for text aimed at the model instead of describing an event, and
+// the prompts only ever see market data inside <market_data> tags, as data rather than instructions.
+
+const UNTRUSTED_DATA_TAG = 'market_data';
+
+// Any one of these flags a question on its own
+const INJECTION_PATTERNS = [
+  {
+    reason: 'asks to ignore or override instructions',
+    pattern: /\b(ignore|disregard|forget|override|bypass)\b[\s\S]{0,40}\b(instructions?|prompts?|rules?|directions?|guidelines|context)\b/i
+  },
+  { reason: 'refers to the system or developer prompt', pattern: /\b(system|developer)\s*(prompt|message|instructions?)\b/i },
+  { reason: 'tries to change the model role', pattern: /\b(act as|pretend (to be|you are)|roleplay as|from now on|new instructions?)\b/i },
+  {
+    reason: 'dictates the answer',
+    pattern: /\b(always|must|should|only)\s+(answer|respond|reply|output|return|settle)\b|\bregardless of (the )?(facts|evidence|outcome|what)\b/i
+  },
+  {
+    reason: 'contains response fields',
+    pattern: /["'](answer|reasoning|confidence|evidence_quality|settlement_criteria|resolution_sources|resolvable)["']\s*:/i
+  },
+  {
+    reason: 'contains chat or prompt markup',
+    pattern: /<\/?\s*(system|user|assistant|market_data|instructions?)\b|<\|[^|]*\|>|\[\/?(INST|SYS)\]|```/i
+  },
+  { reason: 'contains invisible or text-direction characters', pattern: /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/ },
+  { reason: 'contains control characters', pattern: /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/ }
+];
+
+// Weak signals: real questions trip one now and then, so it takes two of them to flag a question
+const MAX_QUESTION_LENGTH = 500;
+const HEURISTICS = [
+  { reason: `longer than ${MAX_QUESTION_LENGTH} characters`, test: question => question.length > MAX_QUESTION_LENGTH },
+  { reason: 'spans several lines', test: question => (question.match(/\n/g) || []).length >= 2 },
+  { reason: 'addresses the model', test: question => /\b(assistant|chatbot|language model|llm|prompt)\b/i.test(question) },
+  { reason: 'speaks to the reader', test: question => (question.match(/\b(you|your)\b/gi) || []).length >= 2 },
+  { reason: 'contains an encoded blob', test: question => /[A-Za-z0-9+/]{40,}={0,2}/.test(question) },
+  { reason: 'mentions instructions', test: question => /\binstruct(ion|ions|ed)?\b/i.test(question) }
+];
+
+// Returns { suspicious, reasons } for a market question
+export function screenMarketQuestion(question) {
+  const text = typeof question === 'string' ? question : '';
+  const reasons = INJECTION_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ reason }) => reason);
+  const signals = HEURISTICS.filter(({ test }) => test(text)).map(({ reason }) => reason);
+  if (signals.length >= 2) {
+    reasons.push(...signals);
+  }
+  return { suspicious: reasons.length > 0, reasons };
+}
+
+// JSON-encodes market data between <market_data> tags. '<' and '>' are escaped, so nothing inside
+// can close the tag early; the JSON still decodes to the same text.
+export function wrapUntrustedData(data) {
+  const json = JSON.stringify(data).replace(/</g, '\\u003c').replace(/>/g, '\\u003e');
+  return `<${UNTRUSTED_DATA_TAG}>\n${json}\n</${UNTRUSTED_DATA_TAG}>`;
+}
+
+// The data passed to wrapUntrustedData, or null if the text holds none
+export function unwrapUntrustedData(content) {
+  const match = typeof content === 'string'
+    ? content.match(new RegExp(`<${UNTRUSTED_DATA_TAG}>\\n([\\s\\S]*)\\n</${UNTRUSTED_DATA_TAG}>`))
+    : null;
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,43 @@
+import config from '../config.js';
+
+// Why a settlement attempt failed decides when the market is tried again and how often:
+// - transient: RPC and network errors, rate limits, AI provider outages, dropped transactions
+// - ai_invalid: the AI gave no usable answer (invalid JSON, schema violations, an answer that is no outcome)
+// - contract_revert: the contract rejected the settlement
+// - permanent: retrying can't help until someone fixes something (missing configuration, bad market data)
+// Each class has its own backoff in RETRY_POLICIES; a market whose class runs out of attempts is dead-lettered.
+
+export const FAILURE_CLASSES = ['transient', 'ai_invalid', 'contract_revert', 'permanent'];
+
+// ethers error codes (and Node socket errors)
+const TRANSIENT_ERROR_CODES = new Set([
+  'NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'TRANSACTION_REPLACED',
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'
+]);
+const PERMANENT_ERROR_CODES = new Set(['INSUFFICIENT_FUNDS', 'INVALID_ARGUMENT', 'BAD_DATA', 'UNSUPPORTED_OPERATION', 'NOT_IMPLEMENTED']);
+
+// Failure class of a thrown error or error message. Errors nobody recognises are treated as transient.
+export function classifyError(error) {
+  if (!error) return 'transient';
+  if (FAILURE_CLASSES.includes(error.failureClass)) return error.failureClass;
+  if (Array.isArray(error.voteErrors)) {
+    // From the AI service: only a provider that could not be reached is worth retrying soon
+    return error.voteErrors.every(errorType => errorType === 'provider_error') ? 'transient' : 'ai_invalid';
+  }
+  if (error.code === 'CALL_EXCEPTION') return 'contract_revert';
+  if (TRANSIENT_ERROR_CODES.has(error.code)) return 'transient';
+  if (PERMANENT_ERROR_CODES.has(error.code)) return 'permanent';
+
+  const message = typeof error === 'string' ? error : String(error.shortMessage || error.message || '');
+  if (/revert/i.test(message)) return 'contract_revert';
+  if (/insufficient funds/i.test(message)) return 'permanent';
+  return 'transient';
+}
+
+// Seconds until the next attempt after the attempt-th failure in a row of a class, or null if the
+// class has no attempts left and the market goes to dead_letter
+export function getRetryDelaySeconds(failureClass, attempt) {
+  const policy = config.RETRY_POLICIES[failureClass];
+  if (attempt >= policy.maxAttempts) return null;
+  return Math.min(policy.baseDelaySeconds * 2 ** (attempt - 1), policy.maxDelaySeconds);
+}
@@ -18,9 +18,12 @@ if (config.SUPABASE_URL && config.SUPABASE_ANON_KEY) {
  * @param {string} reasoning - The AI's detailed reasoning.
  * @param {string} [marketCreationTime] - Optional market creation timestamp.
  * @param {string} [settlementTime] - Optional settlement timestamp.
+ * @param {{chainId?: number, factoryAddress?: string}} [marketInfo] - Chain and factory the market was indexed from.
+ * @param {{confidence?: number|null, evidenceQuality?: string|null}} [assessment] - How sure the AI was and how good its sources were.
+ * @param {{url: string, title: string|null}[]} [citations] - Sources the AI used for the answer.
  * @returns {Promise<Object|null>} The inserted or updated record, or null.
  */
-export async function storeAIReasoning(conditionId, question, answer, reasoning, marketCreationTime, settlementTime) {
+export async function storeAIReasoning(conditionId, question, answer, reasoning, marketCreationTime, settlementTime, marketInfo = {}, assessment = {}, citations = []) {
   if (!supabase) return null;
 
   const tableName = config.SUPABASE_TABLE_NAME;
@@ -40,6 +43,11 @@ export async function storeAIReasoning(conditionId, question, answer, reasoning,
           ai_reasoning: reasoning,
           market_creation_time: marketCreationTime,
           settlement_time: settlementTime,
+          chain_id: marketInfo.chainId ?? null,
+          factory_address: marketInfo.factoryAddress ?? null,
+          confidence: assessment.confidence ?? null,
+          evidence_quality: assessment.evidenceQuality ?? null,
+          citations,
           updated_at: new Date().toISOString(),
         },
         { onConflict: 'condition_id' }
@@ -87,7 +95,7 @@ export async function getAIReasoning(conditionId) {
   }
 }
 
-export async function storeAIResolution(conditionId, question, resolutionData) {
+export async function storeAIResolution(conditionId, question, resolutionData, marketInfo = {}, citations = []) {
   if (!supabase) return null;
 
   const tableName = config.SUPABASE_TABLE_NAME_RESOLUTION;
@@ -107,6 +115,9 @@ export async function storeAIResolution(conditionId, question, resolutionData) {
         settlement_criteria: resolutionData.settlement_criteria,
         resolution_sources: resolutionData.resolution_sources,
         suggested_improvements: resolutionData.suggested_improvements,
+        chain_id: marketInfo.chainId ?? null,
+        factory_address: marketInfo.factoryAddress ?? null,
+        citations,
       })
       .select()
       .single();
@@ -124,3 +135,31 @@ export async function storeAIResolution(conditionId, question, resolutionData) {
     return null;
   }
 }
+
+/**
+ * Removes the AI resolution record for a market, e.g. when the market was rolled back by a reorg.
+ * @param {string} conditionId - The ID of the market condition.
+ * @returns {Promise<boolean>} True if the delete request succeeded.
+ */
+export async function deleteAIResolution(conditionId) {
+  if (!supabase) return false;
+
+  const tableName = config.SUPABASE_TABLE_NAME_RESOLUTION;
+  try {
+    const { error } = await supabase
+      .from(tableName)
+      .delete()
+      .eq('condition_id', conditionId);
+
+    if (error) {
+      logger.error({ err: error, conditionId, table: tableName }, 'Failed to delete AI resolution from Supabase.');
+      return false;
+    }
+
+    logger.info({ conditionId, table: tableName }, 'Deleted AI resolution for rolled-back market from Supabase.');
+    return true;
+  } catch (err) {
+    logger.error({ err, conditionId }, `Exception while deleting AI resolution from Supabase table ${tableName}`);
+    return false;
+  }
+}
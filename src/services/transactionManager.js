@@ -0,0 +1,384 @@
+import { ethers } from 'ethers';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import * as db from './database.js';
+import { settlementTransactions, settlementGasUsed, settlementFees } from './metrics.js';
+import { notify } from './notifications.js';
+
+// Settlement transactions are signed locally, written to pending_transactions and only then
+// broadcast. Nonces are allocated here rather than by the node, so a transaction that is stuck
+// can be replaced (same nonce, higher fees) and a restart never sends a second settlement for a
+// nonce that is still in flight.
+
+const settlerWallets = new Map(); // chainId -> ethers.Wallet on the chain's provider
+const nextNonces = new Map(); // `${chainId}:${address}` -> next nonce to use
+const signerQueues = new Map(); // `${chainId}:${address}` -> promise chain serializing nonce allocation
+const lowBalanceChains = new Set(); // Chains whose settler balance was below SETTLER_LOW_BALANCE_THRESHOLD when last checked
+
+// Errors that mean the node did not accept the transaction. Anything else (timeouts, dropped
+// connections, UNKNOWN_ERROR) leaves it unknown whether it was broadcast, so it is monitored instead
+// and settled against the chain nonce.
+const REJECTED_ERROR_CODES = new Set([
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'CALL_EXCEPTION',
+  'INVALID_ARGUMENT',
+]);
+const ALREADY_KNOWN_MESSAGE = /already known|known transaction|already imported/i;
+
+const GAS_LIMIT_MARGIN_PERCENT = 20n;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function signerKey(chainId, address) {
+  return `${chainId}:${address.toLowerCase()}`;
+}
+
+export function getSettlerWallet(factory) {
+  if (!config.SETTLER_PRIVATE_KEY) {
+    throw new Error('SETTLER_PRIVATE_KEY is not configured.');
+  }
+  let wallet = settlerWallets.get(factory.chainId);
+  if (!wallet) {
+    wallet = new ethers.Wallet(config.SETTLER_PRIVATE_KEY, factory.provider);
+    settlerWallets.set(factory.chainId, wallet);
+  }
+  return wallet;
+}
+
+function runForSigner(key, task) {
+  const previous = signerQueues.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  signerQueues.set(key, run.catch(() => {}));
+  return run;
+}
+
+// Next nonce: the highest of the node's pending count, our own in-flight rows and what we
+// handed out last in this process.
+export async function allocateNonce(provider, chainId, address) {
+  const key = signerKey(chainId, address);
+  const chainNonce = await provider.getTransactionCount(address, 'pending');
+  const highestStored = await db.getHighestPendingNonce(chainId, address);
+  const candidates = [chainNonce, nextNonces.get(key) ?? 0];
+  if (highestStored !== null) candidates.push(highestStored + 1);
+  const nonce = Math.max(...candidates);
+  nextNonces.set(key, nonce + 1);
+  return nonce;
+}
+
+function resetNonce(chainId, address) {
+  nextNonces.delete(signerKey(chainId, address));
+}
+
+export function classifyBroadcastError(error) {
+  const message = `${error.shortMessage || ''} ${error.message || ''} ${error.error?.message || ''}`;
+  if (ALREADY_KNOWN_MESSAGE.test(message)) return 'accepted';
+  if (REJECTED_ERROR_CODES.has(error.code)) return 'rejected';
+  return 'unknown';
+}
+
+function capFee(fee) {
+  if (!config.SETTLEMENT_TX_MAX_FEE_GWEI) return fee;
+  const cap = ethers.parseUnits(String(config.SETTLEMENT_TX_MAX_FEE_GWEI), 'gwei');
+  return fee > cap ? cap : fee;
+}
+
+function bump(value) {
+  return value * BigInt(100 + config.SETTLEMENT_TX_FEE_BUMP_PERCENT) / 100n;
+}
+
+function bigintMax(a, b) {
+  return a > b ? a : b;
+}
+
+async function getFeeFields(provider) {
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+    return {
+      type: 2,
+      maxFeePerGas: capFee(feeData.maxFeePerGas),
+      maxPriorityFeePerGas: capFee(feeData.maxPriorityFeePerGas),
+    };
+  }
+  return { type: 0, gasPrice: capFee(feeData.gasPrice) };
+}
+
+// Returns the receipt of whichever attempt for this nonce was mined, if any
+async function findReceipt(provider, record) {
+  for (const txHash of JSON.parse(record.txHashes)) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+async function finalizeFromReceipt(record, receipt) {
+  const status = receipt.status === 1 ? 'confirmed' : 'reverted';
+  await db.updatePendingTransactionStatus(record.id, status, {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    error: status === 'reverted' ? 'Transaction reverted' : null,
+  });
+  logger.info({ conditionId: record.conditionId, chainId: record.chainId, nonce: record.nonce, txHash: receipt.hash, blockNumber: receipt.blockNumber, status }, 'Settlement transaction mined.');
+  settlementTransactions.inc({ chain_id: record.chainId, status });
+  // Reverted transactions pay for their gas too
+  settlementGasUsed.inc({ chain_id: record.chainId }, Number(receipt.gasUsed));
+  settlementFees.inc({ chain_id: record.chainId }, Number(ethers.formatEther(receipt.fee)));
+  if (status === 'confirmed') {
+    await notify('settlement_confirmed', {
+      conditionId: record.conditionId,
+      chainId: record.chainId,
+      outcome: record.outcome,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    });
+  }
+  return { status, txHash: receipt.hash, blockNumber: receipt.blockNumber, receipt };
+}
+
+// Checks an in-flight transaction once without waiting: mined (confirmed/reverted), nonce taken
+// by some other transaction (dropped), or still pending.
+export async function checkPendingTransaction(provider, record) {
+  const receipt = await findReceipt(provider, record);
+  if (receipt) {
+    return finalizeFromReceipt(record, receipt);
+  }
+
+  const minedNonce = await provider.getTransactionCount(record.fromAddress, 'latest');
+  if (minedNonce > record.nonce) {
+    // The nonce may have been mined by our transaction in the meantime
+    const lateReceipt = await findReceipt(provider, record);
+    if (lateReceipt) {
+      return finalizeFromReceipt(record, lateReceipt);
+    }
+    await db.updatePendingTransactionStatus(record.id, 'dropped', { error: 'Nonce was used by another transaction' });
+    settlementTransactions.inc({ chain_id: record.chainId, status: 'dropped' });
+    resetNonce(record.chainId, record.fromAddress);
+    logger.warn({ conditionId: record.conditionId, chainId: record.chainId, nonce: record.nonce }, 'Settlement transaction was dropped: its nonce was used by another transaction.');
+    return { status: 'dropped', txHash: record.txHash };
+  }
+
+  return { status: 'pending', txHash: record.txHash };
+}
+
+// Re-signs the latest attempt with the same nonce and fees raised by SETTLEMENT_TX_FEE_BUMP_PERCENT
+// (or the current network fees, if higher).
+async function replaceWithHigherFees(wallet, record) {
+  const previous = ethers.Transaction.from(record.signedTransaction);
+  const current = await getFeeFields(wallet.provider);
+  const request = {
+    to: previous.to,
+    data: previous.data,
+    value: previous.value,
+    gasLimit: previous.gasLimit,
+    chainId: previous.chainId,
+    nonce: previous.nonce,
+    type: previous.type,
+  };
+  if (previous.type === 2) {
+    request.maxFeePerGas = capFee(bigintMax(bump(previous.maxFeePerGas), current.maxFeePerGas ?? 0n));
+    request.maxPriorityFeePerGas = capFee(bigintMax(bump(previous.maxPriorityFeePerGas), current.maxPriorityFeePerGas ?? 0n));
+    if (request.maxFeePerGas <= previous.maxFeePerGas) {
+      return null; // Already at SETTLEMENT_TX_MAX_FEE_GWEI
+    }
+  } else {
+    request.gasPrice = capFee(bigintMax(bump(previous.gasPrice), current.gasPrice ?? 0n));
+    if (request.gasPrice <= previous.gasPrice) {
+      return null;
+    }
+  }
+
+  const signedTransaction = await wallet.signTransaction(request);
+  const txHash = ethers.Transaction.from(signedTransaction).hash;
+  await db.recordTransactionReplacement(record.id, txHash, signedTransaction);
+  settlementTransactions.inc({ chain_id: record.chainId, status: 'replaced' });
+  logger.warn({
+    conditionId: record.conditionId,
+    chainId: record.chainId,
+    nonce: record.nonce,
+    replacedTxHash: record.txHash,
+    txHash,
+    maxFeePerGas: request.maxFeePerGas?.toString(),
+    gasPrice: request.gasPrice?.toString(),
+  }, 'Settlement transaction is stuck. Broadcasting fee-bumped replacement.');
+
+  try {
+    await wallet.provider.broadcastTransaction(signedTransaction);
+  } catch (error) {
+    // Underpriced or nonce-expired replacements are resolved by the next receipt check
+    logger.warn({ err: error, conditionId: record.conditionId, txHash }, 'Replacement broadcast was not accepted.');
+  }
+  return txHash;
+}
+
+// Polls until the transaction is mined, replacing it after SETTLEMENT_TX_TIMEOUT_MS without a
+// receipt. Gives up (status 'pending', the row stays in flight) after SETTLEMENT_TX_MAX_REPLACEMENTS.
+async function waitForTransaction(wallet, recordId) {
+  for (;;) {
+    const record = await db.getTransactionRecord(recordId);
+    if (record.status !== 'pending') {
+      return { status: record.status, txHash: record.txHash, blockNumber: record.blockNumber, error: record.error };
+    }
+    const { conditionId } = record;
+
+    const result = await checkPendingTransaction(wallet.provider, record);
+    if (result.status !== 'pending') {
+      return result;
+    }
+
+    if (Date.now() - record.lastBroadcastAt >= config.SETTLEMENT_TX_TIMEOUT_MS) {
+      if (record.replacements >= config.SETTLEMENT_TX_MAX_REPLACEMENTS) {
+        logger.error({ conditionId, chainId: record.chainId, nonce: record.nonce, txHash: record.txHash, replacements: record.replacements }, 'Settlement transaction still not mined after the maximum number of replacements.');
+        return { status: 'pending', txHash: record.txHash, stuck: true };
+      }
+      const txHash = await replaceWithHigherFees(wallet, record);
+      if (!txHash) {
+        logger.error({ conditionId, chainId: record.chainId, nonce: record.nonce, txHash: record.txHash }, 'Settlement transaction is stuck at the configured fee cap (SETTLEMENT_TX_MAX_FEE_GWEI).');
+        return { status: 'pending', txHash: record.txHash, stuck: true };
+      }
+    }
+
+    await sleep(config.SETTLEMENT_TX_POLL_INTERVAL_MS);
+  }
+}
+
+// Signs, records and broadcasts settleMarket, then waits for it to be mined.
+// Resolves to { status: 'confirmed' | 'reverted' | 'dropped' | 'failed' | 'pending', txHash, ... }.
+export async function sendSettlementTransaction(factory, conditionId, outcome, winningTokenId) {
+  const wallet = getSettlerWallet(factory);
+  const address = wallet.address;
+  const key = signerKey(factory.chainId, address);
+
+  const sent = await runForSigner(key, async () => {
+    const populated = await factory.contract.settleMarket.populateTransaction(conditionId, winningTokenId);
+    const gasEstimate = await wallet.estimateGas({ ...populated, from: address });
+    const fees = await getFeeFields(wallet.provider);
+    const nonce = await allocateNonce(wallet.provider, factory.chainId, address);
+
+    const signedTransaction = await wallet.signTransaction({
+      to: populated.to,
+      data: populated.data,
+      value: 0n,
+      gasLimit: gasEstimate * (100n + GAS_LIMIT_MARGIN_PERCENT) / 100n,
+      chainId: factory.chainId,
+      nonce,
+      ...fees,
+    });
+    const txHash = ethers.Transaction.from(signedTransaction).hash;
+
+    const recordId = await db.insertPendingTransaction({
+      conditionId,
+      chainId: factory.chainId,
+      fromAddress: address,
+      toAddress: factory.factoryAddress,
+      nonce,
+      outcome,
+      winningTokenId: winningTokenId.toString(),
+      txHash,
+      signedTransaction,
+    });
+    logger.info({ conditionId, chainId: factory.chainId, nonce, txHash, settlerAddress: address }, 'Broadcasting settleMarket transaction...');
+
+    try {
+      await wallet.provider.broadcastTransaction(signedTransaction);
+    } catch (error) {
+      const classification = classifyBroadcastError(error);
+      if (classification === 'rejected') {
+        await db.updatePendingTransactionStatus(recordId, 'failed', { error: error.shortMessage || error.message });
+        settlementTransactions.inc({ chain_id: factory.chainId, status: 'failed' });
+        resetNonce(factory.chainId, address);
+        logger.error({ err: error, conditionId, chainId: factory.chainId, nonce, txHash }, 'settleMarket transaction was rejected by the node.');
+        return { recordId, rejected: { status: 'failed', txHash, error: error.shortMessage || error.message } };
+      }
+      if (classification === 'unknown') {
+        logger.warn({ err: error, conditionId, txHash }, 'Could not confirm that settleMarket was broadcast. Monitoring it anyway.');
+      }
+    }
+    settlementTransactions.inc({ chain_id: factory.chainId, status: 'sent' });
+    return { recordId, nonce, txHash };
+  });
+
+  if (sent.rejected) {
+    return sent.rejected;
+  }
+  await notify('settlement_sent', { conditionId, chainId: factory.chainId, outcome, txHash: sent.txHash, nonce: sent.nonce });
+  const result = await waitForTransaction(wallet, sent.recordId);
+  await checkSettlerBalance(factory).catch(error => {
+    logger.warn({ err: error, chainId: factory.chainId }, 'Could not check the settler balance.');
+  });
+  return result;
+}
+
+// Sends low_settler_balance when the settler wallet holds less than SETTLER_LOW_BALANCE_THRESHOLD, once
+// per drop: the chain is only reported again after its balance has been topped up.
+export async function checkSettlerBalance(factory) {
+  if (!config.SETTLER_LOW_BALANCE_THRESHOLD || !config.SETTLER_PRIVATE_KEY) {
+    return;
+  }
+  const wallet = getSettlerWallet(factory);
+  const balance = await wallet.provider.getBalance(wallet.address);
+  const threshold = ethers.parseEther(config.SETTLER_LOW_BALANCE_THRESHOLD.toFixed(18));
+  if (balance >= threshold) {
+    lowBalanceChains.delete(factory.chainId);
+    return;
+  }
+  if (lowBalanceChains.has(factory.chainId)) {
+    return;
+  }
+  lowBalanceChains.add(factory.chainId);
+  logger.warn({ chainId: factory.chainId, settlerAddress: wallet.address, balance: ethers.formatEther(balance), threshold: config.SETTLER_LOW_BALANCE_THRESHOLD },
+    'Settler balance is below SETTLER_LOW_BALANCE_THRESHOLD.');
+  await notify('low_settler_balance', {
+    chainId: factory.chainId,
+    address: wallet.address,
+    balance: ethers.formatEther(balance),
+    threshold: String(config.SETTLER_LOW_BALANCE_THRESHOLD)
+  });
+}
+
+// Resumes monitoring a transaction left in flight by an earlier run, without sending a new one
+export async function resumeSettlementTransaction(factory, record) {
+  const wallet = getSettlerWallet(factory);
+  logger.info({ conditionId: record.conditionId, chainId: record.chainId, nonce: record.nonce, txHash: record.txHash }, 'Resuming in-flight settlement transaction.');
+  return waitForTransaction(wallet, record.id);
+}
+
+// Startup: resolve every in-flight transaction. Mined ones are finalized; ones whose nonce is
+// still free are rebroadcast (the node may have lost them while we were down) and stay pending.
+export async function recoverPendingTransactions(getProviderForChain) {
+  const records = await db.getPendingTransactions();
+  if (records.length === 0) {
+    return [];
+  }
+  logger.info(`Found ${records.length} in-flight settlement transactions to recover.`);
+
+  const results = [];
+  for (const record of records) {
+    const provider = getProviderForChain(record.chainId);
+    if (!provider) {
+      logger.warn({ conditionId: record.conditionId, chainId: record.chainId }, 'No provider for chain of in-flight settlement transaction. Leaving it pending.');
+      continue;
+    }
+    try {
+      const result = await checkPendingTransaction(provider, record);
+      if (result.status === 'pending') {
+        try {
+          await provider.broadcastTransaction(record.signedTransaction);
+          logger.info({ conditionId: record.conditionId, txHash: record.txHash }, 'Rebroadcast in-flight settlement transaction.');
+        } catch (error) {
+          if (classifyBroadcastError(error) !== 'accepted') {
+            logger.warn({ err: error, conditionId: record.conditionId, txHash: record.txHash }, 'Rebroadcast of in-flight settlement transaction failed; it will be monitored on the next settlement run.');
+          }
+        }
+        await db.markTransactionRebroadcast(record.id);
+      }
+      results.push({ record, ...result });
+    } catch (error) {
+      logger.error({ err: error, conditionId: record.conditionId, txHash: record.txHash }, 'Error recovering in-flight settlement transaction');
+    }
+  }
+  return results;
+}
@@ -0,0 +1,132 @@
+import { ethers } from 'ethers';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { redactUrl } from './providerPool.js';
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * WebSocket provider that survives dropped sockets.
+ *
+ * ethers' WebSocketProvider never reconnects, and subscriptions die with the socket. This
+ * wrapper watches the socket (close/error events plus a periodic heartbeat request, since
+ * some proxies drop connections silently), replaces the provider with exponential backoff,
+ * and calls `onConnect(provider)` on every new provider so subscriptions can be registered
+ * again. `onReconnect()` runs after every successful connection except the first one, so the
+ * caller can backfill the blocks it missed while the socket was down.
+ */
+export class ReconnectingWebSocket {
+  #url;
+  #chainId;
+  #onConnect;
+  #onReconnect;
+  #provider = null;
+  #heartbeatInterval = null;
+  #reconnectTimer = null;
+  #attempt = 0;
+  #hasAttempted = false;
+  #isStopped = false;
+
+  constructor(url, { chainId, label, onConnect, onReconnect }) {
+    this.#url = url;
+    this.#chainId = chainId;
+    this.#onConnect = onConnect;
+    this.#onReconnect = onReconnect;
+    this.label = label || redactUrl(url);
+  }
+
+  get provider() {
+    return this.#provider;
+  }
+
+  get isConnected() {
+    return this.#provider !== null;
+  }
+
+  // Resolves to whether the first attempt connected. Either way, retries and later drops are
+  // handled in the background.
+  async start() {
+    this.#isStopped = false;
+    return this.#connect();
+  }
+
+  async #connect() {
+    const isReconnect = this.#hasAttempted;
+    this.#hasAttempted = true;
+    const provider = new ethers.WebSocketProvider(this.#url, this.#chainId);
+    this.#provider = provider;
+
+    // Registered straight away: an unhandled 'error' on the socket would crash the process
+    const socket = provider.websocket;
+    socket.addEventListener('error', (event) => this.#handleDisconnect(provider, event.message || 'socket error'));
+    socket.addEventListener('close', (event) => this.#handleDisconnect(provider, `socket closed (code ${event.code})`));
+
+    try {
+      // Requests are queued until the socket is open and the network has been checked
+      await withTimeout(provider.getBlockNumber(), config.RPC_REQUEST_TIMEOUT_MS, 'Timed out opening WebSocket connection');
+      await this.#onConnect(provider);
+    } catch (error) {
+      this.#handleDisconnect(provider, error.message);
+      return false;
+    }
+
+    this.#attempt = 0;
+    this.#startHeartbeat(provider);
+    logger.info({ chainId: this.#chainId, endpoint: this.label, reconnect: isReconnect }, 'WebSocket connected.');
+
+    if (isReconnect && this.#onReconnect) {
+      await this.#onReconnect();
+    }
+    return true;
+  }
+
+  #startHeartbeat(provider) {
+    if (config.WS_HEARTBEAT_INTERVAL_MS <= 0) return;
+    this.#heartbeatInterval = setInterval(async () => {
+      try {
+        await withTimeout(provider.getBlockNumber(), config.RPC_REQUEST_TIMEOUT_MS, 'WebSocket heartbeat timed out');
+      } catch (error) {
+        this.#handleDisconnect(provider, error.message);
+      }
+    }, config.WS_HEARTBEAT_INTERVAL_MS);
+  }
+
+  #handleDisconnect(provider, reason) {
+    // Stale events from a provider that has already been replaced
+    if (this.#isStopped || provider !== this.#provider) return;
+
+    clearInterval(this.#heartbeatInterval);
+    this.#heartbeatInterval = null;
+    this.#provider = null;
+    provider.destroy().catch(() => {});
+
+    const delayMs = Math.min(config.WS_RECONNECT_BASE_DELAY_MS * 2 ** this.#attempt, config.WS_RECONNECT_MAX_DELAY_MS);
+    this.#attempt++;
+    logger.warn({ chainId: this.#chainId, endpoint: this.label, reason, attempt: this.#attempt, delayMs }, 'WebSocket disconnected. Reconnecting...');
+
+    this.#reconnectTimer = setTimeout(() => {
+      this.#reconnectTimer = null;
+      this.#connect().catch(error => {
+        logger.error({ err: error, chainId: this.#chainId, endpoint: this.label }, 'Error while re-establishing WebSocket subscriptions');
+      });
+    }, delayMs);
+  }
+
+  async stop() {
+    this.#isStopped = true;
+    clearInterval(this.#heartbeatInterval);
+    clearTimeout(this.#reconnectTimer);
+    this.#heartbeatInterval = null;
+    this.#reconnectTimer = null;
+    if (this.#provider) {
+      await this.#provider.destroy().catch(() => {});
+      this.#provider = null;
+    }
+  }
+}
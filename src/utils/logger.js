@@ -11,7 +11,8 @@ const logger = pino({
       translateTime: 'SYS:standard',
       ignore: 'pid,hostname',
       sync: true, // Try with and without sync if issues persist
-      levelFirst: false
+      levelFirst: false,
+      destination: config.LOG_TO_STDERR ? 2 : 1
     }
   }
 });
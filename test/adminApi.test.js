@@ -0,0 +1,71 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { useTestEnvironment } from './helpers.js';
+
+// Bearer-token authentication of the admin API: /health is open, GET needs a read or operator token,
+// POST an operator token
+
+// A port nothing listens on, for ADMIN_API_PORT
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+const port = await freePort();
+useTestEnvironment({
+  ADMIN_API_PORT: String(port),
+  ADMIN_API_READ_TOKENS: 'read-token',
+  ADMIN_API_OPERATOR_TOKENS: 'operator-token,second-operator-token'
+});
+const { startAdminApi } = await import('../src/services/adminApi.js');
+
+const server = await startAdminApi();
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, token = null) {
+  const headers = token ? { Authorization: token.includes(' ') ? token : `Bearer ${token}` } : {};
+  const response = await fetch(`http://127.0.0.1:${port}${path}`, { method, headers });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test('/health needs no token', async () => {
+  const { status, body } = await request('GET', '/health');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'starting'); // The job workers aren't started here
+  assert.equal(body.database, 'ok');
+});
+
+test('other endpoints answer 401 without a valid bearer token', async () => {
+  for (const token of [null, 'wrong-token', 'Basic read-token', 'Bearer', 'Bearer read-token extra']) {
+    const { status, headers, body } = await request('GET', '/markets', token);
+    assert.equal(status, 401, String(token));
+    assert.equal(headers.get('www-authenticate'), 'Bearer');
+    assert.deepEqual(body, { error: 'Missing or invalid bearer token' });
+  }
+  assert.equal((await request('POST', '/jobs/pause')).status, 401);
+});
+
+test('a read token can read but not change anything', async () => {
+  assert.equal((await request('GET', '/markets', 'read-token')).status, 200);
+  assert.equal((await request('GET', '/jobs', 'bearer read-token')).status, 200);
+  const { status, body } = await request('POST', '/jobs/pause', 'read-token');
+  assert.equal(status, 403);
+  assert.deepEqual(body, { error: 'This endpoint needs an operator token' });
+});
+
+test('an operator token can read and run actions', async () => {
+  assert.equal((await request('GET', '/markets', 'operator-token')).status, 200);
+  const paused = await request('POST', '/jobs/pause', 'second-operator-token');
+  assert.equal(paused.status, 200);
+  assert.equal(paused.body.action, 'pause');
+  assert.equal((await request('POST', '/jobs/resume', 'operator-token')).status, 200);
+});
+
+test('a token that is a prefix of a valid one is rejected', async () => {
+  assert.equal((await request('GET', '/markets', 'operator')).status, 401);
+  assert.equal((await request('GET', '/markets', 'read-token-')).status, 401);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { useTestEnvironment, bytes32 } from './helpers.js';
+
+// Multi-sample consensus, replayed from fixtures/ai: three samples of one model, two of which must agree
+useTestEnvironment({
+  AI_FIXTURE_MODE: 'replay',
+  AI_FIXTURE_DIR: path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'ai'),
+  AI_REPAIR_ATTEMPTS: '0',
+  AI_SETTLEMENT_MODELS: 'sonar',
+  AI_SETTLEMENT_SAMPLES: '3',
+  AI_CONSENSUS_QUORUM: '2'
+});
+const { getMarketSettlementAnalysis } = await import('../src/services/aiService.js');
+
+const OUTCOMES = ['YES', 'NO'];
+
+test('settles on the answer a quorum of the votes agree on', async () => {
+  const analysis = await getMarketSettlementAnalysis('Will SpaceX land a Starship upper stage on the launch tower in 2026?', OUTCOMES, bytes32(1));
+  assert.equal(analysis.answer, 'YES');
+  assert.equal(analysis.needsReview, undefined);
+  assert.deepEqual(analysis.consensus, { quorum: 2, totalVotes: 3, agreeingVotes: 2 });
+  assert.deepEqual(analysis.votes.map(vote => vote.answer), ['YES', 'NO', 'YES']);
+  // Assessed on the agreeing votes only: mean confidence, weakest evidence, their sources without duplicates
+  assert.ok(Math.abs(analysis.confidence - 0.85) < 1e-9, String(analysis.confidence));
+  assert.equal(analysis.evidenceQuality, 'medium');
+  assert.deepEqual(analysis.citations.map(citation => citation.url), ['https://www.spacex.com/launches/', 'https://spacenews.com/']);
+  assert.match(analysis.reasoning, /^SpaceX caught the Starship upper stage/);
+});
+
+test('flags the market for review when no answer reaches the quorum', async () => {
+  const analysis = await getMarketSettlementAnalysis('Will the Paris Metro line 15 South open before 2026-09-01?', OUTCOMES, bytes32(2));
+  assert.equal(analysis.needsReview, true);
+  assert.deepEqual(analysis.consensus, { quorum: 2, totalVotes: 3, agreeingVotes: 1 });
+  assert.deepEqual(analysis.votes.map(vote => vote.answer), ['YES', 'NO', null]);
+  assert.match(analysis.reasoning, /^\[NEEDS REVIEW\] Models disagreed: 1 of 3 votes for YES, quorum 2/);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { useTestEnvironment, bytes32 } from './helpers.js';
+
+// Settlement analysis against the recorded responses in fixtures/ai (AI_FIXTURE_MODE=replay), so no
+// AI provider is called. Repairs are off: an invalid response is judged as it was recorded.
+useTestEnvironment({
+  AI_FIXTURE_MODE: 'replay',
+  AI_FIXTURE_DIR: path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'ai'),
+  AI_REPAIR_ATTEMPTS: '0',
+  AI_SETTLEMENT_MODELS: 'sonar',
+  AI_SETTLEMENT_SAMPLES: '1',
+  AMBIGUITY_POLICY: 'settle_no'
+});
+const { getMarketSettlementAnalysis, getMarketResolution } = await import('../src/services/aiService.js');
+const db = await import('../src/services/database.js');
+
+const OUTCOMES = ['YES', 'NO'];
+
+test('normalizes a valid answer in the wrong case, a percentage and a capitalized evidence quality', async () => {
+  const analysis = await getMarketSettlementAnalysis('Will the Artemis II crewed lunar flyby launch before 2026-05-01?', OUTCOMES, bytes32(1));
+  assert.equal(analysis.answer, 'YES');
+  assert.equal(analysis.confidence, 0.92);
+  assert.equal(analysis.evidenceQuality, 'high');
+  assert.deepEqual(analysis.citations, [{ url: 'https://www.nasa.gov/mission/artemis-ii/', title: 'Artemis II - NASA' }]);
+  assert.equal(analysis.ambiguous, undefined);
+});
+
+test('settles a null answer as NO and flags it ambiguous (AMBIGUITY_POLICY=settle_no)', async () => {
+  const analysis = await getMarketSettlementAnalysis('Will the next Fed chair be more dovish than the current one?', OUTCOMES, bytes32(2));
+  assert.equal(analysis.answer, 'NO');
+  assert.equal(analysis.ambiguous, true);
+  assert.match(analysis.reasoning, /^\[AUTO-SETTLED AS NO\]/);
+  assert.equal(analysis.evidenceQuality, 'low');
+});
+
+test('rejects an answer outside the outcomes as a schema violation', async () => {
+  await assert.rejects(
+    getMarketSettlementAnalysis('Will Ethereum close above 4000 USD on 2026-03-31?', OUTCOMES, bytes32(3)),
+    error => {
+      assert.deepEqual(error.voteErrors, ['schema_violation']);
+      return true;
+    }
+  );
+  const [failure] = await db.getAIResponseFailures(bytes32(3));
+  assert.equal(failure.errorType, 'schema_violation');
+  assert.match(failure.error, /^answer must be one of "YES", "NO", null, got "MAYBE"$/);
+});
+
+test('rejects malformed JSON as invalid_json and keeps the raw response', async () => {
+  await assert.rejects(
+    getMarketSettlementAnalysis('Will Team Liquid win the 2026 League of Legends Mid-Season Invitational?', OUTCOMES, bytes32(4)),
+    error => {
+      assert.deepEqual(error.voteErrors, ['invalid_json']);
+      return true;
+    }
+  );
+  const [failure] = await db.getAIResponseFailures(bytes32(4));
+  assert.equal(failure.errorType, 'invalid_json');
+  assert.match(failure.response, /Team Liquid were eliminated/);
+});
+
+test('fails like a provider error for a request without a fixture', async () => {
+  await assert.rejects(
+    getMarketSettlementAnalysis('A question nobody recorded', OUTCOMES, bytes32(5)),
+    error => {
+      assert.deepEqual(error.voteErrors, ['provider_error']);
+      return true;
+    }
+  );
+});
+
+test('throws provider errors from the resolution analysis, so its job is retried', async () => {
+  await assert.rejects(
+    getMarketResolution('A question nobody recorded', Math.floor(Date.now() / 1000) + 86400, bytes32(6)),
+    /No AI fixture for this resolution request/
+  );
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { settlementResponseSchema, resolutionResponseSchema, validateAgainstSchema, extractJSON } from '../src/services/aiSchemas.js';
+
+const schema = settlementResponseSchema(['YES', 'NO']);
+const valid = { answer: 'YES', reasoning: 'Reported by the organiser.', confidence: 0.9, evidence_quality: 'high' };
+
+test('validateAgainstSchema accepts a valid settlement response, including a null answer', () => {
+  assert.deepEqual(validateAgainstSchema(valid, schema), []);
+  assert.deepEqual(validateAgainstSchema({ ...valid, answer: null }, schema), []);
+});
+
+test('validateAgainstSchema reports every problem of a settlement response', () => {
+  assert.deepEqual(validateAgainstSchema({ answer: 'yes', reasoning: '', confidence: 1.5 }, schema), [
+    'evidence_quality is required',
+    'answer must be one of "YES", "NO", null, got "yes"',
+    'reasoning must not be empty',
+    'confidence must be at most 1'
+  ]);
+});
+
+test('validateAgainstSchema checks types, integers counting as numbers', () => {
+  assert.deepEqual(validateAgainstSchema('YES', schema), ['response must be object, got string']);
+  assert.deepEqual(validateAgainstSchema([valid], schema), ['response must be object, got array']);
+  assert.deepEqual(validateAgainstSchema({ ...valid, confidence: 1 }, schema), []);
+  assert.deepEqual(validateAgainstSchema({ ...valid, confidence: '0.9' }, schema), ['confidence must be number, got string']);
+  assert.deepEqual(validateAgainstSchema({ ...valid, answer: 1 }, schema), ['answer must be string or null, got integer']);
+});
+
+test('validateAgainstSchema checks array items', () => {
+  const resolution = {
+    resolvable: true,
+    reasoning: 'r',
+    settlement_criteria: 's',
+    resolution_sources: ['https://example.com', 42],
+    suggested_improvements: ''
+  };
+  assert.deepEqual(validateAgainstSchema(resolution, resolutionResponseSchema), [
+    'resolution_sources[1] must be string, got integer'
+  ]);
+});
+
+test('extractJSON parses a bare object', () => {
+  assert.deepEqual(extractJSON(JSON.stringify(valid)), { value: valid });
+});
+
+test('extractJSON takes the object from a markdown code block', () => {
+  assert.deepEqual(extractJSON(`Here you go:\n\`\`\`json\n${JSON.stringify(valid, null, 2)}\n\`\`\``), { value: valid });
+});
+
+test('extractJSON skips a <think> section and braces in prose and strings', () => {
+  const response = `<think>Is it {"answer": "NO"}? Maybe.</think>Note {not json}: ${JSON.stringify({ ...valid, reasoning: 'Score was {2-1}' })} Done {x}.`;
+  assert.deepEqual(extractJSON(response), { value: { ...valid, reasoning: 'Score was {2-1}' } });
+});
+
+test('extractJSON reports responses without a complete object', () => {
+  assert.deepEqual(extractJSON('I cannot answer that.'), { error: 'no JSON object found in the response' });
+  assert.deepEqual(extractJSON('{"answer": "YES", "reasoning": "cut off'), { error: 'no JSON object found in the response' });
+  assert.deepEqual(extractJSON(''), { error: 'no JSON object found in the response' });
+});
@@ -0,0 +1,37 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+
+// Test environment: a throwaway database, the mock AI provider and no services. config.js reads the
+// environment when it is first imported, so a test file calls this before it imports anything from
+// src/ (dynamically, after the call). The database is closed and deleted when the file's tests are done.
+export function useTestEnvironment(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evm-market-indexer-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test', // No .env file (see config.js)
+    LOG_LEVEL: 'silent',
+    // Well-known development keys; nothing is sent with them
+    PRIVATE_KEY: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    SETTLER_PRIVATE_KEY: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+    RPC_URL: 'http://127.0.0.1:8545',
+    PNP_FACTORY_CONTRACT_ADDRESS: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    AI_SETTLEMENT_PROVIDER: 'mock',
+    AI_RESOLUTION_PROVIDER: 'mock',
+    DB_FILE_PATH: path.join(dir, 'market_data.sqlite3'),
+    DB_BACKUP_INTERVAL_HOURS: '0',
+    ...overrides
+  });
+
+  after(async () => {
+    // The open connection would otherwise be checkpointed while the process is already exiting
+    const { closeDatabaseAfterStartup } = await import('../src/services/database.js');
+    await closeDatabaseAfterStartup();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+// 32-byte hex id, e.g. a condition ID
+export function bytes32(n) {
+  return `0x${n.toString(16).padStart(64, '0')}`;
+}
@@ -0,0 +1,49 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, bytes32 } from './helpers.js';
+
+// Jobs that can't run yet: a resolution analysis blocked by the AI budget waits in the queue until the
+// budget resets, without using up an attempt
+useTestEnvironment({ AI_DAILY_BUDGET_USD: '1' });
+const db = await import('../src/services/database.js');
+const { analyzeMarketResolution } = await import('../src/services/blockchain.js');
+
+const CHAIN_ID = 31337;
+const FACTORY = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const CREATOR = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const conditionId = bytes32(1);
+
+before(async () => {
+  await db.addOrUpdateMarket(conditionId, CREATOR, CHAIN_ID, FACTORY);
+  await db.updateMarketQuestion(conditionId, 'Will the Paris Metro line 15 South open before 2027-09-01?');
+  await db.updateMarketEndTime(conditionId, Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60);
+  await db.recordAIUsage({ task: 'resolution', model: 'sonar', costUsd: 1.5 });
+});
+
+test('analyzeMarketResolution throws with the time the AI budget resets when it is used up', async () => {
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  await assert.rejects(analyzeMarketResolution(conditionId), error => {
+    assert.match(error.message, /^AI daily budget of \$1 reached$/);
+    assert.equal(error.deferUntil, Math.floor(tomorrow.getTime() / 1000));
+    return true;
+  });
+  assert.equal(await db.getResolutionCriteria(conditionId), null);
+});
+
+test('a deferred job is pending again, runs after the given time and keeps its attempts', async () => {
+  await db.enqueueJob({ type: 'resolution_analysis', conditionId });
+  const [job] = await db.claimJobs('resolution_analysis', 1, 60);
+  assert.equal(job.attempts, 1);
+
+  const runAfter = Math.floor(Date.now() / 1000) + 3600;
+  assert.equal(await db.deferJob(job.id, job.attempts, runAfter), true);
+  const { jobs: [deferred] } = await db.getJobs({ conditionId });
+  assert.equal(deferred.status, 'pending');
+  assert.equal(deferred.attempts, 0);
+  assert.equal(deferred.runAfter, runAfter);
+  assert.deepEqual(await db.claimJobs('resolution_analysis', 1, 60), []);
+
+  // Only the worker that holds the job can defer it
+  assert.equal(await db.deferJob(job.id, job.attempts, runAfter), false);
+});
@@ -0,0 +1,87 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { useTestEnvironment, bytes32 } from './helpers.js';
+
+// A settleMarket transaction that is still pending after its fee replacements is followed up later,
+// without counting as a failed settlement attempt: it must not dead-letter a market at its retry limit
+
+// JSON-RPC endpoint of a chain that never mines anything
+const rpc = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    const answer = ({ id, method }) => {
+      const results = { eth_chainId: '0x7a69', eth_getTransactionReceipt: null, eth_getTransactionCount: '0x0' };
+      return method in results
+        ? { jsonrpc: '2.0', id, result: results[method] }
+        : { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not supported` } };
+    };
+    const payload = JSON.parse(body);
+    response.setHeader('Content-Type', 'application/json');
+    response.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+after(() => new Promise(resolve => rpc.close(resolve)));
+
+useTestEnvironment({
+  RPC_URL: `http://127.0.0.1:${rpc.address().port}`,
+  SETTLEMENT_MODE: 'live',
+  SETTLEMENT_TX_TIMEOUT_MS: '0', // Due for replacement at once...
+  SETTLEMENT_TX_MAX_REPLACEMENTS: '0' // ...and out of replacements
+});
+const config = (await import('../src/config.js')).default;
+const db = await import('../src/services/database.js');
+const { initializeBlockchainService, processMarketAndSettleOnChain } = await import('../src/services/blockchain.js');
+
+const CHAIN_ID = 31337;
+const FACTORY = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const CREATOR = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const conditionId = bytes32(1);
+const txHash = bytes32(2);
+const { maxAttempts } = config.RETRY_POLICIES.transient;
+
+before(async () => {
+  await initializeBlockchainService();
+  await db.addOrUpdateMarket(conditionId, CREATOR, CHAIN_ID, FACTORY);
+  // One more transient failure would move the market to dead_letter
+  await db.recordMarketFailure(conditionId, {
+    failureClass: 'transient',
+    error: 'request timed out',
+    attempt: maxAttempts - 1,
+    nextAttemptAt: Math.floor(Date.now() / 1000)
+  });
+  await db.insertPendingTransaction({
+    conditionId,
+    chainId: CHAIN_ID,
+    fromAddress: '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc',
+    toAddress: FACTORY,
+    nonce: 0,
+    outcome: 'YES',
+    winningTokenId: '1',
+    txHash,
+    signedTransaction: '0x00'
+  });
+});
+
+test('a stuck transaction reschedules a market at its retry limit instead of dead-lettering it', async () => {
+  for (let run = 1; run <= 2; run++) {
+    const startedAt = Math.floor(Date.now() / 1000);
+    const result = await processMarketAndSettleOnChain(conditionId);
+    assert.equal(result.success, false);
+    assert.equal(result.pending, true);
+    assert.equal(result.txHash, txHash);
+    assert.equal(result.deadLetter, undefined);
+
+    const market = await db.getMarket(conditionId);
+    assert.equal(market.settlementStatus, null, `run ${run}`);
+    assert.equal(market.failureClass, 'transient');
+    assert.equal(market.classFailureCount, maxAttempts - 1);
+    assert.ok(market.nextAttemptAt >= startedAt);
+    assert.equal(market.nextAttemptAt, result.nextAttemptAt);
+  }
+
+  // Still in flight, so the next run follows up the same transaction
+  assert.equal((await db.getPendingTransactionForMarket(conditionId)).txHash, txHash);
+});
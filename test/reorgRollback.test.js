@@ -0,0 +1,88 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, bytes32 } from './helpers.js';
+
+useTestEnvironment();
+const db = await import('../src/services/database.js');
+
+// rollbackMarketEventsFromBlock: what a chain reorganisation does to the markets indexed from the
+// blocks it replaced
+const CHAIN_ID = 31337;
+const FACTORY = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const CREATOR = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+async function indexMarket(conditionId, ...blockNumbers) {
+  await db.addOrUpdateMarket(conditionId, CREATOR, CHAIN_ID, FACTORY);
+  for (const blockNumber of blockNumbers) {
+    await db.recordMarketEvent(conditionId, CHAIN_ID, FACTORY, {
+      blockNumber,
+      blockHash: bytes32(blockNumber),
+      transactionHash: bytes32(10000 + blockNumber),
+      index: 0
+    });
+  }
+}
+
+async function jobStatuses(conditionId) {
+  const { jobs } = await db.getJobs({ conditionId });
+  return jobs.map(job => job.status).sort();
+}
+
+const kept = bytes32(1); // Created before the reorg
+const orphaned = bytes32(2); // Created in a replaced block, with queued and running work
+const settled = bytes32(3); // Created in a replaced block, but already processed for settlement
+const reindexed = bytes32(4); // Created in a replaced block and again in a block before it
+
+before(async () => {
+  await indexMarket(kept, 10);
+  await indexMarket(orphaned, 20);
+  await indexMarket(settled, 21);
+  await indexMarket(reindexed, 5, 22);
+  await db.setMarketProcessedForSettlement(settled);
+
+  await db.enqueueJob({ type: 'resolution_analysis', conditionId: orphaned });
+  await db.claimJobs('resolution_analysis', 1, 60); // Now running
+  await db.enqueueJob({ type: 'fetch_metadata', conditionId: orphaned });
+});
+
+test('removes markets created only in the replaced blocks and keeps the others', async () => {
+  const result = await db.rollbackMarketEventsFromBlock(CHAIN_ID, FACTORY, 20);
+  assert.deepEqual(result, { rolledBack: [orphaned], retained: [settled] });
+
+  assert.equal(await db.getMarket(orphaned), undefined);
+  assert.ok(await db.getMarket(kept));
+  assert.ok(await db.getMarket(settled));
+  assert.ok(await db.getMarket(reindexed));
+  assert.deepEqual((await db.getMarketEvents(reindexed)).map(event => event.status), ['active', 'orphaned']);
+});
+
+test('cancels the pending and running jobs of a removed market', async () => {
+  assert.equal((await db.getJobs({ status: 'running' })).total, 0);
+  assert.deepEqual(await jobStatuses(orphaned), ['cancelled', 'cancelled']);
+});
+
+test('a job that was running when its market was removed cannot record a result', async () => {
+  const { jobs: [job] } = await db.getJobs({ conditionId: orphaned, type: 'resolution_analysis' });
+  assert.equal(await db.completeJob(job.id, job.attempts), false);
+  assert.equal(await db.saveResolutionCriteria(orphaned, {
+    resolvable: true,
+    reasoning: 'r',
+    settlement_criteria: 's',
+    resolution_sources: [],
+    suggested_improvements: ''
+  }, 'sonar'), false);
+  assert.equal(await db.getResolutionCriteria(orphaned), null);
+  assert.deepEqual(await jobStatuses(orphaned), ['cancelled', 'cancelled']);
+});
+
+test('journals the rollback', async () => {
+  const { entries } = await db.getJournalEntries({ conditionId: orphaned, operation: 'rollbackOrphanedMarket' });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].status, 'completed');
+});
+
+test('a market indexed again from the new blocks is active again', async () => {
+  await indexMarket(orphaned, 20);
+  assert.ok(await db.getMarket(orphaned));
+  assert.deepEqual((await db.getMarketEvents(orphaned)).map(event => event.status), ['active']);
+});
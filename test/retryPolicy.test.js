@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment } from './helpers.js';
+
+useTestEnvironment({ RETRY_POLICIES: '{"transient": {"baseDelaySeconds": 60, "maxDelaySeconds": 300, "maxAttempts": 5}}' });
+const { classifyError, getRetryDelaySeconds } = await import('../src/services/retryPolicy.js');
+
+function errorWithCode(code, message = 'failed') {
+  return Object.assign(new Error(message), { code });
+}
+
+test('classifyError keeps a failure class set on the error', () => {
+  assert.equal(classifyError({ failureClass: 'permanent', code: 'TIMEOUT' }), 'permanent');
+  assert.equal(classifyError({ failureClass: 'bogus', code: 'TIMEOUT' }), 'transient');
+});
+
+test('classifyError tells AI provider outages from unusable AI answers', () => {
+  assert.equal(classifyError({ voteErrors: ['provider_error', 'provider_error'] }), 'transient');
+  assert.equal(classifyError({ voteErrors: ['provider_error', 'invalid_json'] }), 'ai_invalid');
+  assert.equal(classifyError({ voteErrors: ['schema_violation'] }), 'ai_invalid');
+});
+
+test('classifyError classifies ethers and socket error codes', () => {
+  assert.equal(classifyError(errorWithCode('CALL_EXCEPTION')), 'contract_revert');
+  for (const code of ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'NONCE_EXPIRED', 'ECONNREFUSED', 'ETIMEDOUT']) {
+    assert.equal(classifyError(errorWithCode(code)), 'transient', code);
+  }
+  for (const code of ['INSUFFICIENT_FUNDS', 'INVALID_ARGUMENT', 'BAD_DATA', 'UNSUPPORTED_OPERATION']) {
+    assert.equal(classifyError(errorWithCode(code)), 'permanent', code);
+  }
+});
+
+test('classifyError falls back to the message, then to transient', () => {
+  assert.equal(classifyError('execution reverted: Market already settled'), 'contract_revert');
+  assert.equal(classifyError(new Error('transaction reverted')), 'contract_revert');
+  assert.equal(classifyError({ shortMessage: 'insufficient funds for intrinsic transaction cost' }), 'permanent');
+  assert.equal(classifyError(new Error('something nobody expected')), 'transient');
+  assert.equal(classifyError(null), 'transient');
+});
+
+test('getRetryDelaySeconds doubles the delay per failure up to the maximum', () => {
+  assert.deepEqual([1, 2, 3, 4].map(attempt => getRetryDelaySeconds('transient', attempt)), [60, 120, 240, 300]);
+});
+
+test('getRetryDelaySeconds returns null once a class has no attempts left', () => {
+  assert.equal(getRetryDelaySeconds('transient', 5), null);
+  assert.equal(getRetryDelaySeconds('permanent', 1), null);
+  assert.equal(getRetryDelaySeconds('contract_revert', 1), 1800);
+  assert.equal(getRetryDelaySeconds('contract_revert', 2), null);
+});
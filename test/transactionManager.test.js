@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, bytes32 } from './helpers.js';
+
+useTestEnvironment();
+const { classifyBroadcastError, allocateNonce } = await import('../src/services/transactionManager.js');
+const db = await import('../src/services/database.js');
+
+const CHAIN_ID = 31337;
+
+// Only what allocateNonce asks of the provider: the node's pending transaction count
+function providerWithPendingCount(count) {
+  return { getTransactionCount: async (from, blockTag) => (blockTag === 'pending' ? count : 0) };
+}
+
+// A settler address per test, so the nonces handed out in one test don't carry over to the next
+function address(n) {
+  return `0x${n.toString(16).padStart(40, '0')}`;
+}
+
+async function insertPending(fromAddress, nonce) {
+  return db.insertPendingTransaction({
+    conditionId: bytes32(nonce + 1),
+    chainId: CHAIN_ID,
+    fromAddress,
+    toAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    nonce,
+    outcome: 'YES',
+    winningTokenId: '1',
+    txHash: bytes32(1000 + nonce),
+    signedTransaction: '0x00'
+  });
+}
+
+test('classifyBroadcastError treats "already known" as accepted, whatever the error code', () => {
+  assert.equal(classifyBroadcastError({ code: 'SERVER_ERROR', message: 'could not coalesce error', error: { message: 'already known' } }), 'accepted');
+  assert.equal(classifyBroadcastError({ code: 'UNKNOWN_ERROR', shortMessage: 'known transaction: 0xabc' }), 'accepted');
+  assert.equal(classifyBroadcastError({ code: 'NONCE_EXPIRED', message: 'transaction already imported' }), 'accepted');
+});
+
+test('classifyBroadcastError treats errors the node gives for invalid transactions as rejected', () => {
+  for (const code of ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'CALL_EXCEPTION', 'INVALID_ARGUMENT']) {
+    assert.equal(classifyBroadcastError({ code, message: 'rejected' }), 'rejected', code);
+  }
+});
+
+test('classifyBroadcastError leaves errors that may have followed a broadcast unknown', () => {
+  for (const code of ['UNKNOWN_ERROR', 'TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR', undefined]) {
+    assert.equal(classifyBroadcastError({ code, message: 'request failed' }), 'unknown', String(code));
+  }
+});
+
+test('allocateNonce starts at the node\'s pending count and counts up in this process', async () => {
+  const settler = address(1);
+  const provider = providerWithPendingCount(5);
+  assert.equal(await allocateNonce(provider, CHAIN_ID, settler), 5);
+  assert.equal(await allocateNonce(provider, CHAIN_ID, settler), 6);
+  assert.equal(await allocateNonce(provider, CHAIN_ID, settler), 7);
+});
+
+test('allocateNonce skips nonces of transactions still pending in the database', async () => {
+  const settler = address(2);
+  await insertPending(settler, 3);
+  await insertPending(settler, 8);
+  assert.equal(await allocateNonce(providerWithPendingCount(2), CHAIN_ID, settler), 9);
+});
+
+test('allocateNonce ignores finished transactions and follows the node when it is ahead', async () => {
+  const settler = address(3);
+  const id = await insertPending(settler, 20);
+  await db.updatePendingTransactionStatus(id, 'dropped');
+  assert.equal(await allocateNonce(providerWithPendingCount(4), CHAIN_ID, settler), 4);
+  // Sent from elsewhere with the same key
+  assert.equal(await allocateNonce(providerWithPendingCount(12), CHAIN_ID, settler), 12);
+});